@@ -3,35 +3,61 @@
  * Coordinates all modules and handles user interactions
  */
 
-import { Habit } from './habit.js';
+import { Habit, toLocalDateString } from './habit.js';
 import * as Storage from './storage.js';
 import * as UI from './ui.js';
 import * as Notifications from './notifications.js';
+import * as CSV from './csv.js';
+import * as Router from './router.js';
+import * as Filters from './filters.js';
+import * as Stats from './stats.js';
+import * as Routine from './routine.js';
 
 // Application state
 let habits = [];
-let currentView = 'all'; // 'all' or 'today'
+let settings = {}; // App-wide settings (vacation ranges, ...)
+let currentView = Router.ROUTES.ALL; // 'all', 'today', 'archived', 'stats' or 'habit' (set by the router)
+let currentHabitId = null; // Habit shown on the detail page
+let listOptions = { ...Filters.DEFAULT_LIST_OPTIONS }; // Last list view, sort, tag filter and search (saved in settings)
+let saveListOptionsTimer = null; // Delays saving while the user is typing a search
 let deferredPrompt = null; // Store install prompt event
 let notificationCheckInterval = null; // Interval for checking notifications
+let reminderSyncTimer = null; // Batches reminder schedule updates after habit changes
+let backgroundDelivery = []; // Ways reminders reach the user while the app is closed (Notifications.BACKGROUND_DELIVERY)
+let pendingImport = null; // Import preview waiting for confirmation
+
+// Undo/redo history of habit changes
+const MAX_HISTORY = 50;
+const undoStack = [];
+const redoStack = [];
+
+// How the notification status in settings names the ways of background delivery
+const BACKGROUND_DELIVERY_LABELS = {
+    [Notifications.BACKGROUND_DELIVERY.TRIGGERS]: 'scheduled notifications',
+    [Notifications.BACKGROUND_DELIVERY.PERIODIC_SYNC]: 'background sync',
+    [Notifications.BACKGROUND_DELIVERY.PUSH]: 'push server'
+};
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     try {
         console.log('Initializing Habit Tracker...');
         console.log('User Agent:', navigator.userAgent);
         
         // Check if storage is available
         if (!Storage.isStorageAvailable()) {
-            console.error('localStorage is not available');
+            console.error('IndexedDB is not available');
             UI.showNotification('Storage is not available. Your data may not be saved.', 'error');
             // Continue initialization anyway - some features may work
         }
 
-        // Load habits from storage
-        loadHabits();
+        // Load settings and habits from storage
+        await loadSettings();
+        await loadHabits();
         console.log('Loaded habits:', habits);
+        await warnAboutUnmigratedData();
 
     // Set up event listeners
     setupEventListeners();
@@ -48,8 +74,8 @@ function init() {
     // Setup notifications
     setupNotifications();
 
-    // Render the initial view
-    renderHabits();
+    // Render the view for the current URL (this also handles back/forward from now on)
+    Router.startRouter(handleRoute);
 
     console.log('Habit Tracker initialized successfully');
     } catch (error) {
@@ -61,22 +87,208 @@ function init() {
 /**
  * Load habits from storage
  */
-function loadHabits() {
-    habits = Storage.loadHabits();
+async function loadHabits() {
+    habits = await Storage.loadHabits();
     console.log(`Loaded ${habits.length} habits from storage`);
 }
 
+/**
+ * Warn when habits saved by an older version couldn't be imported
+ * They're kept in localStorage, and can be downloaded from the warning to recover them
+ */
+async function warnAboutUnmigratedData() {
+    const legacyData = await Storage.getUnmigratedLegacyData();
+    if (!legacyData) {
+        return;
+    }
+
+    if (confirm('Habits saved by an older version could not be imported. They are still kept in this browser. Download a copy of them?')) {
+        downloadFile(legacyData, `habit-tracker-unimported-${toLocalDateString(new Date())}.json`, 'application/json');
+    }
+}
+
+/**
+ * Load app-wide settings from storage and apply them
+ */
+async function loadSettings() {
+    settings = await Storage.loadSettings();
+    Habit.setVacationRanges(settings.vacations);
+    Notifications.setNotificationPreferences(settings);
+    listOptions = { ...Filters.DEFAULT_LIST_OPTIONS, ...settings.listOptions };
+    UI.setTagColors(settings.tagColors);
+
+    // A broken routine shouldn't take the Today view down with it
+    settings.routines = (Array.isArray(settings.routines) ? settings.routines : []).filter(routine => {
+        const errors = Routine.validateRoutine(routine);
+        if (errors.length > 0) {
+            console.warn('[Routines] Ignoring invalid routine:', routine, errors);
+        }
+        return errors.length === 0;
+    });
+}
+
+/**
+ * Save app-wide settings to storage
+ */
+async function saveSettings() {
+    const success = await Storage.saveSettings(settings);
+    if (!success) {
+        UI.showNotification('Failed to save settings', 'error');
+    }
+    return success;
+}
+
 /**
  * Save habits to storage
  */
-function saveHabits() {
-    const success = Storage.saveHabits(habits);
+async function saveHabits() {
+    const success = await Storage.saveHabits(habits);
     if (!success) {
         UI.showNotification('Failed to save habits', 'error');
+    } else {
+        scheduleReminderSync();
+    }
+    return success;
+}
+
+/**
+ * Save a single habit to storage
+ * @param {Habit} habit - Habit to save
+ */
+async function saveHabit(habit) {
+    const success = await Storage.saveHabit(habit);
+    if (!success) {
+        UI.showNotification('Failed to save habit', 'error');
+    } else {
+        scheduleReminderSync();
     }
     return success;
 }
 
+/**
+ * Take snapshots of habits before changing them, so the change can be undone
+ * @param {Array<string>} habitIds - IDs of the habits about to change (or be added)
+ * @returns {Array<Object>} Snapshots ({ id, index, data }); data is null for habits that don't exist
+ */
+function snapshotHabits(habitIds) {
+    return habitIds.map(id => {
+        const index = habits.findIndex(h => h.id === id);
+        // Deep copy, since habits keep mutating their arrays
+        const data = index >= 0 ? JSON.parse(JSON.stringify(habits[index].toJSON())) : null;
+        return { id, index, data };
+    });
+}
+
+/**
+ * Record a finished change in the undo history
+ * @param {string} label - Short description of the change, e.g. 'delete "Read"'
+ * @param {Array<Object>} before - Snapshots taken with snapshotHabits before the change
+ * @param {Array<Object>|null} routinesBefore - The routine list before the change, if it changed routines
+ * @returns {Object} Undo button for the toast
+ */
+function recordChange(label, before, routinesBefore = null) {
+    const after = snapshotHabits(before.map(snapshot => snapshot.id));
+    // Routines are only ever replaced, never changed in place, so the lists can be kept as they are
+    const routines = routinesBefore ? { before: routinesBefore, after: settings.routines } : null;
+
+    undoStack.push({ label, before, after, routines });
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+
+    return { label: 'Undo', onClick: undo };
+}
+
+/**
+ * Put habits back the way a set of snapshots describes them
+ * @param {Array<Object>} snapshots - Snapshots from snapshotHabits
+ * @returns {Promise<boolean>} True if storage was updated
+ */
+async function restoreSnapshots(snapshots) {
+    const ids = new Set(snapshots.map(snapshot => snapshot.id));
+    habits = habits.filter(h => !ids.has(h.id));
+
+    const restored = snapshots
+        .filter(snapshot => snapshot.data)
+        .sort((a, b) => a.index - b.index)
+        .map(snapshot => {
+            const habit = Habit.fromJSON(JSON.parse(JSON.stringify(snapshot.data)));
+            // Put it back where it was in the list
+            const index = snapshot.index >= 0 ? Math.min(snapshot.index, habits.length) : habits.length;
+            habits.splice(index, 0, habit);
+            return habit;
+        });
+
+    const deletedIds = snapshots.filter(snapshot => !snapshot.data).map(snapshot => snapshot.id);
+    const success = await Storage.updateHabits(restored, deletedIds);
+    scheduleReminderSync();
+    return success;
+}
+
+/**
+ * Put the routine list back the way an undo entry recorded it
+ * @param {Object|null} routines - The entry's routine lists ({ before, after }), null if it didn't change routines
+ * @param {string} side - 'before' to undo, 'after' to redo
+ * @returns {Promise<boolean>} True if settings were saved (or there was nothing to restore)
+ */
+async function restoreRoutines(routines, side) {
+    if (!routines) {
+        return true;
+    }
+
+    settings.routines = routines[side];
+    return saveSettings();
+}
+
+/**
+ * Undo the most recent change
+ */
+async function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        UI.showNotification('Nothing to undo', 'info');
+        return;
+    }
+
+    if (await restoreSnapshots(entry.before) && await restoreRoutines(entry.routines, 'before')) {
+        redoStack.push(entry);
+        renderHabits();
+        if (isModalOpen('settings-modal')) {
+            renderTagManager();
+            renderRoutineManager();
+        }
+        UI.showNotification(`Undone: ${entry.label}`, 'info', { label: 'Redo', onClick: redo });
+    } else {
+        undoStack.push(entry);
+        UI.showNotification('Failed to undo. Please try again.', 'error');
+    }
+}
+
+/**
+ * Redo the most recently undone change
+ */
+async function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        UI.showNotification('Nothing to redo', 'info');
+        return;
+    }
+
+    if (await restoreSnapshots(entry.after) && await restoreRoutines(entry.routines, 'after')) {
+        undoStack.push(entry);
+        renderHabits();
+        if (isModalOpen('settings-modal')) {
+            renderTagManager();
+            renderRoutineManager();
+        }
+        UI.showNotification(`Redone: ${entry.label}`, 'info', { label: 'Undo', onClick: undo });
+    } else {
+        redoStack.push(entry);
+        UI.showNotification('Failed to redo. Please try again.', 'error');
+    }
+}
+
 /**
  * Set up all event listeners
  */
@@ -90,7 +302,61 @@ function setupEventListeners() {
     // Settings button
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn) {
-        settingsBtn.addEventListener('click', () => UI.showModal('settings-modal'));
+        settingsBtn.addEventListener('click', openSettings);
+    }
+
+    // Statistics dashboard button
+    const statsBtn = document.getElementById('stats-btn');
+    if (statsBtn) {
+        statsBtn.addEventListener('click', () => setView(currentView === 'stats' ? listOptions.view : 'stats'));
+    }
+
+    // Habit list view switcher (All / Today / Pending / Completed)
+    const viewSwitcher = document.getElementById('view-switcher');
+    if (viewSwitcher) {
+        viewSwitcher.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-view]');
+            if (button) {
+                setView(button.dataset.view);
+            }
+        });
+    }
+
+    // Habit list search, tag filter and sort order
+    const habitSearch = document.getElementById('habit-search');
+    if (habitSearch) {
+        habitSearch.addEventListener('input', () => updateListOptions({ search: habitSearch.value }));
+    }
+
+    const tagFilter = document.getElementById('tag-filter');
+    if (tagFilter) {
+        tagFilter.addEventListener('change', () => updateListOptions({ tag: tagFilter.value }));
+    }
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => updateListOptions({ sort: sortSelect.value }));
+    }
+
+    const groupByTag = document.getElementById('group-by-tag');
+    if (groupByTag) {
+        groupByTag.addEventListener('change', () => updateListOptions({ groupByTag: groupByTag.checked }));
+    }
+
+    // Tag autocomplete in the add and edit forms
+    ['habit-tags', 'edit-habit-tags'].forEach(id => {
+        const tagsInput = document.getElementById(id);
+        if (tagsInput) {
+            const suggest = () => UI.updateTagSuggestions(tagsInput, Filters.getAllTags(habits));
+            tagsInput.addEventListener('input', suggest);
+            tagsInput.addEventListener('focus', suggest);
+        }
+    });
+
+    // Archived habits button
+    const archivedBtn = document.getElementById('archived-btn');
+    if (archivedBtn) {
+        archivedBtn.addEventListener('click', () => setView(currentView === 'archived' ? listOptions.view : 'archived'));
     }
 
     // Export button
@@ -111,6 +377,49 @@ function setupEventListeners() {
         importFile.addEventListener('change', handleImport);
     }
 
+    // CSV export/import buttons
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', () => handleExportCSV('habits'));
+    }
+
+    const exportCsvLogBtn = document.getElementById('export-csv-log-btn');
+    if (exportCsvLogBtn) {
+        exportCsvLogBtn.addEventListener('click', () => handleExportCSV('log'));
+    }
+
+    const importCsvBtn = document.getElementById('import-csv-btn');
+    if (importCsvBtn) {
+        importCsvBtn.addEventListener('click', () => document.getElementById('import-csv-file').click());
+    }
+
+    const importCsvFile = document.getElementById('import-csv-file');
+    if (importCsvFile) {
+        importCsvFile.addEventListener('change', handleImportCSV);
+    }
+
+    // Import from other apps
+    const importForeignBtn = document.getElementById('import-foreign-btn');
+    if (importForeignBtn) {
+        importForeignBtn.addEventListener('click', () => document.getElementById('import-foreign-file').click());
+    }
+
+    const importForeignFile = document.getElementById('import-foreign-file');
+    if (importForeignFile) {
+        importForeignFile.addEventListener('change', handleImportForeign);
+    }
+
+    // Import preview buttons
+    const importConfirmBtn = document.getElementById('import-confirm-btn');
+    if (importConfirmBtn) {
+        importConfirmBtn.addEventListener('click', handleImportConfirm);
+    }
+
+    const importCancelBtn = document.getElementById('import-cancel-btn');
+    if (importCancelBtn) {
+        importCancelBtn.addEventListener('click', handleImportCancel);
+    }
+
     // Clear data button
     const clearDataBtn = document.getElementById('clear-data-btn');
     if (clearDataBtn) {
@@ -123,12 +432,45 @@ function setupEventListeners() {
         enableNotificationsBtn.addEventListener('click', handleEnableNotifications);
     }
     
+    // Add vacation button
+    const addVacationBtn = document.getElementById('add-vacation-btn');
+    if (addVacationBtn) {
+        addVacationBtn.addEventListener('click', handleAddVacation);
+    }
+
+    // Add routine button (Enter in the name field adds it too)
+    const addRoutineBtn = document.getElementById('add-routine-btn');
+    if (addRoutineBtn) {
+        addRoutineBtn.addEventListener('click', handleAddRoutine);
+    }
+
+    const routineNameInput = document.getElementById('routine-name');
+    if (routineNameInput) {
+        routineNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAddRoutine();
+            }
+        });
+    }
+
     // Test notification button
     const testNotificationBtn = document.getElementById('test-notification-btn');
     if (testNotificationBtn) {
         testNotificationBtn.addEventListener('click', handleTestNotification);
     }
 
+    // How late missed reminders are still shown
+    const reminderGraceSelect = document.getElementById('reminder-grace');
+    if (reminderGraceSelect) {
+        reminderGraceSelect.addEventListener('change', handleReminderGraceChange);
+    }
+
+    // Quiet hours, morning plan and evening digest times
+    document.querySelectorAll('.notification-schedule-input').forEach(input => {
+        input.addEventListener('change', handleNotificationScheduleChange);
+    });
+
     // Update notification status when settings modal opens
     const settingsModalForObserver = document.getElementById('settings-modal');
     if (settingsModalForObserver) {
@@ -136,6 +478,9 @@ function setupEventListeners() {
         const observer = new MutationObserver(() => {
             if (!settingsModalForObserver.classList.contains('hidden')) {
                 updateNotificationStatus();
+                renderVacations();
+                renderTagManager();
+                renderRoutineManager();
             }
         });
         observer.observe(settingsModalForObserver, { attributes: true, attributeFilter: ['class'] });
@@ -147,6 +492,30 @@ function setupEventListeners() {
         addHabitForm.addEventListener('submit', handleAddHabitSubmit);
     }
 
+    // Show the fields for the selected schedule type in both habit forms
+    document.querySelectorAll('.schedule-type-select').forEach(select => {
+        select.addEventListener('change', () => UI.updateScheduleOptions(select.form));
+    });
+
+    // Hide fields that don't apply to break-type habits
+    document.querySelectorAll('.habit-type-select').forEach(select => {
+        select.addEventListener('change', () => UI.updateHabitTypeOptions(select.form));
+    });
+
+    // Reminder times and follow-ups in both habit forms
+    if (addHabitForm) {
+        UI.renderReminderFields(addHabitForm);
+    }
+    document.querySelectorAll('.add-reminder-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const row = UI.addReminderRow(button.form);
+            if (row) row.querySelector('input').focus();
+        });
+    });
+    document.querySelectorAll('.nag-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => UI.updateNagOptions(toggle.form));
+    });
+
     // Cancel button in modal
     const cancelBtn = document.getElementById('cancel-btn');
     if (cancelBtn) {
@@ -165,6 +534,22 @@ function setupEventListeners() {
         editCancelBtn.addEventListener('click', () => UI.hideModal('edit-habit-modal'));
     }
 
+    // Journal form
+    const journalForm = document.getElementById('journal-form');
+    if (journalForm) {
+        journalForm.addEventListener('submit', handleJournalSubmit);
+    }
+
+    const journalClearBtn = document.getElementById('journal-clear-btn');
+    if (journalClearBtn) {
+        journalClearBtn.addEventListener('click', handleJournalClear);
+    }
+
+    const journalCancelBtn = document.getElementById('journal-cancel-btn');
+    if (journalCancelBtn) {
+        journalCancelBtn.addEventListener('click', () => UI.hideModal('journal-modal'));
+    }
+
     // Close modals when clicking outside
     const modal = document.getElementById('add-habit-modal');
     if (modal) {
@@ -184,27 +569,49 @@ function setupEventListeners() {
         });
     }
 
+    const journalModal = document.getElementById('journal-modal');
+    if (journalModal) {
+        journalModal.addEventListener('click', (e) => {
+            if (e.target === journalModal) {
+                UI.hideModal('journal-modal');
+            }
+        });
+    }
+
     const settingsModal = document.getElementById('settings-modal');
     if (settingsModal) {
         settingsModal.addEventListener('click', (e) => {
             if (e.target === settingsModal) {
-                UI.hideModal('settings-modal');
+                closeSettings();
             }
         });
         // Close button
         const closeBtn = settingsModal.querySelector('.close');
         if (closeBtn) {
-            closeBtn.addEventListener('click', () => UI.hideModal('settings-modal'));
+            closeBtn.addEventListener('click', closeSettings);
         }
     }
 
+    const importPreviewModal = document.getElementById('import-preview-modal');
+    if (importPreviewModal) {
+        importPreviewModal.addEventListener('click', (e) => {
+            if (e.target === importPreviewModal) {
+                handleImportCancel();
+            }
+        });
+    }
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Escape key closes modals
         if (e.key === 'Escape') {
             UI.hideModal('add-habit-modal');
             UI.hideModal('edit-habit-modal');
-            UI.hideModal('settings-modal');
+            UI.hideModal('journal-modal');
+            closeSettings();
+            if (pendingImport) {
+                handleImportCancel();
+            }
         }
         
         // Ctrl/Cmd + K to open add habit (like many apps use for "quick add")
@@ -216,8 +623,7 @@ function setupEventListeners() {
         // Ctrl/Cmd + , to open settings
         if ((e.ctrlKey || e.metaKey) && e.key === ',') {
             e.preventDefault();
-            UI.showModal('settings-modal');
-            updateNotificationStatus();
+            openSettings();
         }
         
         // Ctrl/Cmd + E to export data
@@ -225,6 +631,17 @@ function setupEventListeners() {
             e.preventDefault();
             handleExport();
         }
+
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo (text fields keep their own undo)
+        const isTyping = e.target.closest && e.target.closest('input, textarea, select, [contenteditable]');
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTyping) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        }
     });
 
     // Theme toggle button
@@ -244,7 +661,7 @@ function handleAddHabitClick() {
 /**
  * Handle Add Habit form submission
  */
-function handleAddHabitSubmit(e) {
+async function handleAddHabitSubmit(e) {
     e.preventDefault();
 
     try {
@@ -263,9 +680,9 @@ function handleAddHabitSubmit(e) {
             return;
         }
         
-        // Validate notification time format if provided
-        if (formData.notificationTime && !/^\d{2}:\d{2}$/.test(formData.notificationTime)) {
-            UI.showNotification('Invalid notification time format', 'error');
+        // Validate daily target if provided
+        if (formData.target !== null && !(formData.target > 0)) {
+            UI.showNotification('Daily target must be a positive number', 'error');
             return;
         }
 
@@ -274,18 +691,34 @@ function handleAddHabitSubmit(e) {
         formData.name,
         null,
         [],
-        formData.notificationTime,
+        null,
         formData.daysOfWeek,
         formData.notes,
-        formData.tags
+        Filters.matchExistingTags(formData.tags, Filters.getAllTags(habits))
     );
+    habit.setTarget(formData.target, formData.unit);
+
+    try {
+        habit.setSchedule(formData.schedule);
+        habit.setReminders(formData.reminders);
+        habit.setNagging(formData.nagging);
+    } catch (error) {
+        UI.showNotification(error.message, 'error');
+        return;
+    }
+    habit.setType(formData.type);
+    habit.setTimeSlot(formData.timeSlot);
+
+    // New habits go to the end of the list
+    habit.order = habits.reduce((max, h) => (Number.isFinite(h.order) ? Math.max(max, h.order) : max), -1) + 1;
 
     // Add to habits array
+    const before = snapshotHabits([habit.id]);
     habits.push(habit);
 
     // Save to storage
-    if (saveHabits()) {
-        UI.showNotification('Habit added successfully!', 'success');
+    if (await saveHabit(habit)) {
+        UI.showNotification('Habit added successfully!', 'success', recordChange(`add "${habit.name}"`, before));
     }
 
     // Re-render habits
@@ -309,8 +742,11 @@ function handleCancelClick() {
 
 /**
  * Handle habit completion toggle
+ * @param {string} habitId - ID of the habit
+ * @param {boolean} shouldComplete - True to mark complete, false to mark incomplete
+ * @param {string|null} date - ISO date string to update (defaults to today)
  */
-function handleHabitComplete(habitId, shouldComplete) {
+async function handleHabitComplete(habitId, shouldComplete, date = null) {
     try {
         if (!habitId) {
             throw new Error('Invalid habit ID');
@@ -323,21 +759,30 @@ function handleHabitComplete(habitId, shouldComplete) {
             return;
         }
 
-        const today = new Date().toISOString().split('T')[0];
+        const today = toLocalDateString(new Date());
+        const targetDate = date || today;
+        const dateSuffix = targetDate === today ? '' : ` for ${targetDate}`;
+        const before = snapshotHabits([habitId]);
 
     if (shouldComplete) {
-        habit.markCompleted(today);
-        UI.showNotification(`Great job! "${habit.name}" completed!`, 'success');
+        habit.markCompleted(targetDate);
     } else {
-        habit.markIncomplete(today);
-        UI.showNotification(`"${habit.name}" marked as incomplete`, 'info');
+        habit.markIncomplete(targetDate);
     }
 
     // Save changes
-    if (saveHabits()) {
+    if (await saveHabit(habit)) {
+        const undoAction = recordChange(`${shouldComplete ? 'complete' : 'uncheck'} "${habit.name}"${dateSuffix}`, before);
+        if (shouldComplete) {
+            const nextUp = targetDate === today ? advanceRoutines(habit) : null;
+            const nextText = nextUp ? ` Next up: "${nextUp.name}"` : '';
+            UI.showNotification(`Great job! "${habit.name}" completed${dateSuffix}!${nextText}`, 'success', undoAction);
+        } else {
+            UI.showNotification(`"${habit.name}" marked as incomplete${dateSuffix}`, 'info', undoAction);
+        }
+
         // Update the UI
-        const callbacks = getCallbacks();
-        UI.updateHabitCard(habitId, habit, callbacks);
+        refreshHabitCard(habit);
     }
     } catch (error) {
         console.error('Error toggling habit completion:', error);
@@ -345,10 +790,158 @@ function handleHabitComplete(habitId, shouldComplete) {
     }
 }
 
+/**
+ * Handle a click on a calendar day to backfill or undo a past completion (or slip)
+ * @param {string} habitId - ID of the habit
+ * @param {string} date - ISO date string of the clicked day
+ */
+async function handleHabitDateToggle(habitId, date) {
+    const habit = habits.find(h => h.id === habitId);
+    if (!habit) {
+        console.error(`Habit with ID ${habitId} not found`);
+        UI.showNotification('Habit not found', 'error');
+        return;
+    }
+
+    if (!habit.canEditOn(date)) {
+        UI.showNotification(`"${habit.name}" can't be changed for ${date}`, 'error');
+        return;
+    }
+
+    // Build habits cycle through: not done → done → skipped (excused) → not done
+    if (habit.isBreakHabit()) {
+        await handleHabitSlip(habitId, !habit.hasSlipOn(date), date);
+    } else if (habit.isCompletedOn(date)) {
+        await handleHabitExcuse(habitId, true, date);
+    } else if (habit.excusedDates.includes(date)) {
+        await handleHabitExcuse(habitId, false, date);
+    } else {
+        await handleHabitComplete(habitId, true, date);
+    }
+}
+
+/**
+ * Handle excusing a day (sick, traveling...) so it doesn't break the streak
+ * @param {string} habitId - ID of the habit
+ * @param {boolean} shouldExcuse - True to excuse the day, false to remove the excuse
+ * @param {string} date - ISO date string of the day
+ */
+async function handleHabitExcuse(habitId, shouldExcuse, date) {
+    try {
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            console.error(`Habit with ID ${habitId} not found`);
+            UI.showNotification('Habit not found', 'error');
+            return;
+        }
+
+        const before = snapshotHabits([habitId]);
+
+        if (shouldExcuse) {
+            habit.markIncomplete(date);
+            habit.excuseDate(date);
+        } else {
+            habit.unexcuseDate(date);
+        }
+
+        // Save changes
+        if (await saveHabit(habit)) {
+            const undoAction = recordChange(`${shouldExcuse ? 'skip' : 'unskip'} "${habit.name}" on ${date}`, before);
+            if (shouldExcuse) {
+                UI.showNotification(`"${habit.name}" skipped on ${date}. Your streak is safe.`, 'info', undoAction);
+            } else {
+                UI.showNotification(`"${habit.name}" marked as not done on ${date}`, 'info', undoAction);
+            }
+
+            refreshHabitCard(habit);
+        }
+    } catch (error) {
+        console.error('Error excusing habit day:', error);
+        UI.showNotification('Failed to update habit. Please try again.', 'error');
+    }
+}
+
+/**
+ * Handle increment/decrement of today's amount for a quantitative habit
+ */
+async function handleHabitValueChange(habitId, delta) {
+    try {
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            console.error(`Habit with ID ${habitId} not found`);
+            UI.showNotification('Habit not found', 'error');
+            return;
+        }
+
+        const today = toLocalDateString(new Date());
+        const wasCompleted = habit.isCompletedOn(today);
+        const before = snapshotHabits([habitId]);
+
+        habit.adjustValue(today, delta);
+
+        // Save changes
+        if (await saveHabit(habit)) {
+            const undoAction = recordChange(`log ${delta > 0 ? '+' : ''}${delta} for "${habit.name}"`, before);
+            if (!wasCompleted && habit.isCompletedOn(today)) {
+                UI.showNotification(`Great job! "${habit.name}" target reached!`, 'success', undoAction);
+            }
+
+            refreshHabitCard(habit);
+        }
+    } catch (error) {
+        console.error('Error logging habit amount:', error);
+        UI.showNotification('Failed to update habit. Please try again.', 'error');
+    }
+}
+
+/**
+ * Handle logging or undoing a slip for a break-type habit
+ * @param {string} habitId - ID of the habit
+ * @param {boolean} shouldSlip - True to log a slip, false to remove it
+ * @param {string|null} date - ISO date string to update (defaults to today)
+ */
+async function handleHabitSlip(habitId, shouldSlip, date = null) {
+    try {
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            console.error(`Habit with ID ${habitId} not found`);
+            UI.showNotification('Habit not found', 'error');
+            return;
+        }
+
+        const today = toLocalDateString(new Date());
+        const targetDate = date || today;
+        const dateSuffix = targetDate === today ? '' : ` on ${targetDate}`;
+
+        const before = snapshotHabits([habitId]);
+
+        if (shouldSlip) {
+            habit.logSlip(targetDate);
+        } else {
+            habit.removeSlip(targetDate);
+        }
+
+        // Save changes
+        if (await saveHabit(habit)) {
+            const undoAction = recordChange(`${shouldSlip ? 'log' : 'remove'} slip for "${habit.name}"${dateSuffix}`, before);
+            if (shouldSlip) {
+                UI.showNotification(`Slip logged for "${habit.name}"${dateSuffix}. Tomorrow is a fresh start!`, 'info', undoAction);
+            } else {
+                UI.showNotification(`Slip removed for "${habit.name}"${dateSuffix}`, 'info', undoAction);
+            }
+
+            refreshHabitCard(habit);
+        }
+    } catch (error) {
+        console.error('Error logging slip:', error);
+        UI.showNotification('Failed to update habit. Please try again.', 'error');
+    }
+}
+
 /**
  * Handle habit deletion
  */
-function handleHabitDelete(habitId) {
+async function handleHabitDelete(habitId) {
     try {
         if (!habitId) {
             throw new Error('Invalid habit ID');
@@ -361,141 +954,826 @@ function handleHabitDelete(habitId) {
             return;
         }
 
-        // Confirm deletion
-        const confirmed = confirm(`Are you sure you want to delete "${habit.name}"? This action cannot be undone.`);
-        if (!confirmed) {
-            return;
+        // No confirmation needed - the toast offers Undo instead
+        const before = snapshotHabits([habitId]);
+
+        // Remove from storage, then from the array
+        if (await Storage.deleteHabit(habitId)) {
+            habits = habits.filter(h => h.id !== habitId);
+            scheduleReminderSync();
+            UI.showNotification(`"${habit.name}" deleted`, 'info', recordChange(`delete "${habit.name}"`, before));
+            // Remove from UI (leaving its detail page, if that's where it was deleted from)
+            if (currentView === Router.ROUTES.HABIT && currentHabitId === habitId) {
+                Router.navigate(Router.getPath(Router.ROUTES.ALL), { replace: true });
+            } else {
+                UI.removeHabitCard(habitId);
+            }
+        } else {
+            throw new Error('Failed to save after deletion');
         }
+    } catch (error) {
+        console.error('Error deleting habit:', error);
+        UI.showNotification('Failed to delete habit. Please try again.', 'error');
+    }
+}
+
+/**
+ * Handle archiving or restoring a habit
+ * Archived habits keep their history but are hidden and stop sending reminders
+ * @param {string} habitId - ID of the habit
+ * @param {boolean} shouldArchive - True to archive, false to restore
+ */
+async function handleHabitArchive(habitId, shouldArchive) {
+    try {
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            console.error(`Habit with ID ${habitId} not found`);
+            UI.showNotification('Habit not found', 'error');
+            return;
+        }
+
+        const before = snapshotHabits([habitId]);
+
+        if (shouldArchive) {
+            habit.archive();
+        } else {
+            habit.unarchive();
+        }
+
+        // Save changes
+        if (await saveHabit(habit)) {
+            const undoAction = recordChange(`${shouldArchive ? 'archive' : 'restore'} "${habit.name}"`, before);
+            if (shouldArchive) {
+                UI.showNotification(`"${habit.name}" archived. Find it under Archived.`, 'info', undoAction);
+            } else {
+                UI.showNotification(`"${habit.name}" restored`, 'success', undoAction);
+            }
+            renderHabits();
+        }
+    } catch (error) {
+        console.error('Error archiving habit:', error);
+        UI.showNotification('Failed to update habit. Please try again.', 'error');
+    }
+}
+
+/**
+ * Move a habit next to another one in the custom order
+ * @param {string} habitId - ID of the habit to move
+ * @param {string} targetId - ID of the habit to put it next to
+ * @param {string} position - 'before' or 'after' the target
+ */
+async function handleHabitReorder(habitId, targetId, position) {
+    try {
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit || habitId === targetId) {
+            return;
+        }
+
+        // Renumber every habit (archived ones too), so the order stays the same in every view
+        const ordered = Filters.sortHabits(habits, Filters.SORT_OPTIONS.MANUAL).filter(h => h.id !== habitId);
+        const targetIndex = ordered.findIndex(h => h.id === targetId);
+        if (targetIndex < 0) {
+            return;
+        }
+        ordered.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, habit);
+
+        const changed = ordered.filter((h, i) => h.order !== i);
+        if (changed.length === 0) {
+            return;
+        }
+
+        const before = snapshotHabits(changed.map(h => h.id));
+        ordered.forEach((h, i) => {
+            h.order = i;
+        });
+
+        if (await Storage.updateHabits(changed, [])) {
+            // No toast for every move; Ctrl+Z still undoes it
+            recordChange(`move "${habit.name}"`, before);
+            renderHabits();
+        } else {
+            throw new Error('Failed to save new order');
+        }
+    } catch (error) {
+        console.error('Error reordering habits:', error);
+        UI.showNotification('Failed to move habit. Please try again.', 'error');
+        await loadHabits();
+        renderHabits();
+    }
+}
+
+/**
+ * Handle habit edit button click
+ */
+function handleHabitEdit(habitId) {
+    const habit = habits.find(h => h.id === habitId);
+    if (!habit) {
+        console.error(`Habit with ID ${habitId} not found`);
+        return;
+    }
+
+    // Populate the edit form
+    UI.populateEditForm(habit);
+    
+    // Show the edit modal
+    UI.showModal('edit-habit-modal');
+}
+
+/**
+ * Handle Edit Habit form submission
+ */
+async function handleEditHabitSubmit(e) {
+    e.preventDefault();
+
+    try {
+        const form = e.target;
+        const habitId = form.dataset.habitId;
+        
+        if (!habitId) {
+            throw new Error('No habit ID found in form');
+        }
+
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            throw new Error(`Habit with ID ${habitId} not found`);
+        }
+
+        const formData = UI.getHabitFormData(form);
+
+        // Validate form data
+        if (!formData || !formData.name || formData.name.trim() === '') {
+            UI.showNotification('Please enter a habit name', 'error');
+            return;
+        }
+        
+        // Validate habit name length
+        if (formData.name.length > 100) {
+            UI.showNotification('Habit name is too long (max 100 characters)', 'error');
+            return;
+        }
+
+        // Validate daily target if provided
+        if (formData.target !== null && !(formData.target > 0)) {
+            UI.showNotification('Daily target must be a positive number', 'error');
+            return;
+        }
+
+        const before = snapshotHabits([habitId]);
+
+        // Apply the schedule and reminders first; if one is invalid, put the habit back as it was
+        try {
+            habit.setSchedule(formData.schedule);
+            habit.setReminders(formData.reminders);
+            habit.setNagging(formData.nagging);
+        } catch (error) {
+            await restoreSnapshots(before);
+            UI.showNotification(error.message, 'error');
+            return;
+        }
+
+        // Update habit properties
+        habit.name = formData.name;
+        habit.setTimeSlot(formData.timeSlot);
+        habit.setDaysOfWeek(formData.daysOfWeek);
+        habit.notes = formData.notes || '';
+        habit.tags = Filters.matchExistingTags(formData.tags || [], Filters.getAllTags(habits));
+        habit.setTarget(formData.target, formData.unit);
+        habit.setType(formData.type);
+
+        // Save to storage
+        if (await saveHabit(habit)) {
+            UI.showNotification('Habit updated successfully!', 'success', recordChange(`edit "${habit.name}"`, before));
+        } else {
+            throw new Error('Failed to save changes');
+        }
+
+        // Re-render the list, since a new name, tags or schedule can move the habit in it
+        renderHabits();
+
+        // Close modal
+        UI.hideModal('edit-habit-modal');
+    } catch (error) {
+        console.error('Error updating habit:', error);
+        UI.showNotification('Failed to update habit. Please try again.', 'error');
+    }
+}
+
+/**
+ * Open the journal entry of a habit for one day
+ * @param {string} habitId - ID of the habit
+ * @param {string} date - ISO date string of the day
+ */
+function handleJournalEdit(habitId, date) {
+    const habit = habits.find(h => h.id === habitId);
+    if (!habit) {
+        console.error(`Habit with ID ${habitId} not found`);
+        UI.showNotification('Habit not found', 'error');
+        return;
+    }
+
+    if (habit.isArchived() || !habit.canEditOn(date)) {
+        UI.showNotification(`"${habit.name}" can't be changed for ${date}`, 'error');
+        return;
+    }
+
+    UI.populateJournalForm(habit, date);
+    UI.showModal('journal-modal');
+
+    const noteInput = document.getElementById('journal-note');
+    if (noteInput) {
+        noteInput.focus();
+    }
+}
+
+/**
+ * Handle journal form submission
+ */
+async function handleJournalSubmit(e) {
+    e.preventDefault();
+    await saveJournalEntry(e.target, UI.getJournalFormData(e.target));
+}
+
+/**
+ * Remove the journal entry open in the journal form
+ */
+async function handleJournalClear() {
+    const form = document.getElementById('journal-form');
+    if (form) {
+        await saveJournalEntry(form, {});
+    }
+}
+
+/**
+ * Save a journal entry for the habit and day the journal form is open for
+ * @param {HTMLFormElement} form - The journal form
+ * @param {Object} entry - Entry to save ({ note, mood, effort }); an empty entry removes the day's entry
+ */
+async function saveJournalEntry(form, entry) {
+    try {
+        const { habitId, date } = form.dataset;
+        const habit = habits.find(h => h.id === habitId);
+        if (!habit) {
+            throw new Error(`Habit with ID ${habitId} not found`);
+        }
+
+        const before = snapshotHabits([habitId]);
+        const hadEntry = Boolean(habit.getJournalEntry(date));
+        habit.setJournalEntry(date, entry);
+        const hasEntry = Boolean(habit.getJournalEntry(date));
+
+        UI.hideModal('journal-modal');
+        if (!hadEntry && !hasEntry) {
+            return;
+        }
+
+        if (await saveHabit(habit)) {
+            const message = hasEntry ? `Journal note saved for ${date}` : `Journal note removed for ${date}`;
+            UI.showNotification(message, 'success', recordChange(`journal note for ${date}`, before));
+            refreshHabitCard(habit);
+        } else {
+            throw new Error('Failed to save journal entry');
+        }
+    } catch (error) {
+        console.error('Error saving journal entry:', error);
+        UI.showNotification('Failed to save journal note. Please try again.', 'error');
+    }
+}
+
+/**
+ * Get callback functions for UI components
+ */
+function getCallbacks() {
+    return {
+        onComplete: handleHabitComplete,
+        onLogValue: handleHabitValueChange,
+        onSlip: handleHabitSlip,
+        onToggleDate: handleHabitDateToggle,
+        onEditJournal: handleJournalEdit,
+        onDelete: handleHabitDelete,
+        onEdit: handleHabitEdit,
+        onArchive: handleHabitArchive,
+        // Habits can only be dragged into place while the list shows the custom order
+        onReorder: isListView(currentView) && listOptions.sort === Filters.SORT_OPTIONS.MANUAL ? handleHabitReorder : null,
+        onToggleGroup: (tag, collapsed) => updateListOptions({
+            collapsedTags: collapsed
+                ? [...listOptions.collapsedTags, tag]
+                : listOptions.collapsedTags.filter(t => t !== tag)
+        }),
+        onBack: () => Router.leave(Router.getPath(Router.ROUTES.ALL))
+    };
+}
+
+/**
+ * Render habits based on current view
+ */
+function renderHabits() {
+    const container = document.getElementById('habits-list');
+    if (!container) {
+        console.error('Habits list container not found');
+        return;
+    }
+
+    const callbacks = getCallbacks();
+
+    if (currentView === Router.ROUTES.HABIT) {
+        const habit = habits.find(h => h.id === currentHabitId);
+        if (!habit) {
+            // e.g. the habit was deleted, or an undo removed it
+            Router.navigate(Router.getPath(Router.ROUTES.ALL), { replace: true });
+            return;
+        }
+        UI.renderHabitDetail(habit, container, callbacks);
+    } else if (currentView === 'archived') {
+        UI.renderArchivedHabits(habits, container, callbacks);
+    } else if (currentView === 'stats') {
+        UI.renderStatsDashboard(habits, container);
+        getAppStats().then(appStats => UI.renderStorageStats(appStats.storageStats));
+    } else {
+        renderFilteredList(container, callbacks);
+    }
+
+    UI.renderListToolbar(isListView(currentView) ? listOptions : null, Filters.getAllTags(activeHabits()));
+    updateViewButtons();
+}
+
+/**
+ * Render the habit list for the current list view, tag filter, search and sort order
+ * @param {HTMLElement} container - Habits list container
+ * @param {Object} callbacks - Callbacks for the habit cards
+ */
+function renderFilteredList(container, callbacks) {
+    const active = activeHabits();
+
+    // A tag that's no longer used would hide everything
+    if (listOptions.tag && !Filters.getAllTags(active).includes(listOptions.tag)) {
+        listOptions.tag = '';
+    }
+
+    const visible = Filters.applyListOptions(active, listOptions);
+    const isFiltered = listOptions.view !== Filters.LIST_VIEWS.ALL || listOptions.tag || listOptions.search.trim();
+    const emptyMessages = {
+        [Filters.LIST_VIEWS.TODAY]: 'Nothing scheduled today.',
+        [Filters.LIST_VIEWS.PENDING]: 'All done for today! 🎉',
+        [Filters.LIST_VIEWS.COMPLETED]: 'Nothing completed yet today.'
+    };
+    const emptyMessage = listOptions.tag || listOptions.search.trim()
+        ? 'No habits match your search or tag filter.'
+        : emptyMessages[listOptions.view];
+
+    if (listOptions.groupByTag && visible.length > 0) {
+        // Group totals cover every active habit with the tag, not just the ones shown
+        const groups = Filters.groupByTag(visible).map(group => ({
+            ...group,
+            summary: Stats.getGroupSummary(group.tag
+                ? active.filter(h => h.tags.includes(group.tag))
+                : active.filter(h => h.tags.length === 0))
+        }));
+        UI.renderGroupedHabitList(groups, container, callbacks, listOptions.collapsedTags);
+        return;
+    }
+
+    // With no filters, an empty list means there are no habits yet (the default empty state)
+    if (showsTodaySections()) {
+        UI.renderTodayHabits(visible, container, callbacks, settings.routines, active.length > 0 ? emptyMessage : null);
+        return;
+    }
+    UI.renderHabitList(visible, container, callbacks, active.length > 0 && isFiltered ? emptyMessage : null);
+}
+
+/**
+ * Check whether the list is the Today view split by time of day (it isn't when grouped by tag)
+ * @returns {boolean} True if the Today sections are shown
+ */
+function showsTodaySections() {
+    return isListView(currentView) && listOptions.view === Filters.LIST_VIEWS.TODAY && !listOptions.groupByTag;
+}
+
+/**
+ * Re-render a habit after a change to its history
+ * Grouped lists and the Today sections are re-rendered whole, since the habit can appear in several
+ * places and their totals change
+ * @param {Habit} habit - Habit that changed
+ */
+function refreshHabitCard(habit) {
+    if ((isListView(currentView) && listOptions.groupByTag) || showsTodaySections()) {
+        renderHabits();
+    } else {
+        UI.updateHabitCard(habit.id, habit, getCallbacks());
+    }
+}
+
+/**
+ * Get the habits that aren't archived
+ * @returns {Array<Habit>} Active habits
+ */
+function activeHabits() {
+    return habits.filter(h => !h.isArchived());
+}
+
+/**
+ * Check whether a view is one of the habit list views
+ * @param {string} view - View name
+ * @returns {boolean} True for All, Today, Pending and Completed
+ */
+function isListView(view) {
+    return Object.values(Filters.LIST_VIEWS).includes(view);
+}
+
+/**
+ * Change the habit list options, re-render the list and remember the choice
+ * @param {Object} changes - Options to change (view, sort, tag, search)
+ */
+function updateListOptions(changes) {
+    listOptions = { ...listOptions, ...changes };
+
+    if (isListView(currentView)) {
+        renderHabits();
+    }
+
+    // Searches are saved once the user stops typing
+    clearTimeout(saveListOptionsTimer);
+    saveListOptionsTimer = setTimeout(() => {
+        settings.listOptions = listOptions;
+        saveSettings();
+    }, 'search' in changes ? 500 : 0);
+}
+
+/**
+ * Update the view buttons (stats, archived) for the current view
+ */
+function updateViewButtons() {
+    const statsBtn = document.getElementById('stats-btn');
+    if (statsBtn) {
+        statsBtn.textContent = currentView === 'stats' ? '← Back to Habits' : '📊 Stats';
+    }
+
+    const archivedBtn = document.getElementById('archived-btn');
+    if (archivedBtn) {
+        const archivedCount = habits.filter(h => h.isArchived()).length;
+        archivedBtn.textContent = currentView === 'archived'
+            ? '← Back to Habits'
+            : `🗄 Archived${archivedCount > 0 ? ` (${archivedCount})` : ''}`;
+    }
+}
+
+/**
+ * Switch between different views
+ * Goes through the router, so the view ends up in the URL and in the browser history
+ * @param {string} view - One of Router.ROUTES
+ * @param {string|null} habitId - Habit to show, for the habit detail view
+ */
+function setView(view, habitId = null) {
+    Router.navigate(Router.getPath(view, habitId));
+}
+
+/**
+ * Show the view for a route
+ * Settings opens as a modal over whatever view was showing
+ * @param {{name: string, habitId: string|null}} route - Route from the router
+ * @param {Object} options - Route options
+ * @param {boolean} options.initial - Whether this is the first route since the app loaded
+ */
+function handleRoute(route, { initial }) {
+    console.log('[App] Route:', route.name, route.habitId || '');
+
+    if (route.name === Router.ROUTES.SETTINGS) {
+        if (initial) {
+            renderHabits();
+        }
+        UI.showModal('settings-modal');
+        return;
+    }
+
+    // Back/forward away from #/settings closes the modal
+    if (isModalOpen('settings-modal')) {
+        UI.hideModal('settings-modal');
+    }
+
+    // Opening the app without a route goes back to the list view used last time
+    if (initial && !window.location.hash && route.name === Router.ROUTES.ALL && listOptions.view !== Filters.LIST_VIEWS.ALL) {
+        Router.navigate(Router.getPath(listOptions.view), { replace: true });
+        return;
+    }
+
+    if (route.name === Router.ROUTES.HABIT && !habits.some(h => h.id === route.habitId)) {
+        UI.showNotification('Habit not found', 'error');
+        Router.navigate(Router.getPath(Router.ROUTES.ALL), { replace: true });
+        return;
+    }
+
+    const isNewPage = route.name !== currentView || route.habitId !== currentHabitId;
+    currentView = route.name;
+    currentHabitId = route.habitId;
+
+    if (isListView(route.name) && route.name !== listOptions.view) {
+        updateListOptions({ view: route.name });
+    } else {
+        renderHabits();
+    }
+
+    const habit = habits.find(h => h.id === currentHabitId);
+    document.title = habit ? `${habit.name} · Habit Tracker` : 'Habit Tracker';
+
+    if (isNewPage && !initial) {
+        window.scrollTo(0, 0);
+    }
+}
+
+/**
+ * Open the settings modal (at #/settings)
+ */
+function openSettings() {
+    Router.navigate(Router.getPath(Router.ROUTES.SETTINGS));
+}
+
+/**
+ * Close the settings modal, leaving #/settings if that's where we are
+ */
+function closeSettings() {
+    if (Router.getCurrentRoute().name === Router.ROUTES.SETTINGS) {
+        Router.leave(Router.getPath(currentView, currentHabitId));
+    } else if (isModalOpen('settings-modal')) {
+        UI.hideModal('settings-modal');
+    }
+}
+
+/**
+ * Check whether a modal is showing
+ * @param {string} modalId - ID of the modal
+ * @returns {boolean} True if the modal is open
+ */
+function isModalOpen(modalId) {
+    const modal = document.getElementById(modalId);
+    return Boolean(modal && !modal.classList.contains('hidden'));
+}
+
+/**
+ * Render the vacation list in the settings modal
+ */
+function renderVacations() {
+    const container = document.getElementById('vacation-list');
+    UI.renderVacationList(settings.vacations, container, handleRemoveVacation);
+}
+
+/**
+ * Handle adding a global vacation range from the settings modal
+ */
+async function handleAddVacation() {
+    const startInput = document.getElementById('vacation-start');
+    const endInput = document.getElementById('vacation-end');
+    if (!startInput || !endInput) return;
+
+    const start = startInput.value;
+    const end = endInput.value || start;
+
+    if (!start) {
+        UI.showNotification('Please choose a start date for the vacation', 'error');
+        return;
+    }
+
+    if (end < start) {
+        UI.showNotification('Vacation end date must be on or after the start date', 'error');
+        return;
+    }
+
+    settings.vacations = [...settings.vacations, { start, end }]
+        .sort((a, b) => a.start.localeCompare(b.start));
+
+    if (await saveSettings()) {
+        Habit.setVacationRanges(settings.vacations);
+        startInput.value = '';
+        endInput.value = '';
+        renderVacations();
+        renderHabits();
+        scheduleReminderSync();
+        UI.showNotification('Vacation added. Streaks are frozen on those days.', 'success');
+    }
+}
+
+/**
+ * Handle removing a global vacation range
+ * @param {number} index - Index of the range in settings.vacations
+ */
+async function handleRemoveVacation(index) {
+    settings.vacations = settings.vacations.filter((_, i) => i !== index);
+
+    if (await saveSettings()) {
+        Habit.setVacationRanges(settings.vacations);
+        renderVacations();
+        renderHabits();
+        scheduleReminderSync();
+        UI.showNotification('Vacation removed', 'info');
+    }
+}
+
+/**
+ * Render the routine manager in the settings modal
+ */
+function renderRoutineManager() {
+    const container = document.getElementById('routine-manager');
+    UI.renderRoutineManager(settings.routines, habits, container, {
+        onRename: (routineId, name) => updateRoutine(routineId, routine => ({ ...routine, name })),
+        onDelete: handleDeleteRoutine,
+        onToggleChain: (routineId, enabled) => updateRoutine(routineId, routine => ({ ...routine, chainReminders: enabled })),
+        onAddHabit: (routineId, habitId) => updateRoutine(routineId, routine => ({
+            ...routine,
+            habitIds: [...routine.habitIds.filter(id => id !== habitId), habitId]
+        })),
+        onRemoveHabit: (routineId, habitId) => updateRoutine(routineId, routine => ({
+            ...routine,
+            habitIds: routine.habitIds.filter(id => id !== habitId)
+        })),
+        onMove: (routineId, habitId, offset) => updateRoutine(routineId, routine => Routine.moveHabitInRoutine(routine, habitId, offset))
+    });
+}
+
+/**
+ * Handle adding a routine from the settings modal
+ */
+async function handleAddRoutine() {
+    const nameInput = document.getElementById('routine-name');
+    if (!nameInput) return;
+
+    const name = nameInput.value.trim();
+    if (!name) {
+        UI.showNotification('Please enter a routine name', 'error');
+        return;
+    }
+
+    settings.routines = [...settings.routines, Routine.createRoutine(name)];
+
+    if (await saveSettings()) {
+        nameInput.value = '';
+        renderRoutineManager();
+        UI.showNotification(`Routine "${name}" added. Now add its habits in order.`, 'success');
+    }
+}
+
+/**
+ * Change a routine and save it
+ * @param {string} routineId - ID of the routine
+ * @param {Function} update - Gets the routine and returns the changed copy
+ */
+async function updateRoutine(routineId, update) {
+    // Drop habits that have been deleted, so moving a step never swaps it with one that isn't listed
+    const existingIds = new Set(habits.map(h => h.id));
 
-        // Remove from array
-        habits = habits.filter(h => h.id !== habitId);
+    settings.routines = settings.routines.map(routine => routine.id !== routineId ? routine : update({
+        ...routine,
+        habitIds: routine.habitIds.filter(id => existingIds.has(id))
+    }));
 
-        // Save changes
-        if (saveHabits()) {
-            UI.showNotification(`"${habit.name}" deleted`, 'info');
-            // Remove from UI
-            UI.removeHabitCard(habitId);
-        } else {
-            throw new Error('Failed to save after deletion');
-        }
-    } catch (error) {
-        console.error('Error deleting habit:', error);
-        UI.showNotification('Failed to delete habit. Please try again.', 'error');
+    if (await saveSettings()) {
+        renderRoutineManager();
+        renderHabits();
     }
 }
 
 /**
- * Handle habit edit button click
+ * Handle deleting a routine (its habits are kept)
+ * @param {string} routineId - ID of the routine
  */
-function handleHabitEdit(habitId) {
-    const habit = habits.find(h => h.id === habitId);
-    if (!habit) {
-        console.error(`Habit with ID ${habitId} not found`);
+async function handleDeleteRoutine(routineId) {
+    const routine = settings.routines.find(r => r.id === routineId);
+    if (!routine) {
         return;
     }
 
-    // Populate the edit form
-    UI.populateEditForm(habit);
-    
-    // Show the edit modal
-    UI.showModal('edit-habit-modal');
+    // No confirmation needed - the toast offers Undo instead
+    const routinesBefore = settings.routines;
+    settings.routines = settings.routines.filter(r => r.id !== routineId);
+
+    if (await saveSettings()) {
+        renderRoutineManager();
+        renderHabits();
+        UI.showNotification(`Routine "${routine.name}" deleted`, 'info', recordChange(`delete routine "${routine.name}"`, [], routinesBefore));
+    }
 }
 
 /**
- * Handle Edit Habit form submission
+ * Point to the next habit in the routines of a habit that was just completed today
+ * Routines with chained reminders also send that habit's reminder right away
+ * @param {Habit} habit - Habit that was completed
+ * @returns {Habit|null} The next habit to do, if the habit is part of an unfinished routine
  */
-function handleEditHabitSubmit(e) {
-    e.preventDefault();
+function advanceRoutines(habit) {
+    let nextUp = null;
 
-    try {
-        const form = e.target;
-        const habitId = form.dataset.habitId;
-        
-        if (!habitId) {
-            throw new Error('No habit ID found in form');
-        }
+    Routine.getRoutinesForHabit(settings.routines, habit.id).forEach(routine => {
+        const next = Routine.getNextInRoutine(routine, habits, habit.id);
+        if (!next) return;
 
-        const habit = habits.find(h => h.id === habitId);
-        if (!habit) {
-            throw new Error(`Habit with ID ${habitId} not found`);
+        nextUp = nextUp || next;
+        if (routine.chainReminders) {
+            console.log(`[Routines] "${routine.name}": reminding about "${next.name}"`);
+            Notifications.showRoutineReminder(next, routine);
         }
+    });
 
-        const formData = UI.getHabitFormData(form);
+    return nextUp;
+}
 
-        // Validate form data
-        if (!formData || !formData.name || formData.name.trim() === '') {
-            UI.showNotification('Please enter a habit name', 'error');
-            return;
-        }
-        
-        // Validate habit name length
-        if (formData.name.length > 100) {
-            UI.showNotification('Habit name is too long (max 100 characters)', 'error');
-            return;
-        }
+/**
+ * Render the tag manager in the settings modal
+ */
+function renderTagManager() {
+    const container = document.getElementById('tag-manager');
+    const tags = Filters.getAllTags(habits).map(tag => ({
+        tag,
+        count: habits.filter(h => h.tags.includes(tag)).length,
+        color: settings.tagColors[tag] || null
+    }));
+
+    UI.renderTagManager(tags, container, {
+        onRename: handleTagRename,
+        onDelete: handleTagDelete,
+        onColor: handleTagColor
+    });
+}
 
-        // Update habit properties
-        habit.name = formData.name;
-        habit.setNotificationTime(formData.notificationTime);
-        habit.setDaysOfWeek(formData.daysOfWeek);
-        habit.notes = formData.notes || '';
-        habit.tags = formData.tags || [];
+/**
+ * Rename a tag on every habit, merging it into the other tag if the new name is already in use
+ * @param {string} oldTag - Tag to rename
+ * @param {string} newTag - New name
+ */
+async function handleTagRename(oldTag, newTag) {
+    try {
+        // Reuse the spelling of an existing tag that only differs in case
+        const otherTags = Filters.getAllTags(habits).filter(tag => tag !== oldTag);
+        const targetTag = Filters.matchExistingTags([newTag], otherTags)[0];
+        // No confirmation needed for a merge either - the toast offers Undo instead
+        const isMerge = otherTags.includes(targetTag);
+
+        const tagged = habits.filter(h => h.tags.includes(oldTag));
+        const before = snapshotHabits(tagged.map(h => h.id));
+        tagged.forEach(habit => habit.renameTag(oldTag, targetTag));
+
+        // The old name keeps its color too, so undoing the rename brings the color back
+        if (settings.tagColors[oldTag] && !settings.tagColors[targetTag]) {
+            settings.tagColors = { ...settings.tagColors, [targetTag]: settings.tagColors[oldTag] };
+            UI.setTagColors(settings.tagColors);
+            await saveSettings();
+        }
 
-        // Save to storage
-        if (saveHabits()) {
-            UI.showNotification('Habit updated successfully!', 'success');
+        if (await Storage.updateHabits(tagged, [])) {
+            if (listOptions.tag === oldTag) {
+                listOptions.tag = targetTag;
+            }
+            const label = isMerge ? `merge "${oldTag}" into "${targetTag}"` : `rename "${oldTag}" to "${targetTag}"`;
+            const message = isMerge ? `Merged "${oldTag}" into "${targetTag}"` : `Renamed "${oldTag}" to "${targetTag}"`;
+            UI.showNotification(message, 'success', recordChange(label, before));
+            renderTagManager();
+            renderHabits();
         } else {
-            throw new Error('Failed to save changes');
+            throw new Error('Failed to save habits');
         }
-
-        // Update the UI
-        const callbacks = getCallbacks();
-        UI.updateHabitCard(habitId, habit, callbacks);
-
-        // Close modal
-        UI.hideModal('edit-habit-modal');
     } catch (error) {
-        console.error('Error updating habit:', error);
-        UI.showNotification('Failed to update habit. Please try again.', 'error');
+        console.error('Error renaming tag:', error);
+        UI.showNotification('Failed to rename tag. Please try again.', 'error');
+        await loadHabits();
+        renderTagManager();
+        renderHabits();
     }
 }
 
 /**
- * Get callback functions for UI components
- */
-function getCallbacks() {
-    return {
-        onComplete: handleHabitComplete,
-        onDelete: handleHabitDelete,
-        onEdit: handleHabitEdit
-    };
-}
-
-/**
- * Render habits based on current view
+ * Remove a tag from every habit
+ * @param {string} tag - Tag to remove
  */
-function renderHabits() {
-    const container = document.getElementById('habits-list');
-    if (!container) {
-        console.error('Habits list container not found');
-        return;
-    }
-
-    const callbacks = getCallbacks();
+async function handleTagDelete(tag) {
+    try {
+        const tagged = habits.filter(h => h.tags.includes(tag));
+        const before = snapshotHabits(tagged.map(h => h.id));
+        tagged.forEach(habit => habit.removeTag(tag));
 
-    if (currentView === 'today') {
-        UI.renderTodayHabits(habits, container, callbacks);
-    } else {
-        UI.renderHabitList(habits, container, callbacks);
+        if (await Storage.updateHabits(tagged, [])) {
+            UI.showNotification(`Removed "${tag}" from ${tagged.length} habit${tagged.length !== 1 ? 's' : ''}`, 'info', recordChange(`remove tag "${tag}"`, before));
+            renderTagManager();
+            renderHabits();
+        } else {
+            throw new Error('Failed to save habits');
+        }
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        UI.showNotification('Failed to remove tag. Please try again.', 'error');
+        await loadHabits();
+        renderTagManager();
+        renderHabits();
     }
 }
 
 /**
- * Switch between different views
+ * Change the color of a tag
+ * @param {string} tag - Tag to color
+ * @param {string} color - "#rrggbb"
  */
-function setView(view) {
-    currentView = view;
-    renderHabits();
+async function handleTagColor(tag, color) {
+    settings.tagColors = { ...settings.tagColors, [tag]: color };
+
+    if (await saveSettings()) {
+        UI.setTagColors(settings.tagColors);
+        renderHabits();
+    }
 }
 
 /**
@@ -589,8 +1867,8 @@ function handleInstallDismiss() {
 function setupNotifications() {
     console.log('[App] Setting up notifications...');
     
-    // Check if any habits have notifications enabled
-    const hasNotifications = habits.some(h => h.notificationTime);
+    // Check if any habits have notifications enabled, or a daily summary is
+    const hasNotifications = habits.some(h => h.notificationTime) || Notifications.hasSummaryNotifications();
     console.log(`[App] Habits with notifications: ${habits.filter(h => h.notificationTime).length}`);
     
     if (hasNotifications && Notifications.isNotificationSupported()) {
@@ -602,6 +1880,7 @@ function setupNotifications() {
         if (permission === 'granted') {
             console.log('[App] Permission already granted, starting checks');
             startNotificationChecks();
+            syncReminders();
         } else if (permission === 'default') {
             console.log('[App] Notification permission not yet requested. Use Settings to enable.');
         } else {
@@ -636,6 +1915,7 @@ async function requestNotificationPermission() {
     if (permission === 'granted') {
         UI.showNotification('Notifications enabled! You\'ll receive reminders for your habits.', 'success');
         startNotificationChecks();
+        await syncReminders();
     } else if (permission === 'denied') {
         UI.showNotification('Notifications are disabled. You can enable them in your browser settings.', 'info');
     }
@@ -643,6 +1923,7 @@ async function requestNotificationPermission() {
 
 /**
  * Start checking for notifications every minute
+ * The service worker shows due reminders when it controls the page; otherwise the page checks itself
  */
 function startNotificationChecks() {
     console.log('[App] Starting notification checks...');
@@ -654,17 +1935,70 @@ function startNotificationChecks() {
     
     // Check immediately
     console.log('[App] Running initial notification check');
-    Notifications.checkAllHabitsForNotifications(habits);
+    checkReminders();
     
     // Then check every minute
     notificationCheckInterval = setInterval(() => {
         console.log('[App] Running periodic notification check');
-        Notifications.checkAllHabitsForNotifications(habits);
+        checkReminders();
     }, 60000); // Every minute
+
+    // Background tabs are throttled and sleeping devices skip checks; catch up when the app is back
+    document.addEventListener('visibilitychange', handleVisibilityChange);
     
     console.log('[App] Notification checks started (checking every 60 seconds)');
 }
 
+/**
+ * Show reminders that are due, through the service worker if there is one
+ * Either way, reminders missed within settings.reminderGraceMinutes are caught up, once across tabs
+ */
+function checkReminders() {
+    if (!Notifications.requestReminderCheck()) {
+        Notifications.checkAllHabitsForNotifications(habits, settings.reminderGraceMinutes);
+    }
+}
+
+/**
+ * Check for missed reminders when the app comes back into view
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+        console.log('[App] App visible again, checking for missed reminders');
+        checkReminders();
+    }
+}
+
+/**
+ * Update the saved reminder schedule shortly, so a burst of changes is saved once
+ */
+function scheduleReminderSync() {
+    clearTimeout(reminderSyncTimer);
+    reminderSyncTimer = setTimeout(syncReminders, 1000);
+}
+
+/**
+ * Save the upcoming reminders for the service worker, so they arrive while the app is closed
+ */
+async function syncReminders() {
+    clearTimeout(reminderSyncTimer);
+    reminderSyncTimer = null;
+
+    if (Notifications.getNotificationPermission() !== 'granted') {
+        return;
+    }
+
+    try {
+        const reminders = Notifications.buildReminderSchedule(habits);
+        if (await Storage.saveReminderSchedule(reminders)) {
+            backgroundDelivery = await Notifications.updateBackgroundReminders();
+            console.log(`[App] Saved ${reminders.length} upcoming reminders (background delivery: ${backgroundDelivery.join(', ') || 'none'})`);
+        }
+    } catch (error) {
+        console.error('[App] Error updating reminders:', error);
+    }
+}
+
 /**
  * Stop notification checks
  */
@@ -672,6 +2006,7 @@ function stopNotificationChecks() {
     if (notificationCheckInterval) {
         clearInterval(notificationCheckInterval);
         notificationCheckInterval = null;
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
         console.log('Notification checks stopped');
     }
 }
@@ -695,13 +2030,31 @@ function updateNotificationStatus() {
     
     const permission = Notifications.getNotificationPermission();
     const stats = Notifications.getNotificationStats(habits);
+
+    const graceSelect = document.getElementById('reminder-grace');
+    if (graceSelect) {
+        graceSelect.value = String(settings.reminderGraceMinutes);
+    }
+    const scheduleInputs = {
+        'quiet-hours-start': settings.quietHours ? settings.quietHours.start : '',
+        'quiet-hours-end': settings.quietHours ? settings.quietHours.end : '',
+        'morning-plan-time': settings.morningPlan || '',
+        'evening-digest-time': settings.eveningDigest || ''
+    };
+    Object.entries(scheduleInputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
     
     if (!Notifications.isNotificationSupported()) {
         statusDiv.textContent = '❌ Notifications are not supported in this browser';
         statusDiv.className = 'disabled';
         enableBtn.style.display = 'none';
     } else if (permission === 'granted') {
-        statusDiv.textContent = `✅ Notifications enabled • ${stats.withNotifications} habit${stats.withNotifications !== 1 ? 's' : ''} with reminders`;
+        const delivery = backgroundDelivery.length > 0
+            ? `reminders also arrive while the app is closed (${backgroundDelivery.map(way => BACKGROUND_DELIVERY_LABELS[way]).join(', ')})`
+            : 'reminders arrive while the app is open';
+        statusDiv.textContent = `✅ Notifications enabled • ${stats.withNotifications} habit${stats.withNotifications !== 1 ? 's' : ''} with reminders • ${delivery}`;
         statusDiv.className = 'enabled';
         enableBtn.style.display = 'none';
     } else if (permission === 'denied') {
@@ -715,6 +2068,61 @@ function updateNotificationStatus() {
     }
 }
 
+/**
+ * Handle changing how late missed reminders are still shown
+ * @param {Event} e - Change event of the select
+ */
+async function handleReminderGraceChange(e) {
+    const minutes = parseInt(e.target.value, 10);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+        return;
+    }
+
+    settings.reminderGraceMinutes = minutes;
+    if (await saveSettings()) {
+        UI.showNotification(minutes > 0
+            ? 'Missed reminders will be shown when the app or device wakes up'
+            : 'Missed reminders will be skipped', 'info');
+    }
+}
+
+/**
+ * Handle changing quiet hours or the time of the morning plan or evening digest
+ */
+async function handleNotificationScheduleChange() {
+    const getValue = id => {
+        const input = document.getElementById(id);
+        return input && input.value ? input.value : null;
+    };
+    const quietStart = getValue('quiet-hours-start');
+    const quietEnd = getValue('quiet-hours-end');
+
+    // Wait for both ends of the quiet hours
+    if (Boolean(quietStart) !== Boolean(quietEnd)) {
+        return;
+    }
+    if (quietStart && quietStart === quietEnd) {
+        UI.showNotification('Quiet hours need to end at a different time than they start', 'error');
+        return;
+    }
+
+    settings.quietHours = quietStart ? { start: quietStart, end: quietEnd } : null;
+    settings.morningPlan = getValue('morning-plan-time');
+    settings.eveningDigest = getValue('evening-digest-time');
+
+    if (await saveSettings()) {
+        Notifications.setNotificationPreferences(settings);
+        scheduleReminderSync();
+
+        // Summaries need the checks even when no habit has a reminder
+        if (!notificationCheckInterval && Notifications.hasSummaryNotifications() &&
+            Notifications.getNotificationPermission() === 'granted') {
+            startNotificationChecks();
+        }
+        UI.showNotification('Notification settings saved', 'success');
+    }
+}
+
 /**
  * Test notification functionality
  */
@@ -743,12 +2151,12 @@ async function handleTestNotification() {
     
     // Show test notification
     console.log('[App] Showing test notification...');
-    const notification = Notifications.showNotification('🧪 Test Notification', {
+    const shown = await Notifications.showNotification('🧪 Test Notification', {
         body: 'If you can see this, notifications are working!',
         tag: 'test-notification'
     });
     
-    if (notification) {
+    if (shown) {
         console.log('[App] Test notification shown successfully');
         UI.showNotification('Test notification sent!', 'success');
     } else {
@@ -764,6 +2172,8 @@ async function handleTestNotification() {
  */
 function registerServiceWorker() {
     if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+
         window.addEventListener('load', () => {
             navigator.serviceWorker.register('./service-worker.js')
                 .then(registration => {
@@ -778,6 +2188,10 @@ function registerServiceWorker() {
                             }
                         });
                     });
+
+                    // Hand the reminders over once the service worker is running (on the first visit
+                    // it wasn't when they were first saved)
+                    return navigator.serviceWorker.ready.then(() => scheduleReminderSync());
                 })
                 .catch(error => {
                     console.log('Service Worker registration failed:', error);
@@ -786,6 +2200,40 @@ function registerServiceWorker() {
     }
 }
 
+/**
+ * Handle a message from the service worker
+ * A reminder's Complete button saves the completion from the service worker, so the habit is
+ * reloaded here; otherwise this window would show it as not done and save over it with its old copy
+ * @param {MessageEvent} event - Message from the service worker
+ */
+async function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+    if (message.type !== 'HABIT_COMPLETED') {
+        return;
+    }
+
+    try {
+        const stored = await Storage.getHabitById(message.habitId);
+        const index = habits.findIndex(h => h.id === message.habitId);
+        if (!stored || index === -1) {
+            return;
+        }
+
+        const before = snapshotHabits([stored.id]);
+        habits[index] = stored;
+        const undoAction = recordChange(`complete "${stored.name}"`, before);
+
+        const nextUp = advanceRoutines(stored);
+        const nextText = nextUp ? ` Next up: "${nextUp.name}"` : '';
+        UI.showNotification(`"${stored.name}" completed from its reminder.${nextText}`, 'success', undoAction);
+
+        refreshHabitCard(stored);
+        scheduleReminderSync();
+    } catch (error) {
+        console.error('[App] Error loading a habit completed from a notification:', error);
+    }
+}
+
 /**
  * Initialize theme from localStorage
  */
@@ -821,17 +2269,10 @@ function updateThemeToggleIcon(theme) {
 /**
  * Export data (for future use)
  */
-function exportHabits() {
-    const data = Storage.exportData();
+async function exportHabits() {
+    const data = await Storage.exportData();
     if (data) {
-        // Create a download link
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `habit-tracker-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        downloadFile(data, `habit-tracker-${toLocalDateString(new Date())}.json`, 'application/json');
         
         UI.showNotification('Data exported successfully!', 'success');
     } else {
@@ -842,31 +2283,200 @@ function exportHabits() {
 /**
  * Handle export button click
  */
-function handleExport() {
-    exportHabits();
-    UI.hideModal('settings-modal');
+async function handleExport() {
+    await exportHabits();
+    closeSettings();
 }
 
 /**
- * Import data (for future use)
+ * Export habits as a CSV sheet
+ * The habits sheet and the log sheet are separate downloads, one per click; browsers may block
+ * a second download started without one
+ * @param {string} sheet - 'habits' or 'log' (one row per habit per day)
  */
-function importHabits(file) {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-        const jsonString = e.target.result;
-        const success = Storage.importData(jsonString, false);
-        
-        if (success) {
-            loadHabits();
-            renderHabits();
-            UI.showNotification('Data imported successfully!', 'success');
-        } else {
-            UI.showNotification('Failed to import data', 'error');
+function exportHabitsCSV(sheet = 'habits') {
+    const date = toLocalDateString(new Date());
+    const content = sheet === 'log' ? CSV.logToCSV(habits) : CSV.habitsToCSV(habits);
+    downloadFile(content, `habit-tracker-${date}-${sheet}.csv`, 'text/csv');
+    UI.showNotification(`CSV ${sheet} sheet exported successfully!`, 'success');
+}
+
+/**
+ * Handle export CSV button clicks
+ * @param {string} sheet - 'habits' or 'log'
+ */
+function handleExportCSV(sheet) {
+    try {
+        exportHabitsCSV(sheet);
+    } catch (error) {
+        console.error('Error exporting CSV:', error);
+        UI.showNotification('Failed to export CSV', 'error');
+    }
+    // Settings stay open so the other sheet is one click away
+}
+
+/**
+ * Trigger a download of text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    // Byte order mark so spreadsheet apps read CSV files as UTF-8
+    const parts = type === 'text/csv' ? ['\uFEFF', content] : [content];
+    const blob = new Blob(parts, { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read CSV files (habits sheet and optional log sheet) and show the import preview
+ * @param {Array<File>} files - Selected CSV files
+ */
+async function importHabitsCSV(files) {
+    try {
+        const texts = await Promise.all(files.map(file => file.text()));
+        const habitsText = texts.find(text => CSV.detectSheet(text) === 'habits');
+        const logText = texts.find(text => CSV.detectSheet(text) === 'log') || null;
+
+        if (!habitsText) {
+            throw new Error('No habits sheet selected. Select the habits CSV (and the log CSV) exported by this app');
         }
-    };
-    
-    reader.readAsText(file);
+
+        const { records, warnings } = CSV.csvToHabitRecords(habitsText, logText);
+        if (!logText) {
+            warnings.push('No log sheet selected, so no completion history was imported');
+        }
+
+        showImportPreview(await Storage.previewRecords(records, { warnings }));
+    } catch (error) {
+        console.error('Error reading CSV files:', error);
+        UI.showNotification(`Failed to import CSV: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle CSV import file selection
+ */
+function handleImportCSV(event) {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+        importHabitsCSV(files);
+        closeSettings();
+        // Clear the file input so the same files can be selected again
+        event.target.value = '';
+    }
+}
+
+/**
+ * Read files exported by other habit tracker apps and show the import preview
+ * @param {Array<File>} files - Selected files
+ */
+async function importFromOtherApps(files) {
+    try {
+        const contents = await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+        showImportPreview(await Storage.previewForeignImport(contents));
+    } catch (error) {
+        console.error('Error converting import files:', error);
+        UI.showNotification(`Failed to import: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handle import-from-other-apps file selection
+ */
+function handleImportForeign(event) {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+        importFromOtherApps(files);
+        closeSettings();
+        // Clear the file input so the same files can be selected again
+        event.target.value = '';
+    }
+}
+
+/**
+ * Read an export file and show the import preview
+ * Nothing is saved until the preview is confirmed
+ * @param {File} file - Selected export file
+ */
+async function importHabits(file) {
+    try {
+        const jsonString = await file.text();
+        showImportPreview(await Storage.previewImport(jsonString));
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        UI.showNotification(`Failed to import data: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Show an import preview so the user can pick what to import
+ * @param {Object} preview - Preview from Storage.previewImport or Storage.previewRecords
+ */
+function showImportPreview(preview) {
+    pendingImport = preview;
+
+    if (pendingImport.entries.length === 0 && pendingImport.invalid.length === 0) {
+        pendingImport = null;
+        UI.showNotification('The file contains no habits', 'info');
+        return;
+    }
+
+    const container = document.getElementById('import-preview-list');
+    UI.renderImportPreview(pendingImport, container, (index, action) => {
+        pendingImport.entries[index].action = action;
+    });
+
+    const confirmBtn = document.getElementById('import-confirm-btn');
+    if (confirmBtn) {
+        confirmBtn.disabled = pendingImport.entries.length === 0;
+    }
+
+    UI.showModal('import-preview-modal');
+}
+
+/**
+ * Handle confirming the import preview
+ */
+async function handleImportConfirm() {
+    if (!pendingImport) return;
+
+    const changedIds = pendingImport.entries
+        .filter(entry => entry.action !== Storage.IMPORT_ACTIONS.SKIP)
+        .map(entry => entry.habit.id);
+    const before = snapshotHabits(changedIds);
+
+    const result = await Storage.applyImport(pendingImport.entries);
+    pendingImport = null;
+    UI.hideModal('import-preview-modal');
+
+    if (result) {
+        await loadHabits();
+        renderHabits();
+        scheduleReminderSync();
+        const changed = result.added + result.updated + result.merged;
+        UI.showNotification(
+            `Imported ${changed} habit${changed !== 1 ? 's' : ''}` +
+            ` (${result.added} added, ${result.updated} replaced, ${result.merged} merged, ${result.skipped} skipped)`,
+            'success',
+            changed > 0 ? recordChange(`import ${changed} habit${changed !== 1 ? 's' : ''}`, before) : null
+        );
+    } else {
+        UI.showNotification('Failed to import data', 'error');
+    }
+}
+
+/**
+ * Handle cancelling the import preview
+ */
+function handleImportCancel() {
+    pendingImport = null;
+    UI.hideModal('import-preview-modal');
 }
 
 /**
@@ -876,7 +2486,7 @@ function handleImport(event) {
     const file = event.target.files[0];
     if (file) {
         importHabits(file);
-        UI.hideModal('settings-modal');
+        closeSettings();
         // Clear the file input so the same file can be selected again
         event.target.value = '';
     }
@@ -885,16 +2495,19 @@ function handleImport(event) {
 /**
  * Clear all data (for future use)
  */
-function clearAllData() {
-    const confirmed = confirm('Are you sure you want to delete ALL habits? This cannot be undone!');
+async function clearAllData() {
+    const confirmed = confirm('Are you sure you want to delete ALL habits? You can undo this right after with Ctrl+Z.');
     if (!confirmed) {
         return;
     }
 
-    if (Storage.clearAllData()) {
+    const before = snapshotHabits(habits.map(h => h.id));
+
+    if (await Storage.clearAllData()) {
         habits = [];
         renderHabits();
-        UI.showNotification('All data cleared', 'info');
+        scheduleReminderSync();
+        UI.showNotification('All data cleared', 'info', recordChange('clear all data', before));
     } else {
         UI.showNotification('Failed to clear data', 'error');
     }
@@ -903,24 +2516,24 @@ function clearAllData() {
 /**
  * Handle clear data button click
  */
-function handleClearData() {
-    clearAllData();
-    UI.hideModal('settings-modal');
+async function handleClearData() {
+    await clearAllData();
+    closeSettings();
 }
 
 /**
  * Get application statistics
  */
-function getAppStats() {
-    const storageStats = Storage.getStorageStats();
+async function getAppStats() {
+    const storageStats = await Storage.getStorageStats();
     
     const totalCompletions = habits.reduce((sum, habit) => {
         return sum + habit.completions.length;
     }, 0);
 
-    const activeToday = habits.filter(h => h.isActiveOnDay(new Date())).length;
+    const activeToday = habits.filter(h => !h.isArchived() && h.isActiveOnDay(new Date())).length;
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = toLocalDateString(new Date());
     const completedToday = habits.filter(h => h.isCompletedOn(today)).length;
 
     return {
@@ -947,8 +2560,13 @@ export {
     renderHabits,
     setView,
     exportHabits,
+    exportHabitsCSV,
     importHabits,
+    importHabitsCSV,
+    importFromOtherApps,
     clearAllData,
     getAppStats,
+    undo,
+    redo,
     habits
 };
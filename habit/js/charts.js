@@ -0,0 +1,188 @@
+/**
+ * Charts Module
+ * Builds small inline SVG charts as strings (no external libraries, so they work offline)
+ * Colors come from CSS classes, so charts follow the light/dark theme
+ */
+
+/**
+ * Build a line chart of percentages
+ * Points without a value leave a gap in the line
+ * @param {Array<{label: string, value: number|null, title: string}>} points - Points in order
+ * @param {Object} options - Chart options
+ * @param {number} options.width - Width of the drawing in SVG units
+ * @param {number} options.height - Height of the drawing in SVG units
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(points, { width = 600, height = 220 } = {}) {
+    const padding = { top: 12, right: 12, bottom: 28, left: 36 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+
+    const x = i => padding.left + (points.length > 1 ? i * step : plotWidth / 2);
+    const y = value => padding.top + plotHeight - (value / 100) * plotHeight;
+
+    // Horizontal grid lines at 0, 50 and 100%
+    const grid = [0, 50, 100].map(value => `
+        <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart-label" x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}%</text>
+    `).join('');
+
+    // Split the line wherever a point has no value
+    const segments = [];
+    let current = [];
+    points.forEach((point, i) => {
+        if (point.value === null) {
+            if (current.length > 0) segments.push(current);
+            current = [];
+        } else {
+            current.push(`${x(i)},${y(point.value)}`);
+        }
+    });
+    if (current.length > 0) segments.push(current);
+
+    const lines = segments
+        .map(segment => `<polyline class="chart-line" points="${segment.join(' ')}"></polyline>`)
+        .join('');
+
+    const dots = points.map((point, i) => point.value === null ? '' : `
+        <circle class="chart-point" cx="${x(i)}" cy="${y(point.value)}" r="4">
+            <title>${escapeXml(point.title || `${point.label}: ${point.value}%`)}</title>
+        </circle>
+    `).join('');
+
+    // Label every point when there's room, otherwise every other one
+    const labelEvery = points.length > 8 ? 2 : 1;
+    const labels = points.map((point, i) => (points.length - 1 - i) % labelEvery !== 0 ? '' : `
+        <text class="chart-label" x="${x(i)}" y="${height - 8}" text-anchor="middle">${escapeXml(point.label)}</text>
+    `).join('');
+
+    return `
+        <svg class="chart line-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Completion rate trend">
+            ${grid}
+            ${lines}
+            ${dots}
+            ${labels}
+        </svg>
+    `;
+}
+
+/**
+ * Build a heatmap of percentages
+ * @param {Array<{label: string, values: Array<number|null>}>} rows - One row per series
+ * @param {Array<string>} columnLabels - Label for each column
+ * @param {Object} options - Chart options
+ * @param {number} options.cellSize - Size of a cell in SVG units
+ * @param {number} options.labelWidth - Space reserved for row labels
+ * @returns {string} SVG markup
+ */
+export function renderHeatmap(rows, columnLabels, { cellSize = 28, labelWidth = 140 } = {}) {
+    const gap = 3;
+    const headerHeight = 20;
+    const width = labelWidth + columnLabels.length * (cellSize + gap);
+    const height = headerHeight + rows.length * (cellSize + gap);
+
+    const header = columnLabels.map((label, col) => `
+        <text class="chart-label" x="${labelWidth + col * (cellSize + gap) + cellSize / 2}" y="14" text-anchor="middle">${escapeXml(label)}</text>
+    `).join('');
+
+    const body = rows.map((row, rowIndex) => {
+        const top = headerHeight + rowIndex * (cellSize + gap);
+        const cells = row.values.map((value, col) => {
+            const left = labelWidth + col * (cellSize + gap);
+            const title = `${row.label} • ${columnLabels[col]}: ${value === null ? 'nothing scheduled' : `${value}%`}`;
+            // Empty cells stay grey; otherwise darker means a higher rate
+            const cellClass = value === null ? 'heatmap-cell empty' : 'heatmap-cell';
+            const opacity = value === null ? 1 : 0.15 + (value / 100) * 0.85;
+            return `
+                <rect class="${cellClass}" x="${left}" y="${top}" width="${cellSize}" height="${cellSize}" rx="4" fill-opacity="${opacity}">
+                    <title>${escapeXml(title)}</title>
+                </rect>
+            `;
+        }).join('');
+
+        return `
+            <text class="chart-label heatmap-row-label" x="${labelWidth - 8}" y="${top + cellSize / 2 + 4}" text-anchor="end">${escapeXml(truncate(row.label, 18))}</text>
+            ${cells}
+        `;
+    }).join('');
+
+    return `
+        <svg class="chart heatmap" viewBox="0 0 ${width} ${height}" width="${width}" role="img" aria-label="Success rate heatmap">
+            ${header}
+            ${body}
+        </svg>
+    `;
+}
+
+/**
+ * Build a GitHub-style contribution grid: one column per week, one row per weekday
+ * @param {Array<{date: string, className: string, title: string}>} days - Consecutive days, oldest first,
+ *        starting on a Sunday; className is added to the cell so CSS can color it
+ * @param {Object} options - Chart options
+ * @param {number} options.cellSize - Size of a cell in SVG units
+ * @returns {string} SVG markup
+ */
+export function renderContributionGrid(days, { cellSize = 11 } = {}) {
+    const gap = 2;
+    const labelWidth = 28;
+    const headerHeight = 14;
+    const columns = Math.ceil(days.length / 7);
+    const width = labelWidth + columns * (cellSize + gap);
+    const height = headerHeight + 7 * (cellSize + gap);
+
+    const x = col => labelWidth + col * (cellSize + gap);
+    const y = row => headerHeight + row * (cellSize + gap);
+
+    // Label the week in which each month starts; the first column is labelled too,
+    // unless its month ends too soon to leave room before the next label
+    const monthLabels = [];
+    days.forEach((day, i) => {
+        const [year, month, date] = day.date.split('-').map(Number);
+        if (date === 1 || (i === 0 && date <= 21)) {
+            const label = new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short' });
+            monthLabels.push(`<text class="chart-label" x="${x(Math.floor(i / 7))}" y="10">${escapeXml(label)}</text>`);
+        }
+    });
+
+    const dayLabels = [[1, 'Mon'], [3, 'Wed'], [5, 'Fri']].map(([row, label]) => `
+        <text class="chart-label" x="0" y="${y(row) + cellSize - 2}">${label}</text>
+    `).join('');
+
+    const cells = days.map((day, i) => `
+        <rect class="contribution-cell ${day.className}" x="${x(Math.floor(i / 7))}" y="${y(i % 7)}" width="${cellSize}" height="${cellSize}" rx="2">
+            <title>${escapeXml(day.title)}</title>
+        </rect>
+    `).join('');
+
+    return `
+        <svg class="chart contribution-grid" viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily history for the last year">
+            ${monthLabels.join('')}
+            ${dayLabels}
+            ${cells}
+        </svg>
+    `;
+}
+
+/**
+ * Shorten a label to fit a chart
+ * @param {string} text - Label text
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} Label, with an ellipsis if it was shortened
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
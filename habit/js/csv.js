@@ -0,0 +1,355 @@
+/**
+ * CSV Module
+ * Converts habits to and from spreadsheet-friendly CSV files:
+ * a habits sheet (one row per habit) and a log sheet (one row per habit per date)
+ */
+
+import { SCHEDULE_TYPES, toLocalDateString } from './habit.js';
+
+// Column order of the habits sheet
+const HABIT_COLUMNS = [
+    'id', 'name', 'type', 'created_date', 'notification_time', 'days_of_week',
+    'schedule_type', 'times_per_week', 'interval_days', 'interval_start', 'days_of_month',
+    'target', 'unit', 'tags', 'notes', 'archived_date', 'order', 'time_slot',
+    'reminders', 'nag_every', 'nag_until'
+];
+
+// Column order of the log sheet
+// `status` is for reading in a spreadsheet; the other columns are what gets imported
+const LOG_COLUMNS = ['habit_id', 'habit_name', 'date', 'status', 'completed', 'value', 'excused', 'slip', 'note', 'mood', 'effort'];
+
+// Separator for lists inside a single cell (days, tags, reminders)
+const LIST_SEPARATOR = ';';
+
+// Separates a reminder time from its weekdays, e.g. "07:00@1,2,3,4,5"
+const REMINDER_DAYS_SEPARATOR = '@';
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values (blank lines are dropped)
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Spreadsheet apps often add a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert rows of values into CSV text
+ * @param {Array<Array<*>>} rows - Rows of cell values (null/undefined become empty cells)
+ * @returns {string} CSV text
+ */
+export function toCSV(rows) {
+    const escapeCell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Turn parsed CSV rows into objects keyed by the (lower-cased) header row
+ * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+ * @returns {Array<Object>} One object per data row
+ */
+export function rowsToObjects(rows) {
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    return rows.slice(1).map(row => {
+        const obj = {};
+        header.forEach((name, i) => {
+            obj[name] = (row[i] || '').trim();
+        });
+        return obj;
+    });
+}
+
+/**
+ * Build the habits sheet
+ * @param {Array<Habit>} habits - Habits to export
+ * @returns {string} CSV text
+ */
+export function habitsToCSV(habits) {
+    const rows = habits.map(habit => {
+        const schedule = habit.schedule || {};
+        return [
+            habit.id,
+            habit.name,
+            habit.type,
+            habit.createdDate,
+            habit.notificationTime,
+            habit.daysOfWeek ? habit.daysOfWeek.join(LIST_SEPARATOR) : '',
+            habit.getScheduleType(),
+            schedule.count,
+            schedule.every,
+            schedule.startDate,
+            schedule.days ? schedule.days.join(LIST_SEPARATOR) : '',
+            habit.target,
+            habit.unit,
+            habit.tags.join(LIST_SEPARATOR),
+            habit.notes,
+            habit.archivedDate,
+            habit.order,
+            habit.timeSlot,
+            formatReminders(habit.getReminders()),
+            habit.nagging ? habit.nagging.interval : '',
+            habit.nagging ? habit.nagging.until : ''
+        ];
+    });
+
+    return toCSV([HABIT_COLUMNS, ...rows]);
+}
+
+/**
+ * Build the log sheet: one row per habit for every day from its creation until today,
+ * plus any other day that has data
+ * @param {Array<Habit>} habits - Habits to export
+ * @param {Date} until - Last day to include (defaults to today)
+ * @returns {string} CSV text
+ */
+export function logToCSV(habits, until = new Date()) {
+    const rows = [];
+    const lastDate = toLocalDateString(until);
+
+    habits.forEach(habit => {
+        const dates = new Set([
+            ...habit.completions,
+            ...Object.keys(habit.values),
+            ...habit.slips,
+            ...habit.excusedDates,
+            ...habit.getJournalDates()
+        ]);
+
+        for (let date = habit.createdDate.split('T')[0]; date <= lastDate; date = addDays(date, 1)) {
+            dates.add(date);
+        }
+
+        [...dates].sort().forEach(date => {
+            const entry = habit.getJournalEntry(date) || {};
+            rows.push([
+                habit.id,
+                habit.name,
+                date,
+                habit.getDayStatus(date),
+                habit.isCompletedOn(date) ? 'yes' : 'no',
+                habit.isQuantitative() ? habit.getValue(date) : '',
+                habit.excusedDates.includes(date) ? 'yes' : 'no',
+                habit.hasSlipOn(date) ? 'yes' : 'no',
+                entry.note || '',
+                entry.mood || '',
+                entry.effort || ''
+            ]);
+        });
+    });
+
+    return toCSV([LOG_COLUMNS, ...rows]);
+}
+
+/**
+ * Tell which sheet a CSV file holds from its header row
+ * @param {string} text - CSV text
+ * @returns {string|null} 'habits', 'log', or null if it's neither
+ */
+export function detectSheet(text) {
+    const rows = parseCSV(text.split(/\r?\n/, 1)[0] || '');
+    const header = rows.length > 0 ? rows[0].map(name => name.trim().toLowerCase()) : [];
+
+    if (header.includes('habit_id') && header.includes('date')) {
+        return 'log';
+    }
+    if (header.includes('id') && header.includes('name')) {
+        return 'habits';
+    }
+    return null;
+}
+
+/**
+ * Rebuild plain habit records from the habits sheet and (optionally) the log sheet
+ * The records still need to be validated (see Habit.validate) before they are used
+ * @param {string} habitsText - CSV text of the habits sheet
+ * @param {string|null} logText - CSV text of the log sheet
+ * @returns {{records: Array<Object>, warnings: Array<string>}} Habit records and anything that was left out
+ */
+export function csvToHabitRecords(habitsText, logText = null) {
+    const warnings = [];
+
+    const records = rowsToObjects(parseCSV(habitsText)).map(row => ({
+        id: row.id,
+        name: row.name,
+        type: row.type || undefined,
+        createdDate: row.created_date,
+        completions: [],
+        notificationTime: row.notification_time || null,
+        daysOfWeek: row.days_of_week ? parseNumberList(row.days_of_week) : null,
+        schedule: parseSchedule(row),
+        target: row.target ? Number(row.target) : null,
+        unit: row.unit,
+        tags: row.tags ? row.tags.split(LIST_SEPARATOR).map(tag => tag.trim()).filter(Boolean) : [],
+        notes: row.notes,
+        archivedDate: row.archived_date || null,
+        order: row.order ? Number(row.order) : null,
+        timeSlot: row.time_slot || null,
+        // Sheets from before there could be several reminders only have notification_time
+        reminders: row.reminders ? parseReminders(row.reminders) : undefined,
+        nagging: row.nag_every ? { interval: Number(row.nag_every), until: row.nag_until || null } : null,
+        values: {},
+        slips: [],
+        excusedDates: [],
+        journal: {}
+    }));
+
+    if (logText) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        const unknownIds = new Set();
+
+        rowsToObjects(parseCSV(logText)).forEach((row, index) => {
+            const record = byId.get(row.habit_id);
+            if (!record) {
+                unknownIds.add(row.habit_id || `(row ${index + 2})`);
+                return;
+            }
+
+            if (isYes(row.completed)) record.completions.push(row.date);
+            if (isYes(row.excused)) record.excusedDates.push(row.date);
+            if (isYes(row.slip)) record.slips.push(row.date);
+            if (row.value !== undefined && row.value !== '' && Number(row.value) > 0) {
+                record.values[row.date] = Number(row.value);
+            }
+            if (row.note || row.mood || row.effort) {
+                record.journal[row.date] = {
+                    note: row.note || '',
+                    mood: row.mood ? Number(row.mood) : null,
+                    effort: row.effort ? Number(row.effort) : null
+                };
+            }
+        });
+
+        unknownIds.forEach(id => {
+            warnings.push(`Log rows for habit "${id}" were skipped: it isn't in the habits sheet`);
+        });
+    }
+
+    return { records, warnings };
+}
+
+/**
+ * Read the schedule columns of a habits sheet row
+ * @param {Object} row - Row object from rowsToObjects
+ * @returns {Object|null} Schedule object, or null for weekday schedules
+ */
+function parseSchedule(row) {
+    switch (row.schedule_type) {
+        case SCHEDULE_TYPES.TIMES_PER_WEEK:
+            return { type: row.schedule_type, count: Number(row.times_per_week) };
+        case SCHEDULE_TYPES.INTERVAL:
+            return { type: row.schedule_type, every: Number(row.interval_days), startDate: row.interval_start || undefined };
+        case SCHEDULE_TYPES.DAYS_OF_MONTH:
+            return { type: row.schedule_type, days: parseNumberList(row.days_of_month) };
+        case undefined:
+        case '':
+        case SCHEDULE_TYPES.DAYS_OF_WEEK:
+            return null;
+        default:
+            // Left for validation to report
+            return { type: row.schedule_type };
+    }
+}
+
+/**
+ * Split a list cell ("1;3;5") into numbers
+ * @param {string} value - Cell value
+ * @returns {Array<number>} Numbers in the cell
+ */
+function parseNumberList(value) {
+    return value.split(LIST_SEPARATOR).map(part => part.trim()).filter(Boolean).map(Number);
+}
+
+/**
+ * Write reminders as a cell, e.g. "07:00@1,2,3,4,5;19:00"
+ * @param {Array<{time: string, days: Array<number>|null}>} reminders - Reminders of a habit
+ * @returns {string} Cell value
+ */
+function formatReminders(reminders) {
+    return reminders
+        .map(reminder => (reminder.days ? `${reminder.time}${REMINDER_DAYS_SEPARATOR}${reminder.days.join(',')}` : reminder.time))
+        .join(LIST_SEPARATOR);
+}
+
+/**
+ * Read reminders from a cell written by formatReminders
+ * @param {string} value - Cell value
+ * @returns {Array<{time: string, days: Array<number>|null}>} Reminders
+ */
+function parseReminders(value) {
+    return value.split(LIST_SEPARATOR).map(part => part.trim()).filter(Boolean).map(part => {
+        const [time, days] = part.split(REMINDER_DAYS_SEPARATOR).map(piece => piece.trim());
+        return { time, days: days ? days.split(',').map(Number) : null };
+    });
+}
+
+/**
+ * Check a yes/no cell
+ * @param {string} value - Cell value
+ * @returns {boolean} True for yes/true/1/x
+ */
+function isYes(value) {
+    return ['yes', 'y', 'true', '1', 'x'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Add days to an ISO date string
+ * @param {string} dateStr - ISO date string (YYYY-MM-DD)
+ * @param {number} days - Number of days to add
+ * @returns {string} ISO date string
+ */
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return toLocalDateString(new Date(year, month - 1, day + days));
+}
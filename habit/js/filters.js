@@ -0,0 +1,202 @@
+/**
+ * Filters Module
+ * Narrows down, orders and groups the habit list: which habits to show today, tag filter,
+ * text search, sort order and grouping by tag
+ */
+
+import { toLocalDateString } from './habit.js';
+
+/**
+ * Views of the habit list
+ * Break-type habits have nothing to check off, so they only appear in ALL and TODAY
+ */
+export const LIST_VIEWS = {
+    ALL: 'all',             // Every active habit
+    TODAY: 'today',         // Habits scheduled today
+    PENDING: 'pending',     // Scheduled today and not done yet
+    COMPLETED: 'completed'  // Done today
+};
+
+/**
+ * Orders the habit list can be sorted in
+ */
+export const SORT_OPTIONS = {
+    MANUAL: 'manual',       // The user's own order (drag and drop)
+    CREATED: 'created',     // Oldest first
+    NAME: 'name',           // A to Z
+    STREAK: 'streak',       // Longest current streak first
+    RATE: 'rate',           // Highest completion rate first
+    REMINDER: 'reminder'    // Earliest reminder first, habits without one last
+};
+
+/**
+ * List options used until the user picks their own
+ */
+export const DEFAULT_LIST_OPTIONS = {
+    view: LIST_VIEWS.ALL,
+    sort: SORT_OPTIONS.MANUAL,
+    tag: '',
+    search: '',
+    groupByTag: false,
+    collapsedTags: [] // Tag groups the user has folded away ('' is the untagged group)
+};
+
+/**
+ * Filter and sort habits for the habit list
+ * @param {Array<Habit>} habits - Habits to choose from
+ * @param {Object} options - List options (view, sort, tag, search), see DEFAULT_LIST_OPTIONS
+ * @param {Date} date - Day the view is for (defaults to today)
+ * @returns {Array<Habit>} Matching habits, in order
+ */
+export function applyListOptions(habits, options, date = new Date()) {
+    const { view, sort, tag, search } = { ...DEFAULT_LIST_OPTIONS, ...options };
+
+    const matching = habits.filter(habit =>
+        matchesView(habit, view, date) &&
+        (!tag || habit.tags.includes(tag)) &&
+        matchesSearch(habit, search)
+    );
+
+    return sortHabits(matching, sort);
+}
+
+/**
+ * Check whether a habit belongs in a view of the list
+ * @param {Habit} habit - Habit to check
+ * @param {string} view - One of LIST_VIEWS
+ * @param {Date} date - Day the view is for
+ * @returns {boolean} True if the habit should be shown
+ */
+export function matchesView(habit, view, date = new Date()) {
+    const dateStr = toLocalDateString(date);
+
+    switch (view) {
+        case LIST_VIEWS.TODAY:
+            return habit.isActiveOnDay(date);
+        case LIST_VIEWS.PENDING:
+            return !habit.isBreakHabit() && habit.isActiveOnDay(date) && !habit.isCompletedOn(dateStr);
+        case LIST_VIEWS.COMPLETED:
+            return !habit.isBreakHabit() && habit.isCompletedOn(dateStr);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check whether a habit's name, notes or journal contain every word of a search
+ * @param {Habit} habit - Habit to check
+ * @param {string} query - Search text (case-insensitive; empty matches everything)
+ * @returns {boolean} True if the habit matches
+ */
+export function matchesSearch(habit, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const journal = Object.values(habit.journal || {}).map(entry => entry.note || '').join(' ');
+    const text = `${habit.name} ${habit.notes || ''} ${journal}`.toLowerCase();
+
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Sort habits without changing the original array
+ * Ties keep their original order
+ * @param {Array<Habit>} habits - Habits to sort
+ * @param {string} sort - One of SORT_OPTIONS
+ * @returns {Array<Habit>} Sorted copy
+ */
+export function sortHabits(habits, sort) {
+    const sorted = [...habits];
+
+    switch (sort) {
+        case SORT_OPTIONS.NAME:
+            return sorted.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        case SORT_OPTIONS.STREAK:
+            return sortByStatistic(sorted, stats => stats.currentStreak);
+        case SORT_OPTIONS.RATE:
+            return sortByStatistic(sorted, stats => stats.completionRate);
+        case SORT_OPTIONS.REMINDER:
+            // "HH:MM" strings sort correctly as text
+            return sorted.sort((a, b) => {
+                if (!a.notificationTime || !b.notificationTime) {
+                    return (a.notificationTime ? 0 : 1) - (b.notificationTime ? 0 : 1);
+                }
+                return a.notificationTime.localeCompare(b.notificationTime);
+            });
+        case SORT_OPTIONS.CREATED:
+            return sorted.sort((a, b) => a.createdDate.localeCompare(b.createdDate));
+        case SORT_OPTIONS.MANUAL:
+        default:
+            // Habits that haven't been placed yet go last
+            return sorted.sort((a, b) => getPosition(a) - getPosition(b));
+    }
+}
+
+/**
+ * Get every tag used by a set of habits
+ * @param {Array<Habit>} habits - Habits to collect tags from
+ * @returns {Array<string>} Tags in alphabetical order, without duplicates
+ */
+export function getAllTags(habits) {
+    const tags = new Set();
+    habits.forEach(habit => habit.tags.forEach(tag => tags.add(tag)));
+    return [...tags].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Find tags that match an existing tag apart from upper/lower case, and use the existing spelling
+ * so "Health" typed in a form doesn't start a second "health" tag
+ * @param {Array<string>} tags - Tags as entered
+ * @param {Array<string>} existingTags - Tags already in use
+ * @returns {Array<string>} Tags, with known ones spelled as they already are
+ */
+export function matchExistingTags(tags, existingTags) {
+    const known = new Map(existingTags.map(tag => [tag.toLowerCase(), tag]));
+    const matched = tags.map(tag => {
+        // New tags count as known from here on, so "Yoga, yoga" becomes one tag
+        if (!known.has(tag.toLowerCase())) {
+            known.set(tag.toLowerCase(), tag);
+        }
+        return known.get(tag.toLowerCase());
+    });
+    return [...new Set(matched)];
+}
+
+/**
+ * Split habits into groups by tag
+ * A habit with several tags appears in each of its groups
+ * @param {Array<Habit>} habits - Habits to group, in display order
+ * @returns {Array<{tag: string, habits: Array<Habit>}>} Groups in tag order, untagged habits last (tag '')
+ */
+export function groupByTag(habits) {
+    const groups = getAllTags(habits).map(tag => ({
+        tag,
+        habits: habits.filter(habit => habit.tags.includes(tag))
+    }));
+
+    const untagged = habits.filter(habit => habit.tags.length === 0);
+    if (untagged.length > 0) {
+        groups.push({ tag: '', habits: untagged });
+    }
+
+    return groups;
+}
+
+/**
+ * Get a habit's place in the user's own order
+ * @param {Habit} habit - Habit to place
+ * @returns {number} Its order, or a number after every placed habit if it has none
+ */
+function getPosition(habit) {
+    return Number.isFinite(habit.order) ? habit.order : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Sort habits by a statistic, highest first
+ * Statistics are worked out once per habit, since they walk the habit's whole history
+ * @param {Array<Habit>} habits - Habits to sort (sorted in place)
+ * @param {Function} getValue - Picks the value to sort by from Habit#getStatistics()
+ * @returns {Array<Habit>} The same array, sorted
+ */
+function sortByStatistic(habits, getValue) {
+    const values = new Map(habits.map(habit => [habit, getValue(habit.getStatistics())]));
+    return habits.sort((a, b) => values.get(b) - values.get(a));
+}
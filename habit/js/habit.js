@@ -2,6 +2,138 @@
  * Habit Class
  * Represents a single habit with tracking and scheduling capabilities
  */
+
+/**
+ * Supported schedule types
+ * DAYS_OF_WEEK uses the habit's daysOfWeek; the others are described by the habit's schedule object
+ */
+export const SCHEDULE_TYPES = {
+    DAYS_OF_WEEK: 'daysOfWeek',       // Specific weekdays (or every day)
+    TIMES_PER_WEEK: 'timesPerWeek',   // { type, count } - any days, N times per week
+    INTERVAL: 'interval',             // { type, every, startDate } - every N days from a start date
+    DAYS_OF_MONTH: 'daysOfMonth'      // { type, days } - specific days of the month (1-31)
+};
+
+/**
+ * Supported habit types
+ */
+export const HABIT_TYPES = {
+    BUILD: 'build',   // Doing the thing is good; completions are logged
+    BREAK: 'break'    // Quitting something; slips are logged instead
+};
+
+/**
+ * Possible states of a single day in a habit's history
+ */
+export const DAY_STATUS = {
+    COMPLETED: 'completed',       // Done (or target reached)
+    PARTIAL: 'partial',           // Some amount logged, but below the target
+    MISSED: 'missed',             // Scheduled, in the past, and not done
+    PENDING: 'pending',           // Today, not done yet
+    UNSCHEDULED: 'unscheduled',   // Not scheduled on this day
+    BEFORE_START: 'before-start', // Before the habit was created
+    FUTURE: 'future',             // After today
+    EXCUSED: 'excused',           // Skipped for a good reason (sick, vacation) - doesn't break the streak
+    SLIP: 'slip',                 // Break-type habit slipped
+    CLEAN: 'clean',               // Break-type habit stayed clean
+    ARCHIVED: 'archived'          // After the habit was archived
+};
+
+/**
+ * Parts of the day a habit can be done in, in the order the Today view shows them
+ */
+export const TIME_SLOTS = {
+    MORNING: 'morning',
+    AFTERNOON: 'afternoon',
+    EVENING: 'evening',
+    ANYTIME: 'anytime'
+};
+
+// Hours at which the afternoon and the evening start, for habits that take their slot from the notification time
+const AFTERNOON_START_HOUR = 12;
+const EVENING_START_HOUR = 17;
+
+/**
+ * Range of the mood and effort ratings in journal entries (1 = worst/easiest, 5 = best/hardest)
+ */
+export const JOURNAL_RATING = {
+    MIN: 1,
+    MAX: 5
+};
+
+/**
+ * Range of the follow-up interval, in minutes, for habits that remind again until they're done
+ */
+export const NAG_INTERVAL = {
+    MIN: 5,
+    MAX: 240
+};
+
+// Most follow-up reminders a habit sends in one day, however short its interval
+const MAX_FOLLOW_UPS_PER_DAY = 48;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Global vacation ranges ({ start, end } ISO date strings, inclusive) that excuse every habit
+let vacationRanges = [];
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a valid ISO date string
+ */
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD string
+ * Every day the app stores or compares (completions, "today", calendars) is a local date in this format
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+export function toLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - Time string in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+/**
+ * Convert minutes since midnight to an HH:MM time
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time string in HH:MM format
+ */
+function toTimeString(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check that a value is a journal rating (or empty)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for null/undefined or a whole number from JOURNAL_RATING.MIN to MAX
+ */
+function isValidRating(value) {
+    return value === null || value === undefined ||
+        (Number.isInteger(value) && value >= JOURNAL_RATING.MIN && value <= JOURNAL_RATING.MAX);
+}
+
 export class Habit {
     /**
      * Create a new Habit
@@ -12,16 +144,61 @@ export class Habit {
      * @param {Array<number>|null} daysOfWeek - Array of day numbers (0-6, Sunday-Saturday) when habit is active (optional, null means all days)
      * @param {string} notes - Optional notes or description for the habit
      * @param {Array<string>} tags - Optional array of category tags
+     * @param {number|null} target - Optional daily target for quantitative habits (null means a simple done/not-done habit)
+     * @param {string} unit - Optional unit for the target (e.g., "glasses", "pages")
+     * @param {Object<string, number>} values - Map of ISO date strings to the amount logged on that day
+     * @param {Object|null} schedule - Optional schedule rule (see SCHEDULE_TYPES, null means use daysOfWeek)
+     * @param {string} type - Habit type (see HABIT_TYPES)
+     * @param {Array<string>} slips - Array of ISO date strings when a break-type habit slipped
+     * @param {Array<string>} excusedDates - Array of ISO date strings skipped for a good reason (sick, traveling...)
+     * @param {string|null} archivedDate - ISO date string when the habit was archived (null means active)
+     * @param {number|null} order - Position in the user's own ordering of the list (null means after the ordered ones)
+     * @param {Object<string, Object>} journal - Map of ISO date strings to that day's journal entry ({ note, mood, effort })
+     * @param {string|null} timeSlot - Part of the day the habit is done in (see TIME_SLOTS, null means from the notification time)
+     * @param {Array<Object>|null} reminders - Reminder times ({ time, days }, see setReminders; null means just notificationTime)
+     * @param {Object|null} nagging - Follow-up reminders until done ({ interval, until }, see setNagging; null means none)
      */
-    constructor(name, createdDate = null, completions = [], notificationTime = null, daysOfWeek = null, notes = '', tags = []) {
+    constructor(name, createdDate = null, completions = [], notificationTime = null, daysOfWeek = null, notes = '', tags = [], target = null, unit = '', values = {}, schedule = null, type = HABIT_TYPES.BUILD, slips = [], excusedDates = [], archivedDate = null, order = null, journal = {}, timeSlot = null, reminders = null, nagging = null) {
         this.id = this._generateId();
         this.name = name;
-        this.createdDate = createdDate || new Date().toISOString().split('T')[0];
+        this.createdDate = createdDate || toLocalDateString(new Date());
         this.completions = completions || [];
         this.notificationTime = notificationTime;
         this.daysOfWeek = daysOfWeek; // null means all days, array means specific days
         this.notes = notes || '';
         this.tags = tags || [];
+        this.target = target; // null means the habit is simply done or not done
+        this.unit = unit || '';
+        this.values = values || {};
+        this.schedule = schedule || null; // null means the habit follows daysOfWeek
+        this.type = type || HABIT_TYPES.BUILD;
+        this.slips = slips || [];
+        this.excusedDates = excusedDates || [];
+        this.archivedDate = archivedDate || null; // null means the habit is active
+        this.order = Number.isFinite(order) ? order : null; // null means it hasn't been placed yet
+        this.journal = journal || {};
+        this.timeSlot = timeSlot || null; // null means it follows the notification time
+        // Habits saved before there could be several reminders only have notificationTime
+        this.reminders = Array.isArray(reminders) ? reminders : (notificationTime ? [{ time: notificationTime, days: null }] : []);
+        this.nagging = nagging || null; // null means each reminder is sent once
+    }
+
+    /**
+     * Set the global vacation ranges that excuse every habit
+     * @param {Array<{start: string, end: string}>} ranges - Inclusive ISO date ranges
+     * @static
+     */
+    static setVacationRanges(ranges) {
+        vacationRanges = Array.isArray(ranges) ? ranges.filter(r => r && r.start && r.end) : [];
+    }
+
+    /**
+     * Get the global vacation ranges
+     * @returns {Array<{start: string, end: string}>} Inclusive ISO date ranges
+     * @static
+     */
+    static getVacationRanges() {
+        return vacationRanges;
     }
 
     /**
@@ -39,6 +216,12 @@ export class Habit {
      */
     markCompleted(date) {
         const dateStr = this._normalizeDate(date);
+
+        // Completing a quantitative habit outright counts as reaching the target
+        if (this.isQuantitative() && this.getValue(dateStr) < this.target) {
+            this.values[dateStr] = this.target;
+        }
+
         if (!this.completions.includes(dateStr)) {
             this.completions.push(dateStr);
             this.completions.sort(); // Keep completions sorted chronologically
@@ -46,66 +229,591 @@ export class Habit {
     }
 
     /**
-     * Mark the habit as incomplete for a specific date
-     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * Mark the habit as incomplete for a specific date
+     * @param {string} date - ISO date string (YYYY-MM-DD)
+     */
+    markIncomplete(date) {
+        const dateStr = this._normalizeDate(date);
+
+        // Un-completing a quantitative habit clears the amount logged for that day
+        if (this.isQuantitative()) {
+            delete this.values[dateStr];
+        }
+
+        const index = this.completions.indexOf(dateStr);
+        if (index > -1) {
+            this.completions.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check if the habit was completed on a specific date
+     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * @returns {boolean} True if completed on that date
+     */
+    isCompletedOn(date) {
+        const dateStr = this._normalizeDate(date);
+        return this.completions.includes(dateStr);
+    }
+
+    /**
+     * Get the state of a single day in the habit's history
+     * @param {string|Date} date - Date to check
+     * @returns {string} One of DAY_STATUS
+     */
+    getDayStatus(date) {
+        const dateStr = this._normalizeDate(date);
+        const todayStr = this._normalizeDate(new Date());
+
+        if (dateStr > todayStr) {
+            return DAY_STATUS.FUTURE;
+        }
+        if (this.archivedDate && dateStr > this.archivedDate) {
+            return DAY_STATUS.ARCHIVED;
+        }
+        if (dateStr < this.createdDate) {
+            return DAY_STATUS.BEFORE_START;
+        }
+
+        if (this.isBreakHabit()) {
+            if (this.hasSlipOn(dateStr)) return DAY_STATUS.SLIP;
+            return dateStr === todayStr ? DAY_STATUS.PENDING : DAY_STATUS.CLEAN;
+        }
+
+        if (this.isCompletedOn(dateStr)) {
+            return DAY_STATUS.COMPLETED;
+        }
+        if (!this.isActiveOnDay(dateStr)) {
+            return DAY_STATUS.UNSCHEDULED;
+        }
+        if (this.isExcusedOn(dateStr)) {
+            return DAY_STATUS.EXCUSED;
+        }
+        if (this.isQuantitative() && this.getValue(dateStr) > 0) {
+            return DAY_STATUS.PARTIAL;
+        }
+        return dateStr === todayStr ? DAY_STATUS.PENDING : DAY_STATUS.MISSED;
+    }
+
+    /**
+     * Check if the completion (or slip) for a date may be changed
+     * Only scheduled days between the creation date and today (or the archive date) can be edited,
+     * plus any day that is already completed so it can be undone
+     * @param {string|Date} date - Date to check
+     * @returns {boolean} True if the day can be toggled
+     */
+    canEditOn(date) {
+        const status = this.getDayStatus(date);
+        return status !== DAY_STATUS.FUTURE &&
+            status !== DAY_STATUS.BEFORE_START &&
+            status !== DAY_STATUS.UNSCHEDULED &&
+            status !== DAY_STATUS.ARCHIVED;
+    }
+
+    /**
+     * Excuse a specific date (e.g., sick day) so it doesn't count as scheduled or break the streak
+     * @param {string|Date} date - Date to excuse
+     */
+    excuseDate(date) {
+        const dateStr = this._normalizeDate(date);
+        if (!this.excusedDates.includes(dateStr)) {
+            this.excusedDates.push(dateStr);
+            this.excusedDates.sort();
+        }
+    }
+
+    /**
+     * Remove the excuse for a specific date
+     * @param {string|Date} date - Date to stop excusing
+     */
+    unexcuseDate(date) {
+        const dateStr = this._normalizeDate(date);
+        const index = this.excusedDates.indexOf(dateStr);
+        if (index > -1) {
+            this.excusedDates.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check if a date is excused, either for this habit or by a global vacation
+     * @param {string|Date} date - Date to check
+     * @returns {boolean} True if the day is excused
+     */
+    isExcusedOn(date) {
+        const dateStr = this._normalizeDate(date);
+        return this.excusedDates.includes(dateStr) || Habit.isVacationDay(dateStr);
+    }
+
+    /**
+     * Check if a date falls within a global vacation range
+     * @param {string} dateStr - ISO date string (YYYY-MM-DD)
+     * @returns {boolean} True if the date is a vacation day
+     * @static
+     */
+    static isVacationDay(dateStr) {
+        return vacationRanges.some(range => dateStr >= range.start && dateStr <= range.end);
+    }
+
+    /**
+     * Check if the habit is actually due on a date: scheduled and not excused
+     * @param {string|Date} date - Date to check
+     * @returns {boolean} True if the day counts towards the streak and completion rate
+     */
+    isDueOn(date) {
+        return this.isActiveOnDay(date) && (this.isBreakHabit() || !this.isExcusedOn(date));
+    }
+
+    /**
+     * Archive the habit: it's hidden and stops reminding, but its history and statistics are kept
+     * Tracking stops after the archive date, so streaks and rates stay as they were
+     * @param {string|Date} date - Date the habit was archived (defaults to today)
+     */
+    archive(date = new Date()) {
+        this.archivedDate = this._normalizeDate(date);
+    }
+
+    /**
+     * Restore an archived habit
+     */
+    unarchive() {
+        this.archivedDate = null;
+    }
+
+    /**
+     * Check if the habit is archived
+     * @returns {boolean} True if archived
+     */
+    isArchived() {
+        return this.archivedDate !== null;
+    }
+
+    /**
+     * Check if this is a habit the user is trying to break
+     * @returns {boolean} True for break-type habits
+     */
+    isBreakHabit() {
+        return this.type === HABIT_TYPES.BREAK;
+    }
+
+    /**
+     * Set the habit type
+     * Break-type habits are tracked every day, so targets and schedules are cleared
+     * @param {string} type - One of HABIT_TYPES
+     */
+    setType(type) {
+        if (!Object.values(HABIT_TYPES).includes(type)) {
+            throw new Error(`Invalid habit type: ${type}`);
+        }
+
+        this.type = type;
+
+        if (type === HABIT_TYPES.BREAK) {
+            this.setTarget(null);
+            this.schedule = null;
+            this.daysOfWeek = null;
+        }
+    }
+
+    /**
+     * Log a slip for a specific date (break-type habits)
+     * @param {string|Date} date - Date the slip happened
+     */
+    logSlip(date) {
+        const dateStr = this._normalizeDate(date);
+        if (!this.slips.includes(dateStr)) {
+            this.slips.push(dateStr);
+            this.slips.sort(); // Keep slips sorted chronologically
+        }
+    }
+
+    /**
+     * Remove a slip logged for a specific date
+     * @param {string|Date} date - Date of the slip to remove
+     */
+    removeSlip(date) {
+        const dateStr = this._normalizeDate(date);
+        const index = this.slips.indexOf(dateStr);
+        if (index > -1) {
+            this.slips.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check if a slip was logged on a specific date
+     * @param {string|Date} date - Date to check
+     * @returns {boolean} True if the habit slipped that day
+     */
+    hasSlipOn(date) {
+        const dateStr = this._normalizeDate(date);
+        return this.slips.includes(dateStr);
+    }
+
+    /**
+     * Get the number of days since the last slip (or since the habit was created)
+     * @returns {number} Days clean
+     */
+    getDaysClean() {
+        const today = this._getLastTrackedDate();
+        const lastSlip = this.slips.length > 0 ? this.slips[this.slips.length - 1] : null;
+        return Math.max(0, this._daysBetween(lastSlip || this.createdDate, today));
+    }
+
+    /**
+     * Check if the habit tracks a numeric amount towards a daily target
+     * @returns {boolean} True if the habit has a target
+     */
+    isQuantitative() {
+        return typeof this.target === 'number' && this.target > 0;
+    }
+
+    /**
+     * Get the amount logged for a specific date
+     * @param {string|Date} date - Date to look up
+     * @returns {number} Amount logged, or 0 if nothing was logged
+     */
+    getValue(date) {
+        const dateStr = this._normalizeDate(date);
+        return this.values[dateStr] || 0;
+    }
+
+    /**
+     * Log an amount for a specific date
+     * The day only counts as completed once the amount reaches the target
+     * @param {string|Date} date - Date to log the amount for
+     * @param {number} value - Amount to log (negative values are treated as 0)
+     */
+    setValue(date, value) {
+        if (!this.isQuantitative()) {
+            throw new Error('Only habits with a daily target can log amounts');
+        }
+        if (typeof value !== 'number' || isNaN(value)) {
+            throw new Error('Amount must be a number');
+        }
+
+        const dateStr = this._normalizeDate(date);
+        const amount = Math.max(0, value);
+
+        if (amount === 0) {
+            delete this.values[dateStr];
+        } else {
+            this.values[dateStr] = amount;
+        }
+
+        const index = this.completions.indexOf(dateStr);
+        if (amount >= this.target && index === -1) {
+            this.completions.push(dateStr);
+            this.completions.sort();
+        } else if (amount < this.target && index > -1) {
+            this.completions.splice(index, 1);
+        }
+    }
+
+    /**
+     * Increase or decrease the amount logged for a specific date
+     * @param {string|Date} date - Date to adjust
+     * @param {number} delta - Amount to add (use a negative number to subtract)
+     * @returns {number} The new amount for that date
+     */
+    adjustValue(date, delta) {
+        this.setValue(date, this.getValue(date) + delta);
+        return this.getValue(date);
+    }
+
+    /**
+     * Get progress towards the daily target for a specific date
+     * @param {string|Date} date - Date to check
+     * @returns {number} Progress between 0 and 1 (1 for completed non-quantitative habits)
+     */
+    getProgress(date) {
+        if (!this.isQuantitative()) {
+            return this.isCompletedOn(date) ? 1 : 0;
+        }
+        return Math.min(1, this.getValue(date) / this.target);
+    }
+
+    /**
+     * Get the journal entry for a specific date
+     * @param {string|Date} date - Date to look up
+     * @returns {{note: string, mood: number|null, effort: number|null}|null} The entry, or null if there is none
+     */
+    getJournalEntry(date) {
+        const entry = this.journal[this._normalizeDate(date)];
+        return entry ? { note: entry.note || '', mood: entry.mood || null, effort: entry.effort || null } : null;
+    }
+
+    /**
+     * Write the journal entry for a specific date
+     * An entry with no note and no ratings removes the day's entry
+     * @param {string|Date} date - Date the entry is for
+     * @param {Object} entry - Entry to save
+     * @param {string} entry.note - What happened that day (e.g. "ran 5k, felt great")
+     * @param {number|null} entry.mood - How it felt (see JOURNAL_RATING)
+     * @param {number|null} entry.effort - How hard it was (see JOURNAL_RATING)
+     */
+    setJournalEntry(date, { note = '', mood = null, effort = null } = {}) {
+        if (typeof note !== 'string') {
+            throw new Error('Journal note must be text');
+        }
+        if (!isValidRating(mood) || !isValidRating(effort)) {
+            throw new Error(`Mood and effort must be whole numbers from ${JOURNAL_RATING.MIN} to ${JOURNAL_RATING.MAX}`);
+        }
+
+        const dateStr = this._normalizeDate(date);
+        const text = note.trim();
+
+        if (!text && !mood && !effort) {
+            delete this.journal[dateStr];
+        } else {
+            this.journal[dateStr] = { note: text, mood: mood || null, effort: effort || null };
+        }
+    }
+
+    /**
+     * Get the dates that have a journal entry
+     * @returns {Array<string>} ISO date strings, oldest first
+     */
+    getJournalDates() {
+        return Object.keys(this.journal).sort();
+    }
+
+    /**
+     * Rename one of the habit's tags
+     * If the habit already has the new tag, the two are merged into one
+     * @param {string} oldTag - Tag to rename
+     * @param {string} newTag - New name
+     * @returns {boolean} True if the habit had the tag
+     */
+    renameTag(oldTag, newTag) {
+        if (!this.tags.includes(oldTag)) {
+            return false;
+        }
+        this.tags = [...new Set(this.tags.map(tag => (tag === oldTag ? newTag : tag)))];
+        return true;
+    }
+
+    /**
+     * Remove a tag from the habit
+     * @param {string} tag - Tag to remove
+     * @returns {boolean} True if the habit had the tag
+     */
+    removeTag(tag) {
+        if (!this.tags.includes(tag)) {
+            return false;
+        }
+        this.tags = this.tags.filter(t => t !== tag);
+        return true;
+    }
+
+    /**
+     * Set or update the daily target
+     * @param {number|null} target - Positive number, or null to make this a simple done/not-done habit
+     * @param {string} unit - Optional unit for the target
+     */
+    setTarget(target, unit = '') {
+        if (target === null || target === '' || target === undefined) {
+            this.target = null;
+            this.unit = '';
+            this.values = {};
+            return;
+        }
+
+        if (typeof target !== 'number' || isNaN(target) || target <= 0) {
+            throw new Error('Invalid target. Must be a positive number');
+        }
+
+        const wasQuantitative = this.isQuantitative();
+        this.target = target;
+        this.unit = (unit || '').trim();
+
+        // Days completed before the habit had a target count as having met it
+        if (!wasQuantitative) {
+            this.completions.forEach(dateStr => {
+                this.values[dateStr] = target;
+            });
+        }
+
+        // Re-evaluate which logged days meet the new target
+        for (const dateStr of Object.keys(this.values)) {
+            this.setValue(dateStr, this.values[dateStr]);
+        }
+    }
+
+    /**
+     * Get a human-readable string of the daily target
+     * @returns {string} Target with unit (e.g., "8 glasses"), or empty string if not quantitative
+     */
+    getTargetString() {
+        if (!this.isQuantitative()) {
+            return '';
+        }
+        return this.unit ? `${this.target} ${this.unit}` : `${this.target}`;
+    }
+
+    /**
+     * Check if the habit is active on a given day
+     * Weekday numbers can only be checked against a days-of-week schedule; other schedules need a date
+     * @param {number|Date|string} dayOrDate - Day number (0-6) or Date object or date string
+     * @returns {boolean} True if habit is scheduled for this day
+     */
+    isActiveOnDay(dayOrDate) {
+        // Break-type habits are tracked every day
+        if (this.isBreakHabit()) {
+            return true;
+        }
+
+        const scheduleType = this.getScheduleType();
+
+        if (scheduleType === SCHEDULE_TYPES.DAYS_OF_WEEK) {
+            // If no specific days are set, habit is active every day
+            if (!this.daysOfWeek || this.daysOfWeek.length === 0) {
+                return true;
+            }
+
+            const dayOfWeek = typeof dayOrDate === 'number'
+                ? dayOrDate
+                : this._toDate(dayOrDate).getDay();
+
+            return this.daysOfWeek.includes(dayOfWeek);
+        }
+
+        // A bare weekday number says nothing about the other schedule types
+        if (typeof dayOrDate === 'number') {
+            return true;
+        }
+
+        const date = this._toDate(dayOrDate);
+
+        switch (scheduleType) {
+            case SCHEDULE_TYPES.TIMES_PER_WEEK:
+                // Any day counts until the weekly goal has been met on other days
+                return this.isCompletedOn(date) || !this.isWeeklyGoalMet(date);
+
+            case SCHEDULE_TYPES.INTERVAL: {
+                const start = this._toDate(this.schedule.startDate || this.createdDate);
+                const daysSinceStart = this._daysBetween(start, date);
+                return daysSinceStart >= 0 && daysSinceStart % this.schedule.every === 0;
+            }
+
+            case SCHEDULE_TYPES.DAYS_OF_MONTH: {
+                // Days past the end of a short month fall on its last day (e.g., the 31st in April is the 30th)
+                const lastDayOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return this.schedule.days.some(day => Math.min(day, lastDayOfMonth) === date.getDate());
+            }
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Get the schedule type of the habit
+     * @returns {string} One of SCHEDULE_TYPES
+     */
+    getScheduleType() {
+        return this.schedule ? this.schedule.type : SCHEDULE_TYPES.DAYS_OF_WEEK;
+    }
+
+    /**
+     * Set or update the schedule rule
+     * @param {Object|null} schedule - Schedule object (see SCHEDULE_TYPES), or null to follow daysOfWeek
+     */
+    setSchedule(schedule) {
+        if (!schedule || schedule.type === SCHEDULE_TYPES.DAYS_OF_WEEK) {
+            this.schedule = null;
+            return;
+        }
+
+        switch (schedule.type) {
+            case SCHEDULE_TYPES.TIMES_PER_WEEK:
+                if (!Number.isInteger(schedule.count) || schedule.count < 1 || schedule.count > 7) {
+                    throw new Error('Times per week must be a whole number between 1 and 7');
+                }
+                this.schedule = { type: schedule.type, count: schedule.count };
+                break;
+
+            case SCHEDULE_TYPES.INTERVAL: {
+                if (!Number.isInteger(schedule.every) || schedule.every < 1) {
+                    throw new Error('Interval must be a whole number of days (1 or more)');
+                }
+                const startDate = schedule.startDate || this.createdDate;
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+                    throw new Error('Invalid start date. Use YYYY-MM-DD format');
+                }
+                this.schedule = { type: schedule.type, every: schedule.every, startDate };
+                break;
+            }
+
+            case SCHEDULE_TYPES.DAYS_OF_MONTH:
+                if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+                    !schedule.days.every(d => Number.isInteger(d) && d >= 1 && d <= 31)) {
+                    throw new Error('Days of the month must be whole numbers between 1 and 31');
+                }
+                this.schedule = { type: schedule.type, days: [...new Set(schedule.days)].sort((a, b) => a - b) };
+                break;
+
+            default:
+                throw new Error(`Unknown schedule type: ${schedule.type}`);
+        }
+
+        // Weekday restrictions don't apply to the other schedule types
+        this.daysOfWeek = null;
+    }
+
+    /**
+     * Get the unit the streak is counted in
+     * @returns {string} 'week' for times-per-week habits, otherwise 'day'
      */
-    markIncomplete(date) {
-        const dateStr = this._normalizeDate(date);
-        const index = this.completions.indexOf(dateStr);
-        if (index > -1) {
-            this.completions.splice(index, 1);
-        }
+    getStreakUnit() {
+        return this.getScheduleType() === SCHEDULE_TYPES.TIMES_PER_WEEK ? 'week' : 'day';
     }
 
     /**
-     * Check if the habit was completed on a specific date
-     * @param {string} date - ISO date string (YYYY-MM-DD)
-     * @returns {boolean} True if completed on that date
+     * Count completions in the week (Sunday-Saturday) containing a date
+     * @param {string|Date} date - Any date within the week
+     * @returns {number} Number of completions that week
      */
-    isCompletedOn(date) {
-        const dateStr = this._normalizeDate(date);
-        return this.completions.includes(dateStr);
+    getCompletionsInWeek(date) {
+        const weekStart = this._getWeekStart(date);
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 6);
+
+        const startStr = this._normalizeDate(weekStart);
+        const endStr = this._normalizeDate(weekEnd);
+        return this.completions.filter(d => d >= startStr && d <= endStr).length;
     }
 
     /**
-     * Check if the habit is active on a given day of the week
-     * @param {number|Date|string} dayOrDate - Day number (0-6) or Date object or date string
-     * @returns {boolean} True if habit is scheduled for this day
+     * Check if a times-per-week habit has met its goal for the week containing a date
+     * @param {string|Date} date - Any date within the week
+     * @returns {boolean} True if the weekly goal was met (always false for other schedule types)
      */
-    isActiveOnDay(dayOrDate) {
-        // If no specific days are set, habit is active every day
-        if (!this.daysOfWeek || this.daysOfWeek.length === 0) {
-            return true;
-        }
-
-        let dayOfWeek;
-        if (typeof dayOrDate === 'number') {
-            dayOfWeek = dayOrDate;
-        } else if (dayOrDate instanceof Date) {
-            dayOfWeek = dayOrDate.getDay();
-        } else {
-            // Assume it's a date string in YYYY-MM-DD format
-            // Parse manually to avoid UTC timezone issues
-            const parts = dayOrDate.split('-');
-            const date = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
-            dayOfWeek = date.getDay();
+    isWeeklyGoalMet(date) {
+        if (this.getScheduleType() !== SCHEDULE_TYPES.TIMES_PER_WEEK) {
+            return false;
         }
-
-        return this.daysOfWeek.includes(dayOfWeek);
+        return this.getCompletionsInWeek(date) >= this._getWeeklyRequirement(date);
     }
 
     /**
      * Calculate the current streak (consecutive days completed)
-     * Takes into account scheduled days of the week
-     * @returns {number} Number of consecutive days (or scheduled days) completed
+     * Takes into account the habit's schedule
+     * @returns {number} Number of consecutive days (or scheduled days) completed, or weeks for times-per-week habits,
+     *                   or days clean for break-type habits
      */
     calculateStreak() {
+        if (this.isBreakHabit()) {
+            return this.getDaysClean();
+        }
+
         if (this.completions.length === 0) {
             return 0;
         }
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        if (this.getScheduleType() === SCHEDULE_TYPES.TIMES_PER_WEEK) {
+            return this._calculateWeeklyStreak();
+        }
+
+        const today = this._getLastTrackedDate();
         
         let currentDate = new Date(today);
         let streak = 0;
@@ -116,8 +824,8 @@ export class Habit {
         while (daysChecked < 365) {
             const dateStr = this._normalizeDate(currentDate);
             
-            // Check if this day should be counted (is it a scheduled day?)
-            if (this.isActiveOnDay(currentDate)) {
+            // Check if this day should be counted (is it a scheduled, non-excused day?)
+            if (this.isDueOn(currentDate)) {
                 // If it's completed, increment streak
                 if (this.isCompletedOn(dateStr)) {
                     streak++;
@@ -133,7 +841,7 @@ export class Habit {
                     }
                 }
             }
-            // If this day isn't scheduled, skip it and continue checking
+            // If this day isn't scheduled or is excused, skip it and continue checking
 
             // Move to previous day
             currentDate.setDate(currentDate.getDate() - 1);
@@ -148,89 +856,247 @@ export class Habit {
      * @returns {Object} Statistics object with various metrics
      */
     getStatistics() {
+        if (this.isBreakHabit()) {
+            return this._getBreakStatistics();
+        }
+
         const totalCompletions = this.completions.length;
         const currentStreak = this.calculateStreak();
+        const isWeekly = this.getScheduleType() === SCHEDULE_TYPES.TIMES_PER_WEEK;
         
         // Calculate longest streak
         let longestStreak = 0;
         let tempStreak = 0;
-        const sortedCompletions = [...this.completions].sort();
+
+        if (isWeekly) {
+            longestStreak = this._calculateLongestWeeklyStreak();
+        } else {
+            const sortedCompletions = [...this.completions].sort();
         
-        for (let i = 0; i < sortedCompletions.length; i++) {
-            if (i === 0) {
-                tempStreak = 1;
-            } else {
-                const prevDate = new Date(sortedCompletions[i - 1]);
-                const currDate = new Date(sortedCompletions[i]);
+            for (let i = 0; i < sortedCompletions.length; i++) {
+                if (i === 0) {
+                    tempStreak = 1;
+                } else {
+                    const prevDate = this._toDate(sortedCompletions[i - 1]);
+                    const currDate = this._toDate(sortedCompletions[i]);
                 
-                // Check all days between prev and current
-                let allScheduledDaysCompleted = true;
-                let checkDate = new Date(prevDate);
-                checkDate.setDate(checkDate.getDate() + 1);
+                    // Check all days between prev and current
+                    let allScheduledDaysCompleted = true;
+                    let checkDate = new Date(prevDate);
+                    checkDate.setDate(checkDate.getDate() + 1);
                 
-                while (checkDate < currDate) {
-                    if (this.isActiveOnDay(checkDate)) {
-                        allScheduledDaysCompleted = false;
-                        break;
+                    while (checkDate < currDate) {
+                        if (this.isDueOn(checkDate)) {
+                            allScheduledDaysCompleted = false;
+                            break;
+                        }
+                        checkDate.setDate(checkDate.getDate() + 1);
                     }
-                    checkDate.setDate(checkDate.getDate() + 1);
-                }
                 
-                if (allScheduledDaysCompleted) {
-                    tempStreak++;
-                } else {
-                    longestStreak = Math.max(longestStreak, tempStreak);
-                    tempStreak = 1;
+                    if (allScheduledDaysCompleted) {
+                        tempStreak++;
+                    } else {
+                        longestStreak = Math.max(longestStreak, tempStreak);
+                        tempStreak = 1;
+                    }
                 }
             }
+            longestStreak = Math.max(longestStreak, tempStreak);
         }
-        longestStreak = Math.max(longestStreak, tempStreak);
 
         // Calculate completion rate (days completed vs days since creation)
-        const createdDateObj = new Date(this.createdDate);
-        const today = new Date();
-        const daysSinceCreation = Math.floor((today - createdDateObj) / (1000 * 60 * 60 * 24)) + 1;
+        const createdDateObj = this._toDate(this.createdDate);
+        const today = this._getLastTrackedDate();
+        const daysSinceCreation = this._daysBetween(createdDateObj, today) + 1;
         
         // Count how many scheduled days have passed since creation
         let scheduledDaysPassed = 0;
-        if (this.daysOfWeek && this.daysOfWeek.length > 0) {
+        let countedCompletions = totalCompletions;
+        if (isWeekly) {
+            // Each week asks for its goal; extra completions in a week don't raise the rate
+            scheduledDaysPassed = 0;
+            countedCompletions = 0;
+            const weekStart = this._getWeekStart(createdDateObj);
+            while (weekStart <= today) {
+                const requirement = this._getWeeklyRequirement(weekStart);
+                const completed = this.getCompletionsInWeek(weekStart);
+                if (this._getWeekStart(today).getTime() === weekStart.getTime()) {
+                    // Only expect as many completions this week as there have been available days so far
+                    scheduledDaysPassed += this._getWeeklyRequirement(weekStart, today);
+                } else {
+                    scheduledDaysPassed += requirement;
+                }
+                countedCompletions += Math.min(completed, requirement);
+                weekStart.setDate(weekStart.getDate() + 7);
+            }
+        } else {
+            // Walk every day so schedules and excused days are both taken into account
             const checkDate = new Date(createdDateObj);
             while (checkDate <= today) {
-                if (this.isActiveOnDay(checkDate)) {
+                if (this.isDueOn(checkDate)) {
                     scheduledDaysPassed++;
                 }
                 checkDate.setDate(checkDate.getDate() + 1);
             }
-        } else {
-            scheduledDaysPassed = daysSinceCreation;
         }
         
         const completionRate = scheduledDaysPassed > 0 
-            ? Math.round((totalCompletions / scheduledDaysPassed) * 100) 
+            ? Math.min(100, Math.round((countedCompletions / scheduledDaysPassed) * 100))
             : 0;
 
+        // Total amount logged across all days (quantitative habits only)
+        const totalValue = Object.values(this.values).reduce((sum, value) => sum + value, 0);
+
         return {
             totalCompletions,
             currentStreak,
             longestStreak,
             completionRate,
             daysSinceCreation,
-            scheduledDaysPassed
+            scheduledDaysPassed,
+            totalValue
         };
     }
 
     /**
      * Set or update the notification time
+     * Replaces all reminders with a single one, every day the habit is due
      * @param {string|null} time - Time string in HH:MM format, or null to disable
      */
     setNotificationTime(time) {
-        if (time === null || time === '') {
-            this.notificationTime = null;
-        } else if (this._isValidTimeString(time)) {
-            this.notificationTime = time;
-        } else {
-            throw new Error('Invalid time format. Use HH:MM format (e.g., "09:00" or "14:30")');
+        this.setReminders(time === null || time === '' ? [] : [{ time, days: null }]);
+    }
+
+    /**
+     * Set the reminder times
+     * Each reminder is { time, days }: an HH:MM time, and the weekdays (0 = Sunday) it applies to,
+     * or null for every day the habit is due. notificationTime follows the earliest time
+     * @param {Array<{time: string, days: Array<number>|null}>} reminders - Reminders, in any order
+     */
+    setReminders(reminders) {
+        const normalized = (reminders || []).map(reminder => {
+            if (!reminder || !this._isValidTimeString(reminder.time)) {
+                throw new Error('Invalid time format. Use HH:MM format (e.g., "09:00" or "14:30")');
+            }
+
+            const days = Array.isArray(reminder.days) ? [...new Set(reminder.days)].sort((a, b) => a - b) : [];
+            if (!days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                throw new Error('Reminder days must be numbers from 0 (Sunday) to 6 (Saturday)');
+            }
+
+            // No days and all seven days both mean every day
+            return { time: reminder.time, days: days.length > 0 && days.length < 7 ? days : null };
+        });
+
+        // The same time on the same days counts once
+        const unique = new Map(normalized.map(reminder => [`${reminder.time}@${reminder.days || ''}`, reminder]));
+        this.reminders = [...unique.values()].sort((a, b) => a.time.localeCompare(b.time));
+        this.notificationTime = this.reminders.length > 0 ? this.reminders[0].time : null;
+    }
+
+    /**
+     * Get the reminder times
+     * @returns {Array<{time: string, days: Array<number>|null}>} Copies of the reminders, earliest first
+     */
+    getReminders() {
+        return this.reminders.map(reminder => ({ time: reminder.time, days: reminder.days ? [...reminder.days] : null }));
+    }
+
+    /**
+     * Set whether the habit reminds again until it's done
+     * @param {{interval: number, until: string|null}|null} nagging - Minutes between follow-ups, and the
+     *        HH:MM time to give up at (null for midnight); null to send each reminder once
+     */
+    setNagging(nagging) {
+        if (!nagging) {
+            this.nagging = null;
+            return;
+        }
+
+        const { interval, until = null } = nagging;
+        if (!Number.isInteger(interval) || interval < NAG_INTERVAL.MIN || interval > NAG_INTERVAL.MAX) {
+            throw new Error(`Reminders can repeat every ${NAG_INTERVAL.MIN} to ${NAG_INTERVAL.MAX} minutes`);
+        }
+        if (until !== null && until !== '' && !this._isValidTimeString(until)) {
+            throw new Error('Invalid time to stop reminding. Use HH:MM format (e.g., "21:00")');
+        }
+
+        this.nagging = { interval, until: until || null };
+    }
+
+    /**
+     * Get the follow-up reminder settings
+     * @returns {{interval: number, until: string|null}|null} Copy of the settings, or null if there are no follow-ups
+     */
+    getNagging() {
+        return this.nagging ? { ...this.nagging } : null;
+    }
+
+    /**
+     * Get the reminder times of a day, including follow-ups for a habit that reminds again until done
+     * Whether the habit is due (or already done) that day isn't checked here.
+     * Follow-ups stop at the next reminder, the "until" time or midnight, whichever comes first
+     * @param {string|Date} date - Day to get the reminders of
+     * @returns {Array<{time: string, followUp: boolean}>} HH:MM times in order
+     */
+    getReminderTimesOn(date) {
+        const weekday = this._toDate(date).getDay();
+        const starts = [...new Set(this.reminders
+            .filter(reminder => !reminder.days || reminder.days.includes(weekday))
+            .map(reminder => toMinutes(reminder.time)))]
+            .sort((a, b) => a - b);
+
+        const times = starts.map(minutes => ({ minutes, followUp: false }));
+
+        // Break-type habits are never "done", so they would be nagged all day
+        if (this.nagging && !this.isBreakHabit()) {
+            const { interval, until } = this.nagging;
+            const last = until ? toMinutes(until) : MINUTES_PER_DAY - 1;
+            let count = 0;
+
+            starts.forEach((start, i) => {
+                const end = Math.min(i + 1 < starts.length ? starts[i + 1] - 1 : MINUTES_PER_DAY - 1, last);
+                for (let minutes = start + interval; minutes <= end && count < MAX_FOLLOW_UPS_PER_DAY; minutes += interval) {
+                    times.push({ minutes, followUp: true });
+                    count++;
+                }
+            });
+        }
+
+        return times
+            .sort((a, b) => a.minutes - b.minutes)
+            .map(({ minutes, followUp }) => ({ time: toTimeString(minutes), followUp }));
+    }
+
+    /**
+     * Set the part of the day the habit is done in
+     * @param {string|null} slot - One of TIME_SLOTS, or null to follow the notification time
+     */
+    setTimeSlot(slot) {
+        if (slot !== null && slot !== '' && !Object.values(TIME_SLOTS).includes(slot)) {
+            throw new Error(`Unknown time of day: ${slot}`);
+        }
+        this.timeSlot = slot || null;
+    }
+
+    /**
+     * Get the part of the day the habit is done in
+     * Without a chosen slot, the notification time decides (no notification time means anytime)
+     * @returns {string} One of TIME_SLOTS
+     */
+    getTimeSlot() {
+        if (this.timeSlot) {
+            return this.timeSlot;
         }
+        if (!this.notificationTime) {
+            return TIME_SLOTS.ANYTIME;
+        }
+
+        const hour = parseInt(this.notificationTime.split(':')[0], 10);
+        if (hour < AFTERNOON_START_HOUR) {
+            return TIME_SLOTS.MORNING;
+        }
+        return hour < EVENING_START_HOUR ? TIME_SLOTS.AFTERNOON : TIME_SLOTS.EVENING;
     }
 
     /**
@@ -293,6 +1159,226 @@ export class Habit {
         return this.daysOfWeek.map(d => dayNames[d]).join(', ');
     }
 
+    /**
+     * Get a human-readable description of the schedule
+     * @returns {string} String representation of the schedule
+     */
+    getScheduleString() {
+        switch (this.getScheduleType()) {
+            case SCHEDULE_TYPES.TIMES_PER_WEEK:
+                return `${this.schedule.count}× per week`;
+
+            case SCHEDULE_TYPES.INTERVAL:
+                if (this.schedule.every === 1) return 'Every day';
+                if (this.schedule.every === 2) return 'Every other day';
+                return `Every ${this.schedule.every} days`;
+
+            case SCHEDULE_TYPES.DAYS_OF_MONTH:
+                return `Monthly on the ${this.schedule.days.map(d => this._ordinal(d)).join(', ')}`;
+
+            default:
+                return this.getDaysOfWeekString();
+        }
+    }
+
+    /**
+     * Get statistics for a break-type habit
+     * Streak fields report clean runs so generic consumers keep working
+     * @returns {Object} Statistics object with clean-run and slip metrics
+     * @private
+     */
+    _getBreakStatistics() {
+        const today = this._getLastTrackedDate();
+        const daysSinceCreation = this._daysBetween(this.createdDate, today) + 1;
+        const sortedSlips = [...this.slips].sort();
+        const totalSlips = sortedSlips.length;
+        const daysClean = this.getDaysClean();
+
+        // Longest clean run: before the first slip, between slips, and since the last slip
+        let longestCleanRun = daysClean;
+        let previous = null;
+        for (const slip of sortedSlips) {
+            const run = previous === null
+                ? this._daysBetween(this.createdDate, slip)
+                : this._daysBetween(previous, slip) - 1;
+            longestCleanRun = Math.max(longestCleanRun, run);
+            previous = slip;
+        }
+
+        const cleanDays = Math.max(0, daysSinceCreation - totalSlips);
+        const cleanRate = daysSinceCreation > 0
+            ? Math.round((cleanDays / daysSinceCreation) * 100)
+            : 0;
+        const weeks = daysSinceCreation / 7;
+        const slipsPerWeek = weeks > 0 ? Math.round((totalSlips / weeks) * 10) / 10 : 0;
+
+        return {
+            totalCompletions: cleanDays,
+            currentStreak: daysClean,
+            longestStreak: longestCleanRun,
+            completionRate: cleanRate,
+            daysSinceCreation,
+            scheduledDaysPassed: daysSinceCreation,
+            totalValue: 0,
+            totalSlips,
+            slipsPerWeek,
+            longestCleanRun,
+            cleanDays,
+            cleanRate
+        };
+    }
+
+    /**
+     * Calculate the streak of consecutive weeks meeting the weekly goal
+     * The current week only counts once its goal is met, but doesn't break the streak while in progress
+     * @returns {number} Number of consecutive weeks
+     * @private
+     */
+    _calculateWeeklyStreak() {
+        const today = this._getLastTrackedDate();
+        const createdWeek = this._getWeekStart(this.createdDate);
+
+        const weekStart = this._getWeekStart(today);
+        let streak = 0;
+        let checkingCurrentWeek = true;
+
+        while (weekStart >= createdWeek) {
+            // Fully excused weeks (nothing required) neither extend nor break the streak
+            if (this._getWeeklyRequirement(weekStart) > 0) {
+                if (this.isWeeklyGoalMet(weekStart)) {
+                    streak++;
+                } else if (!checkingCurrentWeek) {
+                    break;
+                }
+            }
+            checkingCurrentWeek = false;
+            weekStart.setDate(weekStart.getDate() - 7);
+        }
+
+        return streak;
+    }
+
+    /**
+     * Calculate the longest run of consecutive weeks meeting the weekly goal
+     * @returns {number} Number of weeks
+     * @private
+     */
+    _calculateLongestWeeklyStreak() {
+        const today = this._getLastTrackedDate();
+
+        const weekStart = this._getWeekStart(this.createdDate);
+        let longest = 0;
+        let current = 0;
+
+        while (weekStart <= today) {
+            // Fully excused weeks (nothing required) neither extend nor break the streak
+            if (this._getWeeklyRequirement(weekStart) > 0) {
+                if (this.isWeeklyGoalMet(weekStart)) {
+                    current++;
+                    longest = Math.max(longest, current);
+                } else {
+                    current = 0;
+                }
+            }
+            weekStart.setDate(weekStart.getDate() + 7);
+        }
+
+        return longest;
+    }
+
+    /**
+     * Get the number of completions required in the week containing a date
+     * Only days on or after the creation date that aren't excused are available,
+     * so the first week and weeks with excused days ask for fewer
+     * @param {string|Date} date - Any date within the week
+     * @param {Date|null} until - Only count days up to this date (optional)
+     * @returns {number} Required completions for that week
+     * @private
+     */
+    _getWeeklyRequirement(date, until = null) {
+        const day = this._getWeekStart(date);
+        const createdDate = this._toDate(this.createdDate);
+        let daysAvailable = 0;
+
+        for (let i = 0; i < 7; i++) {
+            if (day >= createdDate && (!until || day <= until) && !this.isExcusedOn(day)) {
+                daysAvailable++;
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return Math.min(this.schedule.count, daysAvailable);
+    }
+
+    /**
+     * Get the last day that counts towards streaks and statistics
+     * @returns {Date} Local midnight of today, or of the archive date for archived habits
+     * @private
+     */
+    _getLastTrackedDate() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (this.archivedDate) {
+            const archived = this._toDate(this.archivedDate);
+            return archived < today ? archived : today;
+        }
+        return today;
+    }
+
+    /**
+     * Get the Sunday starting the week containing a date
+     * @param {string|Date} date - Any date within the week
+     * @returns {Date} Local midnight of that Sunday
+     * @private
+     */
+    _getWeekStart(date) {
+        const weekStart = this._toDate(date);
+        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+        return weekStart;
+    }
+
+    /**
+     * Convert a date string or Date to a Date at local midnight
+     * @param {string|Date} date - ISO date string (YYYY-MM-DD) or Date object
+     * @returns {Date} New Date object at local midnight
+     * @private
+     */
+    _toDate(date) {
+        if (date instanceof Date) {
+            const copy = new Date(date);
+            copy.setHours(0, 0, 0, 0);
+            return copy;
+        }
+        // Parse manually to avoid UTC timezone issues
+        const parts = this._normalizeDate(date).split('-');
+        return new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
+    }
+
+    /**
+     * Count whole days between two dates
+     * @param {Date} from - Start date
+     * @param {Date} to - End date
+     * @returns {number} Number of days from start to end (negative if end is earlier)
+     * @private
+     */
+    _daysBetween(from, to) {
+        // Round to absorb daylight saving time shifts
+        return Math.round((this._toDate(to) - this._toDate(from)) / MS_PER_DAY);
+    }
+
+    /**
+     * Format a day of the month as an ordinal (1st, 2nd, 3rd...)
+     * @param {number} day - Day of the month
+     * @returns {string} Ordinal string
+     * @private
+     */
+    _ordinal(day) {
+        const suffixes = ['th', 'st', 'nd', 'rd'];
+        const remainder = day % 100;
+        return day + (suffixes[(remainder - 20) % 10] || suffixes[remainder] || suffixes[0]);
+    }
+
     /**
      * Normalize a date to ISO format (YYYY-MM-DD)
      * @param {string|Date} date - Date to normalize
@@ -304,10 +1390,7 @@ export class Habit {
             return date.split('T')[0];
         }
         // Use local date parts to avoid UTC timezone issues
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        return toLocalDateString(date);
     }
 
     /**
@@ -321,6 +1404,51 @@ export class Habit {
         return timeRegex.test(time);
     }
 
+    /**
+     * Merge another copy of this habit's history into this one
+     * Completions, slips and excused days are combined and the larger amount is kept for each day;
+     * name, schedule and other settings stay as they are
+     * @param {Habit} other - Habit whose history should be merged in
+     */
+    mergeHistory(other) {
+        const union = (a, b) => [...new Set([...a, ...b])].sort();
+
+        this.completions = union(this.completions, other.completions);
+        this.slips = union(this.slips, other.slips);
+
+        Object.entries(other.values).forEach(([date, value]) => {
+            this.values[date] = Math.max(this.getValue(date), value);
+        });
+
+        // Keep quantitative days consistent with the merged completions
+        if (this.isQuantitative()) {
+            this.completions.forEach(date => {
+                this.values[date] = Math.max(this.getValue(date), this.target);
+            });
+            Object.keys(this.values)
+                .filter(date => this.values[date] >= this.target)
+                .forEach(date => this.markCompleted(date));
+        }
+
+        // Keep our own entry for a day both copies wrote about, filling in anything it left out
+        Object.entries(other.journal || {}).forEach(([date, entry]) => {
+            const own = this.journal[date] || {};
+            this.journal[date] = {
+                note: own.note || entry.note || '',
+                mood: own.mood || entry.mood || null,
+                effort: own.effort || entry.effort || null
+            };
+        });
+
+        // A day that was actually done doesn't need an excuse
+        this.excusedDates = union(this.excusedDates, other.excusedDates)
+            .filter(date => !this.completions.includes(date));
+
+        if (other.createdDate < this.createdDate) {
+            this.createdDate = other.createdDate;
+        }
+    }
+
     /**
      * Convert habit to plain object for storage
      * @returns {Object} Plain object representation
@@ -334,7 +1462,20 @@ export class Habit {
             notificationTime: this.notificationTime,
             daysOfWeek: this.daysOfWeek,
             notes: this.notes,
-            tags: this.tags
+            tags: this.tags,
+            target: this.target,
+            unit: this.unit,
+            values: this.values,
+            schedule: this.schedule,
+            type: this.type,
+            slips: this.slips,
+            excusedDates: this.excusedDates,
+            archivedDate: this.archivedDate,
+            order: this.order,
+            journal: this.journal,
+            timeSlot: this.timeSlot,
+            reminders: this.reminders,
+            nagging: this.nagging
         };
     }
 
@@ -352,9 +1493,145 @@ export class Habit {
             obj.notificationTime,
             obj.daysOfWeek,
             obj.notes,
-            obj.tags
+            obj.tags,
+            obj.target,
+            obj.unit,
+            obj.values,
+            obj.schedule,
+            obj.type,
+            obj.slips,
+            obj.excusedDates,
+            obj.archivedDate,
+            obj.order,
+            obj.journal,
+            obj.timeSlot,
+            obj.reminders,
+            obj.nagging
         );
         habit.id = obj.id;
         return habit;
     }
+
+    /**
+     * Check a plain habit object (e.g. from an import file) before it is turned into a Habit
+     * @param {Object} obj - Plain object with habit data
+     * @returns {Array<string>} Problems found, empty if the object is valid
+     * @static
+     */
+    static validate(obj) {
+        const errors = [];
+
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+            return ['Not a habit object'];
+        }
+
+        const isDateList = list => Array.isArray(list) && list.every(isValidDateString);
+
+        if (typeof obj.id !== 'string' || obj.id.trim() === '') {
+            errors.push('Missing ID');
+        }
+
+        if (typeof obj.name !== 'string' || obj.name.trim() === '') {
+            errors.push('Missing name');
+        } else if (obj.name.length > 100) {
+            errors.push('Name is too long (max 100 characters)');
+        }
+
+        if (typeof obj.createdDate !== 'string' || !isValidDateString(obj.createdDate.split('T')[0])) {
+            errors.push(`Invalid created date: ${obj.createdDate}`);
+        }
+
+        if (!isDateList(obj.completions)) {
+            errors.push('Completions must be a list of YYYY-MM-DD dates');
+        }
+
+        if (obj.notificationTime !== null && obj.notificationTime !== undefined &&
+            !Habit.prototype._isValidTimeString(obj.notificationTime)) {
+            errors.push(`Invalid notification time: ${obj.notificationTime}`);
+        }
+
+        if (obj.reminders !== null && obj.reminders !== undefined) {
+            const isValidReminder = reminder => reminder &&
+                Habit.prototype._isValidTimeString(reminder.time) &&
+                (reminder.days === null || reminder.days === undefined ||
+                    (Array.isArray(reminder.days) && reminder.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)));
+            if (!Array.isArray(obj.reminders) || !obj.reminders.every(isValidReminder)) {
+                errors.push('Reminders must be HH:MM times with optional weekdays from 0 (Sunday) to 6 (Saturday)');
+            }
+        }
+
+        if (obj.nagging !== null && obj.nagging !== undefined) {
+            const { interval, until } = obj.nagging;
+            if (!Number.isInteger(interval) || interval < NAG_INTERVAL.MIN || interval > NAG_INTERVAL.MAX ||
+                (until !== null && until !== undefined && !Habit.prototype._isValidTimeString(until))) {
+                errors.push(`Follow-up reminders need an interval of ${NAG_INTERVAL.MIN} to ${NAG_INTERVAL.MAX} minutes and an optional HH:MM end time`);
+            }
+        }
+
+        if (obj.daysOfWeek !== null && obj.daysOfWeek !== undefined &&
+            (!Array.isArray(obj.daysOfWeek) || !obj.daysOfWeek.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+            errors.push('Days of the week must be numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+
+        if (obj.notes !== undefined && typeof obj.notes !== 'string') {
+            errors.push('Notes must be text');
+        }
+
+        if (obj.tags !== undefined && (!Array.isArray(obj.tags) || !obj.tags.every(t => typeof t === 'string' && t.trim() !== ''))) {
+            errors.push('Tags must be a list of non-empty text labels');
+        }
+
+        if (obj.target !== null && obj.target !== undefined && !(typeof obj.target === 'number' && obj.target > 0)) {
+            errors.push(`Invalid daily target: ${obj.target}`);
+        }
+
+        if (obj.unit !== undefined && typeof obj.unit !== 'string') {
+            errors.push('Unit must be text');
+        }
+
+        if (obj.values !== undefined && (typeof obj.values !== 'object' || obj.values === null || Array.isArray(obj.values) ||
+            !Object.entries(obj.values).every(([date, value]) => isValidDateString(date) && typeof value === 'number' && value >= 0))) {
+            errors.push('Logged amounts must map YYYY-MM-DD dates to non-negative numbers');
+        }
+
+        if (obj.schedule !== null && obj.schedule !== undefined) {
+            try {
+                new Habit('validation', obj.createdDate).setSchedule(obj.schedule);
+            } catch (error) {
+                errors.push(`Invalid schedule: ${error.message}`);
+            }
+        }
+
+        if (obj.type !== undefined && !Object.values(HABIT_TYPES).includes(obj.type)) {
+            errors.push(`Unknown habit type: ${obj.type}`);
+        }
+
+        if (obj.slips !== undefined && !isDateList(obj.slips)) {
+            errors.push('Slips must be a list of YYYY-MM-DD dates');
+        }
+
+        if (obj.excusedDates !== undefined && !isDateList(obj.excusedDates)) {
+            errors.push('Excused days must be a list of YYYY-MM-DD dates');
+        }
+
+        if (obj.archivedDate !== null && obj.archivedDate !== undefined && !isValidDateString(obj.archivedDate)) {
+            errors.push(`Invalid archive date: ${obj.archivedDate}`);
+        }
+
+        if (obj.order !== null && obj.order !== undefined && !Number.isFinite(obj.order)) {
+            errors.push('Order must be a number');
+        }
+
+        if (obj.timeSlot !== null && obj.timeSlot !== undefined && !Object.values(TIME_SLOTS).includes(obj.timeSlot)) {
+            errors.push(`Unknown time of day: ${obj.timeSlot}`);
+        }
+
+        if (obj.journal !== undefined && (typeof obj.journal !== 'object' || obj.journal === null || Array.isArray(obj.journal) ||
+            !Object.entries(obj.journal).every(([date, entry]) => isValidDateString(date) && entry && typeof entry === 'object' &&
+                (entry.note === undefined || typeof entry.note === 'string') && isValidRating(entry.mood) && isValidRating(entry.effort)))) {
+            errors.push(`Journal entries must map YYYY-MM-DD dates to a note and ratings from ${JOURNAL_RATING.MIN} to ${JOURNAL_RATING.MAX}`);
+        }
+
+        return errors;
+    }
 }
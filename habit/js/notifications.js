@@ -1,8 +1,55 @@
 /**
  * Notifications Module
  * Handles notification permissions and scheduling for habit reminders
+ * Reminders are shown through the service worker when there is one, which also lets them arrive
+ * while the app is closed: the app saves the upcoming reminders (see buildReminderSchedule) and
+ * the service worker delivers them through notification triggers, periodic background sync or
+ * push messages from tools/push-server.js, whichever the browser supports.
+ * Reminders missed while a tab was throttled or the device asleep are caught up within a grace
+ * window, and a shared ledger (see Storage.claimReminders) makes sure each one is shown only once,
+ * however many tabs are open. Quiet hours hold habit reminders back until they end, and an optional
+ * morning plan and evening digest summarize the day
  */
 
+import { getPath, ROUTES } from './router.js';
+import { claimReminders } from './storage.js';
+import { toLocalDateString } from './habit.js';
+
+/**
+ * Ways reminders can reach the user while the app is closed
+ */
+export const BACKGROUND_DELIVERY = {
+    TRIGGERS: 'triggers',           // Notification Triggers: the browser shows each reminder on time
+    PERIODIC_SYNC: 'periodic-sync', // Periodic Background Sync wakes the service worker now and then
+    PUSH: 'push'                    // Push messages from the local push server, at reminder times
+};
+
+// Days of reminders handed to the service worker; opening the app extends the schedule again
+export const REMINDER_SCHEDULE_DAYS = 7;
+
+// Periodic background sync registration (the tag is shared with service-worker.js)
+const REMINDER_SYNC_TAG = 'habit-reminders';
+const REMINDER_SYNC_INTERVAL = 15 * 60 * 1000;
+
+// Served by tools/push-server.js; on static hosting there is no push server and push is skipped
+const PUSH_SERVER_URL = './api/push';
+
+// Set to false once the push server turned out to be missing, so it isn't asked again
+let pushServerAvailable = true;
+
+// Checks run about once a minute, so reminders found this late still count as on time
+// (the same window is used in service-worker.js)
+const ON_TIME_WINDOW = 2 * 60 * 1000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Habits named in a summary notification before it says "and N more" (the same limit is used in service-worker.js)
+const SUMMARY_NAME_LIMIT = 3;
+
+// App-wide notification settings (see setNotificationPreferences)
+let quietHours = null; // { start, end } in HH:MM; may run past midnight
+let morningPlanTime = null; // HH:MM of the morning summary of the day's habits, or null for none
+let eveningDigestTime = null; // HH:MM of the evening summary of pending habits, or null for none
+
 /**
  * Check if notifications are supported
  * @returns {boolean} True if Notification API is available
@@ -52,14 +99,16 @@ export async function requestNotificationPermission() {
 
 /**
  * Show a notification
+ * Uses the service worker when it is running, since only service worker notifications can have
+ * action buttons and stay clickable after the page is closed
  * @param {string} title - Notification title
  * @param {Object} options - Notification options
- * @returns {Notification|null} Notification instance or null
+ * @returns {Promise<boolean>} True if the notification was shown
  */
-export function showNotification(title, options = {}) {
+export async function showNotification(title, options = {}) {
     if (!isNotificationSupported() || Notification.permission !== 'granted') {
         console.log(`[Notifications] Cannot show notification: ${!isNotificationSupported() ? 'not supported' : 'permission not granted (' + Notification.permission + ')'}`);
-        return null;
+        return false;
     }
 
     const defaultOptions = {
@@ -73,35 +122,72 @@ export function showNotification(title, options = {}) {
 
     try {
         console.log(`[Notifications] Showing notification: "${title}"`);
-        const notification = new Notification(title, defaultOptions);
+        const registration = await getServiceWorkerRegistration();
+        if (registration) {
+            await registration.showNotification(title, defaultOptions);
+            return true;
+        }
+
+        // Page notifications can't have buttons
+        const { actions, ...pageOptions } = defaultOptions;
+        const notification = new Notification(title, pageOptions);
         
         // Auto-close after 10 seconds
         setTimeout(() => notification.close(), 10000);
         
-        return notification;
+        return true;
     } catch (error) {
         console.error('[Notifications] Error showing notification:', error);
-        return null;
+        return false;
     }
 }
 
+/**
+ * Set the app-wide notification settings
+ * Habit reminders that fall in quiet hours are held until they end; the summaries are sent at their own times
+ * @param {Object} preferences - Settings: quietHours ({ start, end } in HH:MM, or null),
+ *                               morningPlan and eveningDigest (HH:MM, or null for off)
+ */
+export function setNotificationPreferences({ quietHours: hours = null, morningPlan = null, eveningDigest = null } = {}) {
+    const isTime = time => typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+
+    quietHours = hours && isTime(hours.start) && isTime(hours.end) && hours.start !== hours.end
+        ? { start: hours.start, end: hours.end }
+        : null;
+    morningPlanTime = isTime(morningPlan) ? morningPlan : null;
+    eveningDigestTime = isTime(eveningDigest) ? eveningDigest : null;
+}
+
+/**
+ * Check whether any summary notification is turned on
+ * @returns {boolean} True if the morning plan or the evening digest is set
+ */
+export function hasSummaryNotifications() {
+    return Boolean(morningPlanTime || eveningDigestTime);
+}
+
 /**
  * Check if a habit should trigger a notification
- * @param {Object} habit - Habit object with notificationTime, completions, and daysOfWeek
+ * @param {Object} habit - Habit object with notificationTime, completions, and schedule
  * @returns {boolean} True if notification should be shown
  */
 export function shouldNotifyForHabit(habit) {
     console.log(`[Notifications] Checking habit: ${habit.name}`);
     
-    // No notification time set
-    if (!habit.notificationTime) {
+    // No reminders set
+    if (habit.getReminders().length === 0) {
         console.log(`[Notifications] - No notification time set`);
         return false;
     }
 
+    // Archived habits don't send reminders
+    if (habit.isArchived()) {
+        console.log(`[Notifications] - Archived`);
+        return false;
+    }
+
     const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    console.log(`[Notifications] - Current time: ${now.getHours()}:${String(now.getMinutes()).padStart(2, '0')}, Notification time: ${habit.notificationTime}`);
+    console.log(`[Notifications] - Current time: ${formatTime(now)}, Notification times: ${habit.getReminderTimesOn(now).map(reminder => reminder.time).join(', ')}`);
     
     // Check if habit is active today
     if (!habit.isActiveOnDay(now)) {
@@ -110,60 +196,57 @@ export function shouldNotifyForHabit(habit) {
     }
 
     // Check if already completed today
-    if (habit.isCompletedOn(today)) {
+    if (habit.isCompletedOn(now)) {
         console.log(`[Notifications] - Already completed today`);
         return false;
     }
 
-    // Check if current time matches notification time (within 1 minute window)
-    const [notifHour, notifMinute] = habit.notificationTime.split(':').map(Number);
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+    // Check if today is excused (sick day or vacation)
+    if (!habit.isDueOn(now)) {
+        console.log(`[Notifications] - Excused today`);
+        return false;
+    }
 
-    // Check if we're within the notification minute
-    if (currentHour === notifHour && currentMinute === notifMinute) {
+    // Check if we're within the minute of one of today's reminders (follow-ups included)
+    if (getReminderAt(habit, now)) {
         console.log(`[Notifications] - ✓ Time matches! Showing notification`);
         return true;
     }
 
-    console.log(`[Notifications] - Time doesn't match (current: ${currentHour}:${currentMinute}, target: ${notifHour}:${notifMinute})`);
+    console.log(`[Notifications] - Time doesn't match (current: ${formatTime(now)})`);
     return false;
 }
 
 /**
  * Get the next notification time for a habit
- * @param {Object} habit - Habit object with notificationTime
+ * Honors the habit's schedule, skipping days it isn't due
+ * @param {Object} habit - Habit object with notificationTime and schedule
  * @returns {Date|null} Next notification time or null
  */
 export function getNextNotificationTime(habit) {
-    if (!habit.notificationTime) {
+    if (habit.getReminders().length === 0) {
         return null;
     }
 
-    const [hour, minute] = habit.notificationTime.split(':').map(Number);
     const now = new Date();
-    const notificationTime = new Date();
-    notificationTime.setHours(hour, minute, 0, 0);
 
-    // If notification time has passed today, schedule for tomorrow
-    if (notificationTime <= now) {
-        notificationTime.setDate(notificationTime.getDate() + 1);
-    }
+    // Find the next day the habit is due (scheduled, not excused, and not already completed)
+    // with a reminder still to come. Look ahead a little over a year so monthly schedules always find a match
+    for (let day = getFirstReminderDay(); day <= 366; day++) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + day);
+        if (!habit.isDueOn(date) || habit.isCompletedOn(date)) {
+            continue;
+        }
 
-    // Find next active day if habit has specific days
-    if (habit.daysOfWeek && habit.daysOfWeek.length > 0 && habit.daysOfWeek.length < 7) {
-        let daysChecked = 0;
-        while (daysChecked < 7) {
-            const dayOfWeek = notificationTime.getDay();
-            if (habit.daysOfWeek.includes(dayOfWeek)) {
-                break;
-            }
-            notificationTime.setDate(notificationTime.getDate() + 1);
-            daysChecked++;
+        const next = habit.getReminderTimesOn(date)
+            .map(reminder => deferPastQuietHours(atTime(date, reminder.time)))
+            .find(time => time > now);
+        if (next) {
+            return next;
         }
     }
 
-    return notificationTime;
+    return null;
 }
 
 /**
@@ -196,53 +279,125 @@ export function cancelNotificationCheck(intervalId) {
 /**
  * Show a habit reminder notification
  * @param {Object} habit - Habit object
- * @returns {Notification|null} Notification instance or null
+ * @returns {Promise<boolean>} True if the notification was shown
  */
 export function showHabitReminder(habit) {
-    const title = `Time for: ${habit.name}`;
-    const body = `Don't forget to complete your habit today!`;
-    
-    const options = {
-        body,
-        icon: './icons/icon-192.png',
-        badge: './icons/icon-192.png',
-        tag: `habit-${habit.id}`,
-        requireInteraction: true,
-        actions: [
-            { action: 'complete', title: 'Mark Complete' },
-            { action: 'dismiss', title: 'Dismiss' }
-        ]
+    const reminder = getReminderAt(habit, new Date());
+    const { title, options } = getReminderContent(habit, 0, Boolean(reminder && reminder.followUp));
+    return showNotification(title, options);
+}
+
+/**
+ * Get the title and options of a habit's reminder
+ * @param {Object} habit - Habit object
+ * @param {number} daysAhead - How many days from today the reminder is for
+ * @param {boolean} followUp - Whether it repeats an earlier reminder the habit wasn't done after
+ * @returns {{title: string, options: Object}} Notification title and options
+ */
+function getReminderContent(habit, daysAhead = 0, followUp = false) {
+    const data = { habitId: habit.id, url: `./${getPath(ROUTES.HABIT, habit.id)}` };
+
+    // Break-type habits get an encouraging check-in instead of a to-do
+    if (habit.isBreakHabit()) {
+        // Days clean by the day of the reminder, if there's no slip before then
+        const daysClean = habit.getDaysClean() + daysAhead;
+        return {
+            title: `Check-in: ${habit.name}`,
+            options: {
+                body: `${daysClean} day${daysClean !== 1 ? 's' : ''} clean. Keep it going!`,
+                icon: './icons/icon-192.png',
+                badge: './icons/icon-192.png',
+                tag: `habit-${habit.id}`,
+                data
+            }
+        };
+    }
+
+    return {
+        title: followUp ? `Still to do: ${habit.name}` : `Time for: ${habit.name}`,
+        options: {
+            body: followUp ? `You'll be reminded again until it's done.` : `Don't forget to complete your habit today!`,
+            icon: './icons/icon-192.png',
+            badge: './icons/icon-192.png',
+            tag: `habit-${habit.id}`,
+            // Follow-ups replace the earlier reminder, and should still make a sound
+            renotify: followUp,
+            requireInteraction: true,
+            // Handled by the service worker; browsers with room for fewer buttons show the first ones
+            actions: [
+                { action: 'complete', title: 'Mark Complete' },
+                { action: 'snooze-10', title: 'Snooze 10 min' },
+                { action: 'snooze-60', title: 'Snooze 1 hour' }
+            ],
+            data
+        }
     };
+}
 
-    return showNotification(title, options);
+/**
+ * Remind about the next habit in a routine, right after the one before it was completed
+ * @param {Object} habit - Habit that is up next
+ * @param {Object} routine - Routine the habit belongs to
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export function showRoutineReminder(habit, routine) {
+    return showNotification(`Next in ${routine.name}: ${habit.name}`, {
+        body: 'You finished the step before it. Keep the routine going!',
+        icon: './icons/icon-192.png',
+        badge: './icons/icon-192.png',
+        tag: `habit-${habit.id}`
+    });
 }
 
 /**
- * Check all habits and show notifications for those that need it
+ * Check all habits and show the reminders that came due since they were last shown
+ * Used when no service worker controls the page. Reminders missed by up to graceMinutes (e.g. the
+ * tab was throttled or the laptop asleep) are still shown; each reminder is shown once across tabs
  * @param {Array} habits - Array of habit objects
+ * @param {number} graceMinutes - How late a missed reminder may still be shown
+ * @returns {Promise<number>} Number of notifications shown
  */
-export function checkAllHabitsForNotifications(habits) {
+export async function checkAllHabitsForNotifications(habits, graceMinutes = 0) {
     console.log(`[Notifications] Checking ${habits.length} habits for notifications`);
     
     if (!isNotificationSupported()) {
         console.log('[Notifications] Notifications not supported');
-        return;
+        return 0;
     }
     
     if (Notification.permission !== 'granted') {
         console.log(`[Notifications] Permission not granted (status: ${Notification.permission})`);
-        return;
+        return 0;
     }
 
+    const now = new Date();
+    const claimed = await claimReminders(getDueReminders(habits, graceMinutes, now));
+
     let notificationsSent = 0;
-    habits.forEach(habit => {
-        if (shouldNotifyForHabit(habit)) {
-            showHabitReminder(habit);
+    for (const reminder of getLatestPerHabit(claimed)) {
+        if (await showNotification(reminder.title, getDeliveryOptions(reminder, now))) {
             notificationsSent++;
         }
-    });
+    }
     
     console.log(`[Notifications] Sent ${notificationsSent} notifications`);
+    return notificationsSent;
+}
+
+/**
+ * Get the reminders that are due now, including ones missed within the grace window
+ * @param {Array} habits - Array of habit objects
+ * @param {number} graceMinutes - How late a missed reminder may still be shown
+ * @param {Date} now - Current moment
+ * @returns {Array<Object>} Reminders (see buildReminderSchedule) from the window, oldest first
+ */
+export function getDueReminders(habits, graceMinutes, now = new Date()) {
+    const span = Math.max(graceMinutes * 60 * 1000, ON_TIME_WINDOW);
+    const since = new Date(now.getTime() - span);
+    // The window may reach back into earlier days
+    const days = Math.ceil(span / MS_PER_DAY) + 1;
+
+    return buildReminderSchedule(habits, since, days).filter(reminder => reminder.time <= now.getTime());
 }
 
 /**
@@ -251,7 +406,7 @@ export function checkAllHabitsForNotifications(habits) {
  * @returns {Object} Notification statistics
  */
 export function getNotificationStats(habits) {
-    const withNotifications = habits.filter(h => h.notificationTime).length;
+    const withNotifications = habits.filter(h => h.notificationTime && !h.isArchived()).length;
     const permissionStatus = getNotificationPermission();
     const supported = isNotificationSupported();
 
@@ -263,3 +418,400 @@ export function getNotificationStats(habits) {
         enabled: permissionStatus === 'granted' && supported
     };
 }
+
+/**
+ * Work out the reminders of the next few days, for the service worker to deliver
+ * Days a habit isn't due (or is already completed) get no reminder. Reminders in quiet hours are
+ * moved to their end, and the morning plan and evening digest are included when they're turned on
+ * @param {Array} habits - Array of habit objects
+ * @param {Date} from - Only reminders after this moment are included (defaults to now)
+ * @param {number} days - Number of days to look ahead, including today
+ * @returns {Array<Object>} Reminders in time order: { id, habitId, time (ms), title, options };
+ *          summaries have no habitId
+ */
+export function buildReminderSchedule(habits, from = new Date(), days = REMINDER_SCHEDULE_DAYS) {
+    const reminders = [];
+    // Reminders held back by quiet hours can land on the same moment; one is enough
+    const ids = new Set();
+
+    habits
+        .filter(habit => habit.notificationTime && !habit.isArchived())
+        .forEach(habit => {
+            for (let day = getFirstReminderDay(); day < days; day++) {
+                const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day);
+                // Yesterday's held-back reminders only count if the habit existed then
+                const beforeCreated = toLocalDateString(date) < habit.createdDate;
+                if (beforeCreated || !habit.isDueOn(date) || habit.isCompletedOn(date)) {
+                    continue;
+                }
+
+                habit.getReminderTimesOn(date).forEach(reminder => {
+                    const time = deferPastQuietHours(atTime(date, reminder.time));
+                    if (time <= from) {
+                        return;
+                    }
+
+                    const id = `${habit.id}@${time.getTime()}`;
+                    if (ids.has(id)) {
+                        return;
+                    }
+                    ids.add(id);
+                    const { title, options } = getReminderContent(habit, day, reminder.followUp);
+                    // Held overnight by quiet hours: say which day it's about
+                    const heldOvernight = time.getDate() !== date.getDate() && !habit.isBreakHabit();
+                    const body = heldOvernight ? 'Still to do from yesterday (held back by quiet hours).' : options.body;
+                    reminders.push({
+                        id,
+                        habitId: habit.id,
+                        time: time.getTime(),
+                        title,
+                        options: {
+                            ...options,
+                            body,
+                            // The day the reminder is for, which its Complete button checks off
+                            data: { ...options.data, reminderId: id, reminderTime: time.getTime(), date: toLocalDateString(date) }
+                        }
+                    });
+                });
+            }
+        });
+
+    reminders.push(...buildSummarySchedule(habits, from, days));
+    return reminders.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Work out the morning plans and evening digests of the next few days
+ * Days with nothing left to do get neither
+ * @param {Array} habits - Array of habit objects
+ * @param {Date} from - Only summaries after this moment are included
+ * @param {number} days - Number of days to look ahead, including today
+ * @returns {Array<Object>} Summaries: { id, time (ms), title, summary: { kind, habits: [{ id, name }] }, options }
+ */
+function buildSummarySchedule(habits, from, days) {
+    const summaries = [];
+    const summaryTimes = [
+        { kind: 'morning-plan', time: morningPlanTime, route: ROUTES.TODAY },
+        { kind: 'evening-digest', time: eveningDigestTime, route: ROUTES.PENDING }
+    ].filter(summary => summary.time);
+
+    if (summaryTimes.length === 0) {
+        return summaries;
+    }
+
+    for (let day = 0; day < days; day++) {
+        const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day);
+
+        // Break-type habits have nothing to check off, so they aren't part of the plan
+        const pending = habits.filter(habit => !habit.isArchived() && !habit.isBreakHabit() &&
+            habit.isDueOn(date) && !habit.isCompletedOn(date));
+        if (pending.length === 0) {
+            continue;
+        }
+
+        summaryTimes.forEach(({ kind, time: summaryTime, route }) => {
+            const time = atTime(date, summaryTime);
+            if (time <= from) {
+                return;
+            }
+
+            const id = `${kind}@${time.getTime()}`;
+            // The habits are kept so the service worker can take out one completed from a reminder
+            const summary = { kind, habits: pending.map(habit => ({ id: habit.id, name: habit.name })) };
+            const { title, body } = getSummaryContent(kind, summary.habits);
+            summaries.push({
+                id,
+                time: time.getTime(),
+                title,
+                summary,
+                options: {
+                    body,
+                    icon: './icons/icon-192.png',
+                    badge: './icons/icon-192.png',
+                    tag: kind,
+                    data: { url: `./${getPath(route)}`, reminderId: id, reminderTime: time.getTime(), date: toLocalDateString(date) }
+                }
+            });
+        });
+    }
+
+    return summaries;
+}
+
+/**
+ * Tell the service worker the saved reminders changed, and set up the ways it can deliver them
+ * while the app is closed
+ * @returns {Promise<Array<string>>} Ways in use (see BACKGROUND_DELIVERY), empty if reminders only
+ *          arrive while the app is open
+ */
+export async function updateBackgroundReminders() {
+    const registration = await getServiceWorkerRegistration();
+    if (!registration) {
+        return [];
+    }
+
+    // The browser shows triggered notifications on time by itself, nothing else is needed
+    if (supportsNotificationTriggers()) {
+        registration.active.postMessage({ type: 'REMINDERS_UPDATED' });
+        return [BACKGROUND_DELIVERY.TRIGGERS];
+    }
+
+    const ways = [];
+    if (await registerPeriodicSync(registration)) {
+        ways.push(BACKGROUND_DELIVERY.PERIODIC_SYNC);
+    }
+    // Subscribe first, so the service worker finds the subscription when it sends the push server the times
+    if (await subscribeToPushServer(registration)) {
+        ways.push(BACKGROUND_DELIVERY.PUSH);
+    }
+
+    registration.active.postMessage({ type: 'REMINDERS_UPDATED' });
+    return ways;
+}
+
+/**
+ * Ask the service worker to show any reminders that are due
+ * Open pages do this every minute, so reminders are on time whenever the app is open
+ * @returns {boolean} True if a service worker took the request; false if the page has to check itself
+ */
+export function requestReminderCheck() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+        return false;
+    }
+
+    navigator.serviceWorker.controller.postMessage({ type: 'CHECK_REMINDERS' });
+    return true;
+}
+
+/**
+ * Keep only the latest of each habit's due reminders
+ * Earlier ones (e.g. missed follow-ups) would only be replaced by it; summaries are all kept
+ * @param {Array<Object>} reminders - Due reminders, oldest first
+ * @returns {Array<Object>} One reminder per habit, plus the summaries
+ */
+function getLatestPerHabit(reminders) {
+    const latest = new Map();
+    reminders.forEach(reminder => latest.set(reminder.habitId || reminder.id, reminder));
+    return [...latest.values()];
+}
+
+/**
+ * Get the title and body of a summary notification (mirrored in service-worker.js)
+ * @param {string} kind - 'morning-plan' or 'evening-digest'
+ * @param {Array} habits - Habits still to do that day
+ * @returns {Object} { title, body }
+ */
+function getSummaryContent(kind, habits) {
+    const count = `${habits.length} habit${habits.length !== 1 ? 's' : ''}`;
+    return kind === 'morning-plan'
+        ? { title: `Today's plan: ${count}`, body: `${listHabitNames(habits)}. Have a good day!` }
+        : { title: `${count} still pending today`, body: `${listHabitNames(habits)}. There's still time!` };
+}
+
+/**
+ * Name a few habits for a summary notification
+ * @param {Array} habits - Habits to name
+ * @returns {string} e.g. "Run, Read, Stretch and 2 more"
+ */
+function listHabitNames(habits) {
+    const names = habits.slice(0, SUMMARY_NAME_LIMIT).map(habit => habit.name);
+    const more = habits.length - names.length;
+    if (more > 0) {
+        return `${names.join(', ')} and ${more} more`;
+    }
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Move a reminder that falls in quiet hours to the moment they end
+ * @param {Date} time - When the reminder is due
+ * @returns {Date} When to send it (the next morning for quiet hours that run past midnight)
+ */
+function deferPastQuietHours(time) {
+    if (!quietHours) {
+        return time;
+    }
+
+    const current = formatTime(time);
+    const { start, end } = quietHours;
+    // HH:MM strings compare in time order
+    const isQuiet = start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+    if (!isQuiet) {
+        return time;
+    }
+
+    // Quiet hours running past midnight end the next day
+    const endDay = start > end && current >= start
+        ? new Date(time.getFullYear(), time.getMonth(), time.getDate() + 1)
+        : time;
+    return atTime(endDay, end);
+}
+
+/**
+ * Get the first day to look at for reminders, relative to today
+ * Quiet hours running past midnight hold the evening's reminders until the next morning,
+ * so yesterday's may still be to come
+ * @returns {number} -1 to include yesterday, otherwise 0
+ */
+function getFirstReminderDay() {
+    return quietHours && quietHours.start > quietHours.end ? -1 : 0;
+}
+
+/**
+ * Get the notification options for delivering a reminder
+ * Reminders shown late say when they were due
+ * @param {Object} reminder - Reminder from buildReminderSchedule
+ * @param {Date} now - Current moment
+ * @returns {Object} Notification options
+ */
+function getDeliveryOptions(reminder, now) {
+    const options = { ...reminder.options, timestamp: reminder.time };
+    if (now.getTime() - reminder.time > ON_TIME_WINDOW) {
+        options.body = `Missed at ${formatTime(new Date(reminder.time))}. ${options.body}`;
+    }
+    return options;
+}
+
+/**
+ * Find the reminder of a habit (follow-ups included) in the minute of a moment
+ * @param {Object} habit - Habit object
+ * @param {Date} date - Moment to check
+ * @returns {{time: string, followUp: boolean}|null} The reminder, or null if none falls in that minute
+ */
+function getReminderAt(habit, date) {
+    const time = formatTime(date);
+    return habit.getReminderTimesOn(date).find(reminder => reminder.time === time) || null;
+}
+
+/**
+ * Format the time of a moment
+ * @param {Date} date - Moment to format
+ * @returns {string} Local time in HH:MM format
+ */
+function formatTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Get a moment on a day
+ * @param {Date} date - Day (its time is ignored)
+ * @param {string} time - Local time in HH:MM format
+ * @returns {Date} That time on that day
+ */
+function atTime(date, time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute);
+}
+
+/**
+ * Get the active service worker registration
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if no service worker is running
+ */
+async function getServiceWorkerRegistration() {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        return registration && registration.active ? registration : null;
+    } catch (error) {
+        console.warn('[Notifications] Could not get the service worker:', error);
+        return null;
+    }
+}
+
+/**
+ * Check whether notifications can be scheduled ahead with Notification Triggers
+ * @returns {boolean} True if the browser supports them
+ */
+function supportsNotificationTriggers() {
+    return isNotificationSupported() && 'showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined';
+}
+
+/**
+ * Register periodic background sync, which wakes the service worker to deliver reminders
+ * Browsers decide how often it actually runs (and only allow it for installed apps)
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @returns {Promise<boolean>} True if periodic sync is registered
+ */
+async function registerPeriodicSync(registration) {
+    if (!('periodicSync' in registration)) {
+        return false;
+    }
+
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') {
+            return false;
+        }
+
+        await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL });
+        return true;
+    } catch (error) {
+        console.log('[Notifications] Periodic background sync is not available:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Subscribe to push messages from the local push server (tools/push-server.js), which pushes
+ * a message to the service worker at each reminder time
+ * The service worker sends the server the reminder times (never habit names) whenever they change
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @returns {Promise<boolean>} True if subscribed
+ */
+async function subscribeToPushServer(registration) {
+    if (!pushServerAvailable || !('pushManager' in registration)) {
+        return false;
+    }
+
+    try {
+        const configResponse = await fetch(`${PUSH_SERVER_URL}/config`);
+        if (!configResponse.ok) {
+            throw new Error(`status ${configResponse.status}`);
+        }
+        const { publicKey } = await configResponse.json();
+
+        await getPushSubscription(registration, publicKey);
+        return true;
+    } catch (error) {
+        console.log('[Notifications] No push server, skipping push reminders:', error.message);
+        pushServerAvailable = false;
+        return false;
+    }
+}
+
+/**
+ * Get a push subscription for a push server, subscribing if needed
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @param {string} publicKey - The server's public key (base64url)
+ * @returns {Promise<PushSubscription>} Subscription for that server
+ */
+async function getPushSubscription(registration, publicKey) {
+    const applicationServerKey = base64UrlToBytes(publicKey);
+    const existing = await registration.pushManager.getSubscription();
+
+    // A subscription made with another server key (e.g. the server's keys were reset) is useless
+    if (existing) {
+        const existingKey = new Uint8Array(existing.options.applicationServerKey || []);
+        if (existingKey.length === applicationServerKey.length && existingKey.every((byte, i) => byte === applicationServerKey[i])) {
+            return existing;
+        }
+        await existing.unsubscribe();
+    }
+
+    return registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} text - base64url text, padded or not
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
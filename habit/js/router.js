@@ -0,0 +1,123 @@
+/**
+ * Router Module
+ * Maps the URL hash (#/today, #/habit/<id>, ...) to app views, so every view can be
+ * bookmarked and the browser's back/forward buttons move between them
+ */
+
+/**
+ * Routes the app knows about; ALL is the habit list at #/
+ */
+export const ROUTES = {
+    ALL: 'all',
+    TODAY: 'today',
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    STATS: 'stats',
+    ARCHIVED: 'archived',
+    SETTINGS: 'settings',
+    HABIT: 'habit'
+};
+
+// Called with (route, { initial }) whenever the route changes
+let routeHandler = null;
+
+/**
+ * Parse a location hash into a route
+ * Unknown or malformed hashes go to the habit list
+ * @param {string} hash - Location hash, e.g. "#/habit/habit_123"
+ * @returns {{name: string, habitId: string|null}} Parsed route
+ */
+export function parseRoute(hash) {
+    let parts;
+    try {
+        parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        console.warn('[Router] Could not parse hash:', hash);
+        return { name: ROUTES.ALL, habitId: null };
+    }
+
+    if (parts[0] === ROUTES.HABIT && parts[1]) {
+        return { name: ROUTES.HABIT, habitId: parts[1] };
+    }
+
+    const isPage = Object.values(ROUTES).includes(parts[0]) && parts[0] !== ROUTES.HABIT;
+    return { name: isPage ? parts[0] : ROUTES.ALL, habitId: null };
+}
+
+/**
+ * Build the hash for a route
+ * @param {string} name - One of ROUTES
+ * @param {string|null} habitId - Habit ID, for the habit detail route
+ * @returns {string} Location hash, e.g. "#/stats"
+ */
+export function getPath(name, habitId = null) {
+    if (name === ROUTES.HABIT && habitId) {
+        return `#/habit/${encodeURIComponent(habitId)}`;
+    }
+    const isPage = Object.values(ROUTES).includes(name) && name !== ROUTES.ALL && name !== ROUTES.HABIT;
+    return isPage ? `#/${name}` : '#/';
+}
+
+/**
+ * Get the route for the current location
+ * @returns {{name: string, habitId: string|null}} Current route
+ */
+export function getCurrentRoute() {
+    return parseRoute(window.location.hash);
+}
+
+/**
+ * Go to a route
+ * @param {string} path - Location hash from getPath
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export function navigate(path, { replace = false } = {}) {
+    if (path === (window.location.hash || '#/') && !replace) {
+        return;
+    }
+
+    // Entries added here are marked, so leave() knows going back stays inside the app
+    if (replace) {
+        history.replaceState(history.state, '', path);
+    } else {
+        history.pushState({ fromApp: true }, '', path);
+    }
+
+    // pushState/replaceState don't fire hashchange, so tell the handler directly
+    notify(false);
+}
+
+/**
+ * Leave the current route: go back if the previous entry is part of the app,
+ * otherwise (opened from a bookmark or link) replace it with a fallback route
+ * @param {string} fallbackPath - Location hash to use when there is nothing to go back to
+ */
+export function leave(fallbackPath) {
+    if (history.state && history.state.fromApp) {
+        history.back();
+    } else {
+        navigate(fallbackPath, { replace: true });
+    }
+}
+
+/**
+ * Start listening for route changes and handle the current route
+ * @param {Function} handler - Called with (route, { initial }) for every route change
+ */
+export function startRouter(handler) {
+    routeHandler = handler;
+    window.addEventListener('hashchange', () => notify(false));
+    notify(true);
+    console.log('[Router] Started at', window.location.hash || '#/');
+}
+
+/**
+ * Pass the current route to the handler
+ * @param {boolean} initial - Whether this is the first route since the app loaded
+ */
+function notify(initial) {
+    if (routeHandler) {
+        routeHandler(getCurrentRoute(), { initial });
+    }
+}
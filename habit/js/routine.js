@@ -0,0 +1,140 @@
+/**
+ * Routine Module
+ * Routines link habits into an ordered chain ("after coffee → journal → stretch") that the Today
+ * view shows as a checklist. Routines are plain objects kept in the app settings:
+ * { id, name, habitIds, chainReminders }
+ */
+
+import { toLocalDateString } from './habit.js';
+
+/**
+ * Create a new routine
+ * @param {string} name - Name of the routine, e.g. "Morning"
+ * @param {Array<string>} habitIds - IDs of the habits in the routine, in order
+ * @returns {Object} New routine
+ */
+export function createRoutine(name, habitIds = []) {
+    return {
+        id: `routine_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: name.trim(),
+        habitIds: [...new Set(habitIds)],
+        chainReminders: false // Remind about the next habit as soon as one is completed
+    };
+}
+
+/**
+ * Check a routine (e.g. from saved settings) before it is used
+ * @param {Object} routine - Routine to check
+ * @returns {Array<string>} Problems found, empty if the routine is valid
+ */
+export function validateRoutine(routine) {
+    const errors = [];
+
+    if (!routine || typeof routine !== 'object' || Array.isArray(routine)) {
+        return ['Not a routine object'];
+    }
+
+    if (typeof routine.id !== 'string' || routine.id.trim() === '') {
+        errors.push('Missing ID');
+    }
+
+    if (typeof routine.name !== 'string' || routine.name.trim() === '') {
+        errors.push('Missing name');
+    } else if (routine.name.length > 100) {
+        errors.push('Name is too long (max 100 characters)');
+    }
+
+    if (!Array.isArray(routine.habitIds) || !routine.habitIds.every(id => typeof id === 'string')) {
+        errors.push('Habits must be a list of habit IDs');
+    }
+
+    if (routine.chainReminders !== undefined && typeof routine.chainReminders !== 'boolean') {
+        errors.push('Chained reminders must be on or off');
+    }
+
+    return errors;
+}
+
+/**
+ * Get the habits of a routine, in routine order
+ * Habits that were deleted, archived or turned into break-type habits are left out, but stay
+ * in the routine, so undoing a delete or restoring an archived habit puts it back in place
+ * @param {Object} routine - Routine to look up
+ * @param {Array<Habit>} habits - All habits
+ * @returns {Array<Habit>} Habits in the routine
+ */
+export function getRoutineHabits(routine, habits) {
+    const byId = new Map(habits.map(habit => [habit.id, habit]));
+
+    return routine.habitIds
+        .map(id => byId.get(id))
+        .filter(habit => habit && !habit.isArchived() && !habit.isBreakHabit());
+}
+
+/**
+ * Get the routines a habit belongs to
+ * @param {Array<Object>} routines - All routines
+ * @param {string} habitId - ID of the habit
+ * @returns {Array<Object>} Routines containing the habit
+ */
+export function getRoutinesForHabit(routines, habitId) {
+    return routines.filter(routine => routine.habitIds.includes(habitId));
+}
+
+/**
+ * Get a routine's checklist for a day: its habits scheduled that day and how many are done
+ * @param {Object} routine - Routine to check
+ * @param {Array<Habit>} habits - All habits
+ * @param {Date} date - Day to check (defaults to today)
+ * @returns {{habits: Array<Habit>, done: number, next: Habit|null}} Scheduled habits in order,
+ *          the number completed, and the first one still to do
+ */
+export function getRoutineChecklist(routine, habits, date = new Date()) {
+    const dateStr = toLocalDateString(date);
+    const scheduled = getRoutineHabits(routine, habits).filter(habit => habit.isActiveOnDay(date));
+
+    return {
+        habits: scheduled,
+        done: scheduled.filter(habit => habit.isCompletedOn(dateStr)).length,
+        next: scheduled.find(habit => !habit.isCompletedOn(dateStr)) || null
+    };
+}
+
+/**
+ * Find the habit that follows another in a routine and still needs doing on a day
+ * @param {Object} routine - Routine to look in
+ * @param {Array<Habit>} habits - All habits
+ * @param {string} habitId - ID of the habit that was just done
+ * @param {Date} date - Day to check (defaults to today)
+ * @returns {Habit|null} The next habit due and not yet completed, or null if the routine is finished
+ */
+export function getNextInRoutine(routine, habits, habitId, date = new Date()) {
+    const dateStr = toLocalDateString(date);
+    const index = routine.habitIds.indexOf(habitId);
+    if (index === -1) {
+        return null;
+    }
+
+    const following = getRoutineHabits({ ...routine, habitIds: routine.habitIds.slice(index + 1) }, habits);
+    return following.find(habit => habit.isDueOn(date) && !habit.isCompletedOn(dateStr)) || null;
+}
+
+/**
+ * Move a habit up or down in a routine
+ * @param {Object} routine - Routine to change
+ * @param {string} habitId - ID of the habit to move
+ * @param {number} offset - -1 to move it earlier, 1 to move it later
+ * @returns {Object} Updated copy of the routine (unchanged if the habit can't move that way)
+ */
+export function moveHabitInRoutine(routine, habitId, offset) {
+    const habitIds = [...routine.habitIds];
+    const index = habitIds.indexOf(habitId);
+    const target = index + offset;
+
+    if (index === -1 || target < 0 || target >= habitIds.length) {
+        return routine;
+    }
+
+    [habitIds[index], habitIds[target]] = [habitIds[target], habitIds[index]];
+    return { ...routine, habitIds };
+}
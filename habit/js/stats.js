@@ -0,0 +1,266 @@
+/**
+ * Statistics Module
+ * Aggregates day-by-day results across habits for the statistics dashboard
+ */
+
+import { SCHEDULE_TYPES, DAY_STATUS, toLocalDateString } from './habit.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Periods the completion trend can be grouped by
+ */
+export const TREND_PERIODS = {
+    WEEK: 'week',
+    MONTH: 'month'
+};
+
+/**
+ * Decide whether a day was a success or a failure for a habit
+ * Times-per-week habits only count completed days here, since any single day may be skipped;
+ * their weekly goal is reflected in the habit's own completion rate
+ * @param {Habit} habit - Habit to check
+ * @param {string} dateStr - ISO date string (YYYY-MM-DD)
+ * @returns {boolean|null} True for a success, false for a failure, null if the day doesn't count
+ */
+export function getDayOutcome(habit, dateStr) {
+    switch (habit.getDayStatus(dateStr)) {
+        case DAY_STATUS.COMPLETED:
+        case DAY_STATUS.CLEAN:
+            return true;
+        case DAY_STATUS.SLIP:
+            return false;
+        case DAY_STATUS.MISSED:
+        case DAY_STATUS.PARTIAL:
+            return habit.getScheduleType() === SCHEDULE_TYPES.TIMES_PER_WEEK ? null : false;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Count successes and due days for a set of habits over a date range
+ * @param {Array<Habit>} habits - Habits to include
+ * @param {Date} start - First day (inclusive)
+ * @param {Date} end - Last day (inclusive)
+ * @returns {{successes: number, due: number, rate: number|null}} Totals and rate in percent (null if nothing was due)
+ */
+export function getRangeSummary(habits, start, end) {
+    let successes = 0;
+    let due = 0;
+
+    forEachDay(start, end, dateStr => {
+        habits.forEach(habit => {
+            const outcome = getDayOutcome(habit, dateStr);
+            if (outcome !== null) {
+                due++;
+                if (outcome) successes++;
+            }
+        });
+    });
+
+    return { successes, due, rate: due > 0 ? Math.round((successes / due) * 100) : null };
+}
+
+/**
+ * Get the success rate for each of the last few weeks or months
+ * @param {Array<Habit>} habits - Habits to include
+ * @param {string} period - One of TREND_PERIODS
+ * @param {number} count - Number of periods, ending with the current one
+ * @returns {Array<Object>} Oldest first: { label, start, end, successes, due, rate }
+ */
+export function getCompletionTrend(habits, period = TREND_PERIODS.WEEK, count = 12) {
+    const today = startOfDay(new Date());
+    const trend = [];
+
+    for (let i = count - 1; i >= 0; i--) {
+        let start;
+        let end;
+        let label;
+
+        if (period === TREND_PERIODS.MONTH) {
+            start = new Date(today.getFullYear(), today.getMonth() - i, 1);
+            end = new Date(today.getFullYear(), today.getMonth() - i + 1, 0);
+            label = start.toLocaleDateString(undefined, { month: 'short' });
+        } else {
+            start = new Date(today);
+            start.setDate(today.getDate() - today.getDay() - i * 7);
+            end = new Date(start);
+            end.setDate(start.getDate() + 6);
+            label = start.toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' });
+        }
+
+        // Don't look past today
+        const summary = getRangeSummary(habits, start, end < today ? end : today);
+        trend.push({ label, start: toLocalDateString(start), end: toLocalDateString(end), ...summary });
+    }
+
+    return trend;
+}
+
+/**
+ * Get the success rate per weekday for each habit since it was created
+ * @param {Array<Habit>} habits - Habits to include
+ * @returns {Array<{habit: Habit|null, rates: Array<number|null>}>} One row per habit plus an overall row
+ *          (habit null) first; rates are indexed by weekday (0 = Sunday) and null where nothing was due
+ */
+export function getWeekdayHeatmap(habits) {
+    const today = startOfDay(new Date());
+    const overall = { successes: Array(7).fill(0), due: Array(7).fill(0) };
+
+    const rows = habits.map(habit => {
+        const successes = Array(7).fill(0);
+        const due = Array(7).fill(0);
+
+        forEachDay(parseDate(habit.createdDate), today, (dateStr, date) => {
+            const outcome = getDayOutcome(habit, dateStr);
+            if (outcome !== null) {
+                due[date.getDay()]++;
+                overall.due[date.getDay()]++;
+                if (outcome) {
+                    successes[date.getDay()]++;
+                    overall.successes[date.getDay()]++;
+                }
+            }
+        });
+
+        return { habit, rates: toRates(successes, due) };
+    });
+
+    return [{ habit: null, rates: toRates(overall.successes, overall.due) }, ...rows];
+}
+
+/**
+ * Rank habits by completion rate (clean rate for break habits)
+ * Habits created today are left out, since they have no history yet
+ * @param {Array<Habit>} habits - Habits to rank
+ * @returns {Array<{habit: Habit, stats: Object}>} Best first
+ */
+export function getHabitRanking(habits) {
+    const todayStr = toLocalDateString(new Date());
+
+    return habits
+        .filter(habit => habit.createdDate < todayStr)
+        .map(habit => ({ habit, stats: habit.getStatistics() }))
+        .sort((a, b) => b.stats.completionRate - a.stats.completionRate || b.stats.currentStreak - a.stats.currentStreak);
+}
+
+/**
+ * Get totals across all habits
+ * @param {Array<Habit>} habits - Habits to include
+ * @returns {Object} Totals: habits, active, archived, completions, slips, bestStreak, last30Rate
+ */
+export function getTotals(habits) {
+    const today = startOfDay(new Date());
+    const monthAgo = new Date(today);
+    monthAgo.setDate(today.getDate() - 29);
+
+    const buildHabits = habits.filter(habit => !habit.isBreakHabit());
+    const bestStreak = buildHabits.reduce((best, habit) => Math.max(best, habit.getStatistics().longestStreak), 0);
+
+    return {
+        habits: habits.length,
+        active: habits.filter(habit => !habit.isArchived()).length,
+        archived: habits.filter(habit => habit.isArchived()).length,
+        completions: buildHabits.reduce((sum, habit) => sum + habit.completions.length, 0),
+        slips: habits.reduce((sum, habit) => sum + habit.slips.length, 0),
+        bestStreak,
+        last30Rate: getRangeSummary(habits, monthAgo, today).rate
+    };
+}
+
+/**
+ * Summarize a group of habits (e.g. everything with one tag)
+ * @param {Array<Habit>} habits - Habits in the group
+ * @returns {Object} habits, dueToday, doneToday and last30Rate (success rate in percent, null if nothing was due)
+ */
+export function getGroupSummary(habits) {
+    const today = startOfDay(new Date());
+    const monthAgo = new Date(today);
+    monthAgo.setDate(today.getDate() - 29);
+
+    const progress = getDayProgress(habits);
+
+    return {
+        habits: habits.length,
+        dueToday: progress.due,
+        doneToday: progress.done,
+        last30Rate: getRangeSummary(habits, monthAgo, today).rate
+    };
+}
+
+/**
+ * Count how many habits are scheduled on a day and how many of them are done
+ * Break-type habits are left out, since there's nothing to check off
+ * @param {Array<Habit>} habits - Habits to include
+ * @param {Date} date - Day to check (defaults to today)
+ * @returns {{due: number, done: number, percent: number}} Counts, and percent done (0 if nothing is due)
+ */
+export function getDayProgress(habits, date = new Date()) {
+    const dateStr = toLocalDateString(date);
+    const due = habits.filter(habit => !habit.isBreakHabit() && habit.isActiveOnDay(date));
+    const done = due.filter(habit => habit.isCompletedOn(dateStr)).length;
+
+    return { due: due.length, done, percent: due.length > 0 ? Math.round((done / due.length) * 100) : 0 };
+}
+
+/**
+ * Summarize every tag
+ * @param {Array<Habit>} habits - Habits to include
+ * @returns {Array<Object>} One summary (see getGroupSummary) per tag, with its `tag`, in tag order
+ */
+export function getTagSummaries(habits) {
+    const tags = [...new Set(habits.flatMap(habit => habit.tags))]
+        .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+    return tags.map(tag => ({ tag, ...getGroupSummary(habits.filter(habit => habit.tags.includes(tag))) }));
+}
+
+/**
+ * Call a function for every day in a range
+ * @param {Date} start - First day (inclusive)
+ * @param {Date} end - Last day (inclusive)
+ * @param {Function} callback - Called with (ISO date string, Date)
+ */
+function forEachDay(start, end, callback) {
+    const date = startOfDay(start);
+    const last = startOfDay(end);
+
+    // Guard against huge ranges from bad data
+    const days = Math.min(Math.round((last - date) / MS_PER_DAY), 366 * 20);
+    for (let i = 0; i <= days; i++) {
+        callback(toLocalDateString(date), date);
+        date.setDate(date.getDate() + 1);
+    }
+}
+
+/**
+ * Turn success and due counts into percentages
+ * @param {Array<number>} successes - Success counts
+ * @param {Array<number>} due - Due day counts
+ * @returns {Array<number|null>} Rates in percent, null where nothing was due
+ */
+function toRates(successes, due) {
+    return due.map((count, i) => (count > 0 ? Math.round((successes[i] / count) * 100) : null));
+}
+
+/**
+ * Get a copy of a date at local midnight
+ * @param {Date} date - Date to copy
+ * @returns {Date} New Date at local midnight
+ */
+function startOfDay(date) {
+    const copy = new Date(date);
+    copy.setHours(0, 0, 0, 0);
+    return copy;
+}
+
+/**
+ * Parse an ISO date string as a local date
+ * @param {string} dateStr - ISO date string (YYYY-MM-DD, time part ignored)
+ * @returns {Date} Local midnight of that date
+ */
+function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('T')[0].split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
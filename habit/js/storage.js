@@ -1,32 +1,268 @@
 /**
  * Storage Module
- * Handles all localStorage operations for the Habit Tracker app
+ * Handles all IndexedDB operations for the Habit Tracker app
+ * Each habit is stored as its own record, so saving one habit doesn't rewrite the others
  */
 
-import { Habit } from './habit.js';
+import { Habit, HABIT_TYPES, SCHEDULE_TYPES, toLocalDateString } from './habit.js';
+import { parseCSV, rowsToObjects } from './csv.js';
 
-const STORAGE_KEY = 'habitTracker_habits';
-const STORAGE_VERSION_KEY = 'habitTracker_version';
-const CURRENT_VERSION = '1.0';
+const DB_NAME = 'habitTracker';
+const DB_VERSION = 2;
+const HABITS_STORE = 'habits';
+const META_STORE = 'meta';
+const CURRENT_VERSION = '2.0';
+
+// Keys used by the localStorage-based storage (data version 1.0), migrated on first open
+const LEGACY_STORAGE_KEY = 'habitTracker_habits';
+const LEGACY_VERSION_KEY = 'habitTracker_version';
+const LEGACY_SETTINGS_KEY = 'habitTracker_settings';
+
+// Settings used when nothing has been saved yet
+const DEFAULT_SETTINGS = {
+    vacations: [], // Global vacation ranges: [{ start, end }] as inclusive ISO date strings
+    listOptions: {}, // Habit list view, sort order, tag filter and search (see filters.js)
+    tagColors: {}, // Colors picked for tags: { tag: '#rrggbb' }
+    routines: [], // Ordered chains of habits shown as checklists in the Today view (see routine.js)
+    reminderGraceMinutes: 60, // Reminders missed while the app was asleep are still shown this late (0 = only on time)
+    quietHours: null, // { start, end } in HH:MM (may run past midnight); habit reminders wait until it ends
+    morningPlan: null, // HH:MM of a summary of the day's habits, or null for none
+    eveningDigest: null // HH:MM of a summary of the habits still pending, or null for none
+};
+
+// Delivered reminders are remembered this long, well past the longest catch-up window
+const REMINDER_LEDGER_KEEP = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Database schema migrations
+ * Each entry upgrades the database to its version and runs inside the upgrade transaction,
+ * so a failed step leaves the previous version untouched
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create object stores and import localStorage data',
+        migrate(db, transaction) {
+            db.createObjectStore(HABITS_STORE, { keyPath: 'id' });
+            db.createObjectStore(META_STORE);
+            migrateLegacyData(transaction);
+        }
+    },
+    {
+        version: 2,
+        description: 'Number habits for manual ordering',
+        migrate(db, transaction) {
+            // Keep the order habits were listed in so far (key order)
+            let order = 0;
+            transaction.objectStore(HABITS_STORE).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.update({ ...cursor.value, order: order++ });
+                    cursor.continue();
+                }
+            };
+        }
+    }
+];
+
+/**
+ * Habit record migrations, keyed by the data version they upgrade from
+ * Used for records coming from localStorage and from older export files
+ */
+const RECORD_MIGRATIONS = {
+    '1.0': {
+        to: '2.0',
+        // Fill in fields added for targets, schedules, break-type habits and excused days
+        upgrade(record) {
+            return {
+                target: null,
+                unit: '',
+                values: {},
+                schedule: null,
+                type: 'build',
+                slips: [],
+                excusedDates: [],
+                ...record,
+                // Older data could hold full timestamps or duplicates
+                completions: [...new Set((record.completions || []).map(d => String(d).split('T')[0]))].sort()
+            };
+        }
+    }
+};
+
+// Shared database connection (opened lazily)
+let dbPromise = null;
+
+// Set when the upgrade imported localStorage data, so it can be removed once committed
+let legacyDataMigrated = false;
+
+/**
+ * Open (and if needed create or upgrade) the database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const transaction = request.transaction;
+
+            SCHEMA_MIGRATIONS
+                .filter(migration => migration.version > event.oldVersion)
+                .forEach(migration => {
+                    console.log(`[Storage] Migrating database to version ${migration.version}: ${migration.description}`);
+                    migration.migrate(db, transaction);
+                });
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Let other tabs upgrade the database instead of blocking them
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+
+            // The upgrade transaction has committed, so the old copy is no longer needed
+            if (legacyDataMigrated) {
+                removeLegacyData();
+                legacyDataMigrated = false;
+            }
+
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+
+        request.onblocked = () => {
+            console.warn('[Storage] Database upgrade blocked by another open tab');
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Copy habits and settings from localStorage into the new object stores
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ */
+function migrateLegacyData(transaction) {
+    if (typeof localStorage === 'undefined') {
+        return;
+    }
+
+    let habitsJson, settingsJson, records, settings;
+    try {
+        habitsJson = localStorage.getItem(LEGACY_STORAGE_KEY);
+        settingsJson = localStorage.getItem(LEGACY_SETTINGS_KEY);
+        const legacyVersion = localStorage.getItem(LEGACY_VERSION_KEY) || '1.0';
+
+        // Everything is read before anything is written, so the import is all or nothing
+        const habitsData = habitsJson ? JSON.parse(habitsJson) : [];
+        records = (Array.isArray(habitsData) ? habitsData : [])
+            .filter(record => record && record.id)
+            .map(record => upgradeHabitRecord(record, legacyVersion));
+        settings = settingsJson ? { ...DEFAULT_SETTINGS, ...JSON.parse(settingsJson) } : null;
+    } catch (error) {
+        // Leave localStorage untouched so nothing is lost; the stores are still created,
+        // and the app warns about the data left behind (see getUnmigratedLegacyData)
+        console.error('[Storage] Error migrating localStorage data:', error);
+        return;
+    }
+
+    const habitsStore = transaction.objectStore(HABITS_STORE);
+    const metaStore = transaction.objectStore(META_STORE);
+
+    records.forEach(record => habitsStore.put(record));
+    console.log(`[Storage] Migrated ${records.length} habits from localStorage`);
+
+    if (settings) {
+        metaStore.put(settings, 'settings');
+    }
+
+    metaStore.put(CURRENT_VERSION, 'version');
+    legacyDataMigrated = Boolean(habitsJson || settingsJson);
+}
+
+/**
+ * Remove the localStorage copy after a successful migration
+ */
+function removeLegacyData() {
+    try {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_VERSION_KEY);
+        localStorage.removeItem(LEGACY_SETTINGS_KEY);
+    } catch (error) {
+        console.warn('[Storage] Could not remove legacy localStorage data:', error);
+    }
+}
+
+/**
+ * Upgrade a plain habit record to the current data version
+ * @param {Object} record - Plain habit object
+ * @param {string} fromVersion - Data version the record was written with
+ * @returns {Object} Upgraded plain habit object
+ */
+export function upgradeHabitRecord(record, fromVersion) {
+    let version = fromVersion || '1.0';
+    let upgraded = { ...record };
+
+    while (RECORD_MIGRATIONS[version]) {
+        const migration = RECORD_MIGRATIONS[version];
+        upgraded = migration.upgrade(upgraded);
+        version = migration.to;
+    }
+
+    return upgraded;
+}
+
+/**
+ * Run work inside a transaction and wait for it to commit
+ * @param {string|Array<string>} storeNames - Object stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction; may return a request whose result is resolved
+ * @returns {Promise<any>} Resolves with the request result once the transaction completes
+ */
+async function withTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = work(transaction);
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
 
 /**
- * Save habits to localStorage
+ * Save habits to IndexedDB, replacing all stored habits
  * @param {Array<Habit>} habits - Array of Habit instances to save
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-export function saveHabits(habits) {
+export async function saveHabits(habits) {
     try {
         if (!Array.isArray(habits)) {
             throw new Error('Habits must be an array');
         }
 
-        // Convert habits to plain objects
-        const habitsData = habits.map(habit => habit.toJSON());
-        
-        // Save to localStorage
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(habitsData));
-        localStorage.setItem(STORAGE_VERSION_KEY, CURRENT_VERSION);
-        
+        await withTransaction([HABITS_STORE, META_STORE], 'readwrite', transaction => {
+            const store = transaction.objectStore(HABITS_STORE);
+            store.clear();
+            habits.forEach(habit => store.put(habit.toJSON()));
+            transaction.objectStore(META_STORE).put(CURRENT_VERSION, 'version');
+        });
+
         return true;
     } catch (error) {
         console.error('Error saving habits:', error);
@@ -35,31 +271,17 @@ export function saveHabits(habits) {
 }
 
 /**
- * Load habits from localStorage
- * @returns {Array<Habit>} Array of Habit instances, or empty array if none found
+ * Load habits from IndexedDB
+ * @returns {Promise<Array<Habit>>} Array of Habit instances, or empty array if none found
  */
-export function loadHabits() {
+export async function loadHabits() {
     try {
-        const habitsJson = localStorage.getItem(STORAGE_KEY);
-        
-        // If no data exists, return empty array
-        if (!habitsJson) {
-            return [];
-        }
-
-        // Parse the JSON data
-        const habitsData = JSON.parse(habitsJson);
-        
-        // Validate that it's an array
-        if (!Array.isArray(habitsData)) {
-            console.warn('Invalid habits data in localStorage, returning empty array');
-            return [];
-        }
+        const habitsData = await withTransaction(HABITS_STORE, 'readonly', transaction => {
+            return transaction.objectStore(HABITS_STORE).getAll();
+        });
 
         // Convert plain objects back to Habit instances
-        const habits = habitsData.map(data => Habit.fromJSON(data));
-        
-        return habits;
+        return (habitsData || []).map(data => Habit.fromJSON(data));
     } catch (error) {
         console.error('Error loading habits:', error);
         return [];
@@ -69,47 +291,64 @@ export function loadHabits() {
 /**
  * Save a single habit (updates existing or adds new)
  * @param {Habit} habit - Habit instance to save
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-export function saveHabit(habit) {
+export async function saveHabit(habit) {
     try {
-        const habits = loadHabits();
-        
-        // Find index of existing habit with same ID
-        const existingIndex = habits.findIndex(h => h.id === habit.id);
-        
-        if (existingIndex >= 0) {
-            // Update existing habit
-            habits[existingIndex] = habit;
-        } else {
-            // Add new habit
-            habits.push(habit);
-        }
-        
-        return saveHabits(habits);
+        await withTransaction(HABITS_STORE, 'readwrite', transaction => {
+            transaction.objectStore(HABITS_STORE).put(habit.toJSON());
+        });
+        return true;
     } catch (error) {
         console.error('Error saving habit:', error);
         return false;
     }
 }
 
+/**
+ * Save and delete several habits in a single transaction
+ * @param {Array<Habit>} habitsToSave - Habits to add or update
+ * @param {Array<string>} idsToDelete - IDs of habits to delete
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+export async function updateHabits(habitsToSave, idsToDelete = []) {
+    try {
+        await withTransaction(HABITS_STORE, 'readwrite', transaction => {
+            const store = transaction.objectStore(HABITS_STORE);
+            habitsToSave.forEach(habit => store.put(habit.toJSON()));
+            idsToDelete.forEach(id => store.delete(id));
+        });
+        return true;
+    } catch (error) {
+        console.error('Error updating habits:', error);
+        return false;
+    }
+}
+
 /**
  * Delete a habit by ID
  * @param {string} habitId - ID of the habit to delete
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-export function deleteHabit(habitId) {
+export async function deleteHabit(habitId) {
     try {
-        const habits = loadHabits();
-        const filteredHabits = habits.filter(h => h.id !== habitId);
-        
-        // Only save if something was actually removed
-        if (filteredHabits.length === habits.length) {
+        const existingKey = await withTransaction(HABITS_STORE, 'readwrite', transaction => {
+            const store = transaction.objectStore(HABITS_STORE);
+            const request = store.getKey(habitId);
+            request.onsuccess = () => {
+                if (request.result !== undefined) {
+                    store.delete(habitId);
+                }
+            };
+            return request;
+        });
+
+        if (existingKey === undefined) {
             console.warn(`Habit with ID ${habitId} not found`);
             return false;
         }
-        
-        return saveHabits(filteredHabits);
+
+        return true;
     } catch (error) {
         console.error('Error deleting habit:', error);
         return false;
@@ -119,13 +358,14 @@ export function deleteHabit(habitId) {
 /**
  * Get a single habit by ID
  * @param {string} habitId - ID of the habit to retrieve
- * @returns {Habit|null} Habit instance or null if not found
+ * @returns {Promise<Habit|null>} Habit instance or null if not found
  */
-export function getHabitById(habitId) {
+export async function getHabitById(habitId) {
     try {
-        const habits = loadHabits();
-        const habit = habits.find(h => h.id === habitId);
-        return habit || null;
+        const data = await withTransaction(HABITS_STORE, 'readonly', transaction => {
+            return transaction.objectStore(HABITS_STORE).get(habitId);
+        });
+        return data ? Habit.fromJSON(data) : null;
     } catch (error) {
         console.error('Error getting habit:', error);
         return null;
@@ -133,13 +373,15 @@ export function getHabitById(habitId) {
 }
 
 /**
- * Clear all habit data from localStorage
- * @returns {boolean} True if successful, false otherwise
+ * Clear all habit data from IndexedDB
+ * Settings are kept
+ * @returns {Promise<boolean>} True if successful, false otherwise
  */
-export function clearAllData() {
+export async function clearAllData() {
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(STORAGE_VERSION_KEY);
+        await withTransaction(HABITS_STORE, 'readwrite', transaction => {
+            transaction.objectStore(HABITS_STORE).clear();
+        });
         return true;
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -147,13 +389,132 @@ export function clearAllData() {
     }
 }
 
+/**
+ * Load app-wide settings from IndexedDB
+ * @returns {Promise<Object>} Settings object, with defaults filled in for missing values
+ */
+export async function loadSettings() {
+    try {
+        const saved = await withTransaction(META_STORE, 'readonly', transaction => {
+            return transaction.objectStore(META_STORE).get('settings');
+        });
+        return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Save app-wide settings to IndexedDB
+ * @param {Object} settings - Settings object to save
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+export async function saveSettings(settings) {
+    try {
+        await withTransaction(META_STORE, 'readwrite', transaction => {
+            transaction.objectStore(META_STORE).put(settings, 'settings');
+        });
+        return true;
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Save the upcoming reminders for the service worker, which delivers them while the app is closed
+ * The service worker reads this record straight from the meta store, so its shape is shared with
+ * service-worker.js
+ * @param {Array<Object>} reminders - Reminders from Notifications.buildReminderSchedule
+ * @returns {Promise<boolean>} True if successful, false otherwise
+ */
+export async function saveReminderSchedule(reminders) {
+    try {
+        await withTransaction(META_STORE, 'readwrite', transaction => {
+            transaction.objectStore(META_STORE).put({ updated: Date.now(), reminders }, 'reminders');
+        });
+        return true;
+    } catch (error) {
+        console.error('Error saving reminder schedule:', error);
+        return false;
+    }
+}
+
+/**
+ * Record due reminders as delivered, leaving out the ones that were delivered already
+ * The ledger ({ delivered: { reminderId: reminder time } }) is shared with service-worker.js, which
+ * claims reminders the same way. Readwrite transactions on the meta store run one at a time across
+ * every tab and the service worker, so each reminder is claimed, and shown, exactly once
+ * @param {Array<Object>} reminders - Due reminders from Notifications.getDueReminders
+ * @returns {Promise<Array<Object>>} The reminders the caller should show (empty if the ledger can't be read)
+ */
+export async function claimReminders(reminders) {
+    let claimed = [];
+
+    try {
+        await withTransaction(META_STORE, 'readwrite', transaction => {
+            const store = transaction.objectStore(META_STORE);
+            const request = store.get('reminderLedger');
+
+            request.onsuccess = () => {
+                const now = Date.now();
+                const delivered = Object.fromEntries(
+                    Object.entries((request.result && request.result.delivered) || {})
+                        .filter(([, time]) => time > now - REMINDER_LEDGER_KEEP)
+                );
+
+                // A snooze keeps its ID, so it only counts as delivered at the same time
+                claimed = reminders.filter(reminder => delivered[reminder.id] !== reminder.time);
+                claimed.forEach(reminder => {
+                    delivered[reminder.id] = reminder.time;
+                });
+
+                store.put({ delivered }, 'reminderLedger');
+            };
+        });
+        return claimed;
+    } catch (error) {
+        console.error('Error claiming reminders:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the localStorage data of an older version that couldn't be imported
+ * A successful import removes it, so anything still there after the database opens was left behind
+ * @returns {Promise<string|null>} The old habits and settings as JSON, or null if there are none
+ */
+export async function getUnmigratedLegacyData() {
+    await openDatabase();
+    if (typeof localStorage === 'undefined') {
+        return null;
+    }
+
+    try {
+        const habitsJson = localStorage.getItem(LEGACY_STORAGE_KEY);
+        const settingsJson = localStorage.getItem(LEGACY_SETTINGS_KEY);
+        if (!habitsJson && !settingsJson) {
+            return null;
+        }
+        // Kept as the raw text, since it may not be valid JSON
+        return JSON.stringify({ habits: habitsJson, settings: settingsJson }, null, 2);
+    } catch (error) {
+        console.warn('[Storage] Could not read legacy localStorage data:', error);
+        return null;
+    }
+}
+
 /**
  * Get the current storage version
- * @returns {string|null} Version string or null if not set
+ * @returns {Promise<string|null>} Version string or null if not set
  */
-export function getStorageVersion() {
+export async function getStorageVersion() {
     try {
-        return localStorage.getItem(STORAGE_VERSION_KEY);
+        const version = await withTransaction(META_STORE, 'readonly', transaction => {
+            return transaction.objectStore(META_STORE).get('version');
+        });
+        return version || null;
     } catch (error) {
         console.error('Error getting storage version:', error);
         return null;
@@ -161,34 +522,37 @@ export function getStorageVersion() {
 }
 
 /**
- * Check if localStorage is available
- * @returns {boolean} True if localStorage is available and working
+ * Check if IndexedDB is available
+ * @returns {boolean} True if IndexedDB is available
  */
 export function isStorageAvailable() {
     try {
-        const testKey = '__storage_test__';
-        localStorage.setItem(testKey, 'test');
-        localStorage.removeItem(testKey);
-        return true;
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
     } catch (error) {
-        console.warn('localStorage is not available:', error);
+        console.warn('IndexedDB is not available:', error);
         return false;
     }
 }
 
 /**
  * Get storage statistics
- * @returns {Object} Object with storage info (habitCount, storageSize, version)
+ * @returns {Promise<Object>} Object with storage info (habitCount, storageSize, version)
  */
-export function getStorageStats() {
+export async function getStorageStats() {
     try {
-        const habits = loadHabits();
-        const habitsJson = localStorage.getItem(STORAGE_KEY) || '';
-        const version = getStorageVersion();
-        
+        const habits = await loadHabits();
+        const version = await getStorageVersion();
+
+        // Prefer the browser's own estimate; fall back to the size of the serialized habits
+        let storageSize = new Blob([JSON.stringify(habits.map(h => h.toJSON()))]).size;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            storageSize = estimate.usage || storageSize;
+        }
+
         return {
             habitCount: habits.length,
-            storageSize: new Blob([habitsJson]).size, // Size in bytes
+            storageSize, // Size in bytes
             version: version || 'unknown',
             isAvailable: isStorageAvailable()
         };
@@ -205,11 +569,11 @@ export function getStorageStats() {
 
 /**
  * Export all habits data as JSON string
- * @returns {string} JSON string of all habits data
+ * @returns {Promise<string|null>} JSON string of all habits data
  */
-export function exportData() {
+export async function exportData() {
     try {
-        const habits = loadHabits();
+        const habits = await loadHabits();
         const data = {
             version: CURRENT_VERSION,
             exportDate: new Date().toISOString(),
@@ -223,47 +587,562 @@ export function exportData() {
 }
 
 /**
- * Import habits data from JSON string
+ * Actions that can be chosen for each habit in an import preview
+ */
+export const IMPORT_ACTIONS = {
+    ADD: 'add',         // New habit, add it
+    MERGE: 'merge',     // Same ID exists, combine the histories and keep the current settings
+    REPLACE: 'replace', // Same ID exists, overwrite it with the imported copy
+    SKIP: 'skip'        // Leave this habit out
+};
+
+/**
+ * Parse and validate an export file without changing any stored data
+ * Files exported by older versions are upgraded to the current data version first
  * @param {string} jsonString - JSON string containing habits data
- * @param {boolean} merge - If true, merge with existing data; if false, replace
- * @returns {boolean} True if successful, false otherwise
+ * @returns {Promise<Object>} Import preview (see previewRecords)
+ * @throws {Error} If the file itself can't be read as habit data
  */
-export function importData(jsonString, merge = false) {
+export async function previewImport(jsonString) {
+    let data;
     try {
-        const data = JSON.parse(jsonString);
-        
-        // Validate the data structure
-        if (!data.habits || !Array.isArray(data.habits)) {
-            throw new Error('Invalid data format: missing habits array');
+        data = JSON.parse(jsonString);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    // Validate the data structure
+    if (!data || !Array.isArray(data.habits)) {
+        throw new Error('Invalid data format: missing habits array');
+    }
+
+    const version = data.version || '1.0';
+    if (version !== CURRENT_VERSION && !RECORD_MIGRATIONS[version]) {
+        throw new Error(`Unsupported data version: ${version}`);
+    }
+
+    return previewRecords(data.habits, { version, exportDate: data.exportDate });
+}
+
+/**
+ * Validate plain habit records and compare them with the stored habits
+ * @param {Array<Object>} records - Plain habit objects
+ * @param {Object} options - Optional import details
+ * @param {string} options.version - Data version the records were written with (defaults to current)
+ * @param {string} options.exportDate - When the records were exported
+ * @param {Array<string>} options.warnings - Problems found while converting the source file
+ * @returns {Promise<Object>} Preview with `entries` ({ habit, existing, action }) for valid habits,
+ *                            `invalid` ({ index, name, errors }) for habits that can't be imported,
+ *                            and `warnings` for anything else that was left out
+ */
+export async function previewRecords(records, { version = CURRENT_VERSION, exportDate = null, warnings = [] } = {}) {
+    const existingHabits = await loadHabits();
+    const seenIds = new Set();
+    const entries = [];
+    const invalid = [];
+
+    records.forEach((record, index) => {
+        const upgraded = record && typeof record === 'object' ? upgradeHabitRecord(record, version) : record;
+        const errors = Habit.validate(upgraded);
+
+        if (errors.length === 0 && seenIds.has(upgraded.id)) {
+            errors.push(`Duplicate ID in file: ${upgraded.id}`);
+        }
+
+        if (errors.length > 0) {
+            invalid.push({ index, name: (record && record.name) || `Habit #${index + 1}`, errors });
+            return;
+        }
+
+        seenIds.add(upgraded.id);
+        const habit = Habit.fromJSON(upgraded);
+        const existing = existingHabits.find(h => h.id === habit.id) || null;
+
+        let action = IMPORT_ACTIONS.ADD;
+        if (existing) {
+            const unchanged = JSON.stringify(existing.toJSON()) === JSON.stringify(habit.toJSON());
+            action = unchanged ? IMPORT_ACTIONS.SKIP : IMPORT_ACTIONS.MERGE;
         }
 
-        // Convert to Habit instances
-        const importedHabits = data.habits.map(h => Habit.fromJSON(h));
-        
-        if (merge) {
-            // Merge with existing habits
-            const existingHabits = loadHabits();
-            const allHabits = [...existingHabits];
-            
-            // Add imported habits, avoiding duplicates by ID
-            for (const habit of importedHabits) {
-                const existingIndex = allHabits.findIndex(h => h.id === habit.id);
-                if (existingIndex >= 0) {
-                    // Update existing
-                    allHabits[existingIndex] = habit;
+        entries.push({ habit, existing, action });
+    });
+
+    // New habits go after the ones already here, in the order they had in the file
+    const lastOrder = existingHabits.reduce((max, h) => (Number.isFinite(h.order) ? Math.max(max, h.order) : max), -1);
+    const position = habit => (Number.isFinite(habit.order) ? habit.order : Number.MAX_SAFE_INTEGER);
+    entries
+        .filter(entry => !entry.existing)
+        .map(entry => entry.habit)
+        .sort((a, b) => position(a) - position(b))
+        .forEach((habit, i) => {
+            habit.order = lastOrder + 1 + i;
+        });
+
+    return { version, exportDate, entries, invalid, warnings };
+}
+
+/**
+ * Apply the chosen actions from an import preview in a single transaction
+ * @param {Array<Object>} entries - Preview entries ({ habit, existing, action })
+ * @returns {Promise<Object|null>} Counts of added, updated, merged and skipped habits, or null on failure
+ */
+export async function applyImport(entries) {
+    const result = { added: 0, updated: 0, merged: 0, skipped: 0 };
+
+    try {
+        await withTransaction([HABITS_STORE, META_STORE], 'readwrite', transaction => {
+            const store = transaction.objectStore(HABITS_STORE);
+
+            entries.forEach(({ habit, existing, action }) => {
+                if (action === IMPORT_ACTIONS.ADD || (action === IMPORT_ACTIONS.REPLACE && existing)) {
+                    store.put(habit.toJSON());
+                    result[action === IMPORT_ACTIONS.ADD ? 'added' : 'updated']++;
+                } else if (action === IMPORT_ACTIONS.MERGE && existing) {
+                    const merged = Habit.fromJSON(existing.toJSON());
+                    merged.mergeHistory(habit);
+                    store.put(merged.toJSON());
+                    result.merged++;
                 } else {
-                    // Add new
-                    allHabits.push(habit);
+                    result.skipped++;
                 }
+            });
+
+            transaction.objectStore(META_STORE).put(CURRENT_VERSION, 'version');
+        });
+
+        return result;
+    } catch (error) {
+        console.error('Error importing data:', error);
+        return null;
+    }
+}
+
+/**
+ * Export formats of other habit tracker apps that can be imported
+ */
+export const FOREIGN_FORMATS = {
+    LOOP_HABITS: 'loopHabits',           // Loop Habit Tracker Habits.csv
+    LOOP_CHECKMARKS: 'loopCheckmarks',   // Loop Habit Tracker Checkmarks.csv (one column per habit)
+    HABITICA: 'habitica',                // Habitica user data export (JSON)
+    DATE_HABIT_CSV: 'dateHabitCsv'       // Any CSV with "date" and "habit" columns
+};
+
+// Loop Habit Tracker checkmark values
+const LOOP_CHECKMARK = { UNKNOWN: -1, NO: 0, YES_AUTO: 1, YES_MANUAL: 2, SKIP: 3 };
+
+/**
+ * Work out which app a file was exported from
+ * @param {string} text - File content
+ * @returns {string|null} One of FOREIGN_FORMATS, or null if the format isn't recognized
+ */
+export function detectForeignFormat(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            const data = JSON.parse(trimmed);
+            const tasks = Array.isArray(data) ? data : data.tasks;
+            if (tasks && (Array.isArray(tasks) || Array.isArray(tasks.habits) || Array.isArray(tasks.dailys))) {
+                return FOREIGN_FORMATS.HABITICA;
             }
-            
-            return saveHabits(allHabits);
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+
+    const rows = parseCSV(trimmed.split(/\r?\n/, 1)[0] || '');
+    const header = rows.length > 0 ? rows[0].map(name => name.trim().toLowerCase()) : [];
+
+    if (header.includes('date') && header.includes('habit')) {
+        return FOREIGN_FORMATS.DATE_HABIT_CSV;
+    }
+    if (header.includes('name') && (header.includes('position') || header.includes('question'))) {
+        return FOREIGN_FORMATS.LOOP_HABITS;
+    }
+    if (header[0] === 'date' && header.length > 1) {
+        return FOREIGN_FORMATS.LOOP_CHECKMARKS;
+    }
+    return null;
+}
+
+/**
+ * Convert files exported by other habit tracker apps and preview the result
+ * Loop Habit Tracker exports a zip; select its Habits.csv and Checkmarks.csv together
+ * @param {Array<{name: string, text: string}>} files - Selected files and their content
+ * @returns {Promise<Object>} Import preview (see previewRecords); everything that couldn't be converted is in `warnings`
+ * @throws {Error} If none of the files is in a supported format
+ */
+export async function previewForeignImport(files) {
+    const records = [];
+    const warnings = [];
+    const byFormat = {};
+
+    files.forEach(file => {
+        const format = detectForeignFormat(file.text);
+        if (!format) {
+            warnings.push(`${file.name}: format not recognized`);
+        } else if (byFormat[format]) {
+            warnings.push(`${file.name}: only one ${format} file can be imported at a time`);
         } else {
-            // Replace all data
-            return saveHabits(importedHabits);
+            byFormat[format] = file.text;
         }
-    } catch (error) {
-        console.error('Error importing data:', error);
-        return false;
+    });
+
+    const results = [];
+    if (byFormat[FOREIGN_FORMATS.LOOP_HABITS] || byFormat[FOREIGN_FORMATS.LOOP_CHECKMARKS]) {
+        results.push(convertLoopExport(byFormat[FOREIGN_FORMATS.LOOP_HABITS], byFormat[FOREIGN_FORMATS.LOOP_CHECKMARKS]));
+    }
+    if (byFormat[FOREIGN_FORMATS.HABITICA]) {
+        results.push(convertHabiticaExport(byFormat[FOREIGN_FORMATS.HABITICA]));
+    }
+    if (byFormat[FOREIGN_FORMATS.DATE_HABIT_CSV]) {
+        results.push(convertDateHabitCSV(byFormat[FOREIGN_FORMATS.DATE_HABIT_CSV]));
+    }
+
+    if (results.length === 0) {
+        throw new Error('None of the files is a supported export (Loop Habit Tracker CSV, Habitica JSON, or a CSV with date and habit columns)');
+    }
+
+    results.forEach(result => {
+        records.push(...result.records);
+        warnings.push(...result.warnings);
+    });
+
+    return previewRecords(records, { warnings });
+}
+
+/**
+ * Convert a Loop Habit Tracker export
+ * @param {string|undefined} habitsText - Habits.csv content (names, descriptions, frequencies)
+ * @param {string|undefined} checkmarksText - Checkmarks.csv content (one row per date, one column per habit)
+ * @returns {{records: Array<Object>, warnings: Array<string>}} Habit records and what couldn't be converted
+ */
+export function convertLoopExport(habitsText, checkmarksText) {
+    const warnings = [];
+    const habitsByName = new Map();
+
+    if (habitsText) {
+        rowsToObjects(parseCSV(habitsText)).forEach(row => {
+            const habit = new Habit(row.name, toLocalDateString(new Date()));
+            habit.id = createImportId('loop', row.name);
+            habit.notes = [row.question, row.description].filter(Boolean).join('\n');
+
+            // Numerator/denominator in newer exports, repetitions/interval in older ones
+            const times = Number(row.frequencynumerator || row.numrepetitions || 1);
+            const days = Number(row.frequencydenominator || row.interval || 1);
+            const schedule = loopFrequencyToSchedule(times, days);
+            if (schedule === undefined) {
+                warnings.push(`"${row.name}": frequency of ${times} times every ${days} days isn't supported, imported as daily`);
+            } else {
+                habit.setSchedule(schedule);
+            }
+
+            if (['1', 'numerical', 'numeric'].includes((row.type || '').toLowerCase())) {
+                const target = Number(row['target value']);
+                if (target > 0) {
+                    habit.setTarget(target, row.unit || '');
+                } else {
+                    warnings.push(`"${row.name}": numeric habit without a target, imported as done/not done`);
+                }
+            }
+
+            if (row['archived?'] === 'true' || row['archived?'] === '1') {
+                habit.archive();
+            }
+
+            habitsByName.set(row.name, habit);
+        });
+    }
+
+    if (checkmarksText) {
+        const rows = parseCSV(checkmarksText);
+        const header = rows[0] || [];
+        const earliest = new Map();
+
+        header.slice(1).forEach(name => {
+            if (!habitsByName.has(name)) {
+                const habit = new Habit(name, toLocalDateString(new Date()));
+                habit.id = createImportId('loop', name);
+                habitsByName.set(name, habit);
+                if (habitsText) {
+                    warnings.push(`"${name}": not in Habits.csv, imported as a daily habit`);
+                }
+            }
+        });
+
+        rows.slice(1).forEach(row => {
+            const date = row[0].trim();
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                warnings.push(`Checkmarks.csv: skipped row with unreadable date "${date}"`);
+                return;
+            }
+
+            header.slice(1).forEach((name, i) => {
+                const habit = habitsByName.get(name);
+                const cell = (row[i + 1] || '').trim();
+                if (cell === '') return;
+
+                // Numeric habits store amounts; whole numbers are in thousandths like Loop's database
+                if (habit.isQuantitative()) {
+                    const amount = cell.includes('.') ? Number(cell) : Number(cell) / 1000;
+                    if (amount > 0) {
+                        habit.setValue(date, amount);
+                    }
+                    if (amount >= 0 && (!earliest.has(name) || date < earliest.get(name))) {
+                        earliest.set(name, date);
+                    }
+                    return;
+                }
+
+                const value = Number(cell);
+                if (value === LOOP_CHECKMARK.YES_MANUAL) {
+                    habit.markCompleted(date);
+                } else if (value === LOOP_CHECKMARK.SKIP) {
+                    habit.excuseDate(date);
+                }
+                // YES_AUTO only means the frequency was already met, so it isn't a completion here
+                if (value !== LOOP_CHECKMARK.UNKNOWN && (!earliest.has(name) || date < earliest.get(name))) {
+                    earliest.set(name, date);
+                }
+            });
+        });
+
+        // Loop doesn't export creation dates, so start each habit at its first known day
+        earliest.forEach((date, name) => {
+            const habit = habitsByName.get(name);
+            habit.createdDate = date;
+            if (habit.getScheduleType() === SCHEDULE_TYPES.INTERVAL) {
+                habit.schedule.startDate = date;
+            }
+        });
+    } else {
+        warnings.push('Checkmarks.csv not selected, so no history was imported');
+    }
+
+    return { records: [...habitsByName.values()].map(habit => habit.toJSON()), warnings };
+}
+
+/**
+ * Map a Loop Habit Tracker frequency onto a schedule
+ * @param {number} times - Repetitions per period
+ * @param {number} days - Period length in days
+ * @returns {Object|null|undefined} Schedule object, null for daily, undefined if there's no equivalent
+ */
+function loopFrequencyToSchedule(times, days) {
+    if (times >= days) {
+        return null;
+    }
+    if (times === 1) {
+        return { type: SCHEDULE_TYPES.INTERVAL, every: days };
+    }
+    if (days === 7) {
+        return { type: SCHEDULE_TYPES.TIMES_PER_WEEK, count: times };
+    }
+    return undefined;
+}
+
+/**
+ * Convert a Habitica data export
+ * Dailies become scheduled habits, positive habits become build habits and negative-only habits become break habits
+ * @param {string} jsonString - Habitica user data JSON (or a plain array of tasks)
+ * @returns {{records: Array<Object>, warnings: Array<string>}} Habit records and what couldn't be converted
+ */
+export function convertHabiticaExport(jsonString) {
+    const data = JSON.parse(jsonString);
+    const warnings = [];
+    const records = [];
+
+    let tasks = Array.isArray(data) ? data : data.tasks;
+    if (!Array.isArray(tasks)) {
+        tasks = Object.values(tasks).flat();
+    }
+
+    const tagNames = new Map((data.tags || []).map(tag => [tag.id, tag.name]));
+    const skippedTypes = {};
+
+    tasks.forEach(task => {
+        if (task.type !== 'daily' && task.type !== 'habit') {
+            skippedTypes[task.type] = (skippedTypes[task.type] || 0) + 1;
+            return;
+        }
+
+        const name = String(task.text || '').slice(0, 100);
+
+        // One malformed task shouldn't keep the rest from being previewed
+        try {
+            const createdDate = task.createdAt ? toLocalDateString(new Date(task.createdAt)) : toLocalDateString(new Date());
+            const habit = new Habit(name, createdDate);
+            habit.id = createImportId('habitica', task.id || task._id || name);
+            habit.notes = task.notes || '';
+            habit.tags = (task.tags || []).map(id => tagNames.get(id)).filter(Boolean);
+
+            const history = Array.isArray(task.history) ? task.history : [];
+
+            if (task.type === 'daily') {
+                const schedule = habiticaDailyToSchedule(task, habit, warnings);
+                if (schedule) {
+                    try {
+                        habit.setSchedule(schedule);
+                    } catch (error) {
+                        warnings.push(`"${name}": repeat settings couldn't be used (${error.message}), imported as daily`);
+                    }
+                }
+
+                const withFlag = history.filter(entry => typeof entry.completed === 'boolean');
+                if (history.length > 0 && withFlag.length === 0) {
+                    warnings.push(`"${name}": history has no completion details, so past days weren't imported`);
+                }
+                withFlag
+                    .filter(entry => entry.completed)
+                    .forEach(entry => habit.markCompleted(toLocalDateString(new Date(entry.date))));
+            } else {
+                // Habitica habits are +/- counters
+                const isBreak = task.down && !task.up;
+                if (isBreak) {
+                    habit.setType(HABIT_TYPES.BREAK);
+                } else if (task.up && task.down) {
+                    warnings.push(`"${name}": negative clicks weren't imported (only the positive side is kept)`);
+                }
+
+                history.forEach(entry => {
+                    const date = toLocalDateString(new Date(entry.date));
+                    if (isBreak && entry.scoredDown > 0) {
+                        habit.logSlip(date);
+                    } else if (!isBreak && entry.scoredUp > 0) {
+                        habit.markCompleted(date);
+                    }
+                });
+
+                if (history.length > 0 && !history.some(entry => 'scoredUp' in entry || 'scoredDown' in entry)) {
+                    warnings.push(`"${name}": history has no click details, so past days weren't imported`);
+                }
+            }
+
+            const reminders = Array.isArray(task.reminders) ? task.reminders : [];
+            if (reminders.length > 0) {
+                const time = new Date(reminders[0].time);
+                if (!isNaN(time)) {
+                    habit.setNotificationTime(`${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`);
+                }
+                if (reminders.length > 1) {
+                    warnings.push(`"${name}": only the first of ${reminders.length} reminders was kept`);
+                }
+            }
+
+            // Tasks without a creation date start at their first logged day
+            const firstDate = [...habit.completions, ...habit.slips].sort()[0];
+            if (firstDate && firstDate < habit.createdDate) {
+                habit.createdDate = firstDate;
+            }
+
+            if (Array.isArray(task.checklist) && task.checklist.length > 0) {
+                warnings.push(`"${name}": checklist items weren't imported`);
+            }
+
+            records.push(habit.toJSON());
+        } catch (error) {
+            warnings.push(`"${name}": couldn't be read (${error.message}), skipped`);
+        }
+    });
+
+    Object.entries(skippedTypes).forEach(([type, count]) => {
+        warnings.push(`${count} Habitica ${type}${count !== 1 ? 's' : ''} skipped (only dailies and habits can be imported)`);
+    });
+
+    return { records, warnings };
+}
+
+/**
+ * Map a Habitica daily's repeat settings onto a schedule
+ * @param {Object} task - Habitica daily task
+ * @param {Habit} habit - Habit being built (weekday schedules are set on it directly)
+ * @param {Array<string>} warnings - Receives anything that has no equivalent
+ * @returns {Object|null} Schedule object, or null for daily/weekday schedules
+ */
+function habiticaDailyToSchedule(task, habit, warnings) {
+    const everyX = Number(task.everyX) || 1;
+    const startDate = task.startDate ? toLocalDateString(new Date(task.startDate)) : habit.createdDate;
+
+    switch (task.frequency) {
+        case 'weekly': {
+            const dayKeys = ['su', 'm', 't', 'w', 'th', 'f', 's'];
+            const days = dayKeys.map((key, i) => (task.repeat && task.repeat[key] ? i : null)).filter(i => i !== null);
+            if (everyX > 1) {
+                warnings.push(`"${task.text}": repeats every ${everyX} weeks, imported as every week`);
+            }
+            habit.setDaysOfWeek(days.length > 0 && days.length < 7 ? days : null);
+            return null;
+        }
+
+        case 'monthly':
+            if (Array.isArray(task.daysOfMonth) && task.daysOfMonth.length > 0) {
+                if (everyX > 1) {
+                    warnings.push(`"${task.text}": repeats every ${everyX} months, imported as every month`);
+                }
+                return { type: SCHEDULE_TYPES.DAYS_OF_MONTH, days: task.daysOfMonth };
+            }
+            warnings.push(`"${task.text}": repeats on a weekday of the month, which isn't supported; imported as daily`);
+            return null;
+
+        case 'yearly':
+            warnings.push(`"${task.text}": repeats yearly, which isn't supported; imported as daily`);
+            return null;
+
+        default:
+            return everyX > 1 ? { type: SCHEDULE_TYPES.INTERVAL, every: everyX, startDate } : null;
+    }
+}
+
+/**
+ * Convert a generic CSV with one row per completion ("date,habit" plus an optional "value" column)
+ * @param {string} text - CSV content
+ * @returns {{records: Array<Object>, warnings: Array<string>}} Habit records and what couldn't be converted
+ */
+export function convertDateHabitCSV(text) {
+    const warnings = [];
+    const habitsByName = new Map();
+
+    rowsToObjects(parseCSV(text)).forEach((row, index) => {
+        const date = (row.date || '').split('T')[0];
+        const name = row.habit;
+
+        if (!name || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            warnings.push(`Row ${index + 2}: needs a habit name and a YYYY-MM-DD date`);
+            return;
+        }
+
+        // A value column can mark days as not done (0, no, false)
+        if (row.value !== undefined && row.value !== '' && ['0', 'no', 'false'].includes(row.value.toLowerCase())) {
+            return;
+        }
+
+        if (!habitsByName.has(name)) {
+            const habit = new Habit(name, date);
+            habit.id = createImportId('csv', name);
+            habitsByName.set(name, habit);
+        }
+
+        const habit = habitsByName.get(name);
+        habit.markCompleted(date);
+        if (date < habit.createdDate) {
+            habit.createdDate = date;
+        }
+    });
+
+    return { records: [...habitsByName.values()].map(habit => habit.toJSON()), warnings };
+}
+
+/**
+ * Build a stable habit ID for an imported habit, so importing the same file again updates it
+ * @param {string} source - Source app prefix
+ * @param {string} key - ID or name in the source app
+ * @returns {string} Habit ID
+ */
+function createImportId(source, key) {
+    let hash = 5381;
+    for (const char of String(key)) {
+        hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
     }
+    return `habit_${source}_${hash.toString(36)}`;
 }
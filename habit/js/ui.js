@@ -3,13 +3,58 @@
  * Handles all DOM manipulation and rendering for the Habit Tracker app
  */
 
+import { Habit, SCHEDULE_TYPES, HABIT_TYPES, DAY_STATUS, TIME_SLOTS, toLocalDateString } from './habit.js';
+import { IMPORT_ACTIONS } from './storage.js';
+import * as Stats from './stats.js';
+import * as Charts from './charts.js';
+import * as Routine from './routine.js';
+import { ROUTES, getPath } from './router.js';
+
+// IDs of habits whose history calendar is expanded, so it stays open when the card re-renders
+const expandedCalendars = new Set();
+
+// Month shown in each habit's calendar (habit ID -> first day of the month); defaults to the current month
+const calendarMonths = new Map();
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day choices for a reminder time in the habit forms (comma-separated weekdays, '' for every day)
+const REMINDER_DAY_OPTIONS = [
+    { value: '', label: 'Every day' },
+    { value: '1,2,3,4,5', label: 'Weekdays' },
+    { value: '0,6', label: 'Weekends' },
+    ...WEEKDAY_NAMES.map((name, day) => ({ value: String(day), label: `${name} only` }))
+];
+
+// Labels for journal ratings, indexed by rating (1-5); the journal form's options use the same wording
+const MOOD_LABELS = [null, '😞 Awful', '🙁 Bad', '😐 Okay', '🙂 Good', '😄 Great'];
+const EFFORT_LABELS = [null, 'Very easy', 'Easy', 'Moderate', 'Hard', 'Very hard'];
+
+// Headings of the Today view sections
+const TIME_SLOT_LABELS = {
+    [TIME_SLOTS.MORNING]: '🌅 Morning',
+    [TIME_SLOTS.AFTERNOON]: '☀️ Afternoon',
+    [TIME_SLOTS.EVENING]: '🌙 Evening',
+    [TIME_SLOTS.ANYTIME]: '🕒 Anytime'
+};
+
+// Period the statistics dashboard groups the completion trend by
+let statsPeriod = Stats.TREND_PERIODS.WEEK;
+
+// Colors picked for tags in the tag manager (tag -> "#rrggbb")
+let tagColors = {};
+
+// ID of the habit card being dragged (dataTransfer can't be read during dragover)
+let draggedHabitId = null;
+
 /**
  * Render the complete list of habits
  * @param {Array<Habit>} habits - Array of habits to render
  * @param {HTMLElement} container - Container element to render into
  * @param {Object} callbacks - Object with callback functions (onComplete, onDelete, onEdit)
+ * @param {string|null} emptyMessage - Shown instead of the "no habits yet" state when the list is empty (e.g. filtered out)
  */
-export function renderHabitList(habits, container, callbacks = {}) {
+export function renderHabitList(habits, container, callbacks = {}, emptyMessage = null) {
     if (!container) {
         console.error('Container element not provided');
         return;
@@ -18,9 +63,20 @@ export function renderHabitList(habits, container, callbacks = {}) {
     // Clear existing content
     container.innerHTML = '';
 
+    // Archived habits only appear in the archived view
+    habits = (habits || []).filter(habit => !habit.isArchived());
+
     // If no habits, show empty state
-    if (!habits || habits.length === 0) {
-        showEmptyState(container);
+    if (habits.length === 0) {
+        if (emptyMessage) {
+            const emptyState = document.getElementById('empty-state');
+            if (emptyState) {
+                emptyState.classList.add('hidden');
+            }
+            container.innerHTML = `<p class="archived-empty">${escapeHtml(emptyMessage)}</p>`;
+        } else {
+            showEmptyState(container);
+        }
         return;
     }
 
@@ -50,98 +106,393 @@ export function renderHabitList(habits, container, callbacks = {}) {
  */
 export function renderHabitCard(habit, callbacks = {}) {
     const card = document.createElement('div');
-    card.className = 'habit-card';
+    card.className = habit.isBreakHabit() ? 'habit-card break-habit' : 'habit-card';
+    card.classList.toggle('archived', habit.isArchived());
     card.dataset.habitId = habit.id;
 
     // Build the card HTML
-    const today = new Date().toISOString().split('T')[0];
+    const today = toLocalDateString(new Date());
     const isCompleted = habit.isCompletedOn(today);
     const stats = habit.getStatistics();
     const isActiveToday = habit.isActiveOnDay(new Date());
+    const streakUnit = habit.getStreakUnit();
+    const inactiveLabel = habit.isWeeklyGoalMet(new Date()) ? '✓ Weekly Goal Met' : 'Not Scheduled Today';
+    const hasSlippedToday = habit.hasSlipOn(today);
 
     card.innerHTML = `
         <div class="habit-header">
-            <h3 class="habit-name">${escapeHtml(habit.name)}</h3>
-            <div class="habit-actions-header">
-                <button class="habit-edit" data-habit-id="${habit.id}" title="Edit habit">✎</button>
-                <button class="habit-delete" data-habit-id="${habit.id}" title="Delete habit">×</button>
-            </div>
+            ${callbacks.onReorder ? '<button type="button" class="drag-handle" title="Drag to reorder, or focus and use the arrow keys" aria-label="Reorder habit">⠿</button>' : ''}
+            <h3 class="habit-name"><a class="habit-link" href="${getPath(ROUTES.HABIT, habit.id)}" title="Open details">${escapeHtml(habit.name)}</a></h3>
+            ${renderHeaderActions(habit)}
         </div>
         
-        ${habit.tags && habit.tags.length > 0 ? `<div class="habit-tags">${habit.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+        ${renderTags(habit.tags)}
         
         ${habit.notes ? `<div class="habit-notes">${escapeHtml(habit.notes)}</div>` : ''}
         
         <div class="habit-info">
-            <span class="habit-streak" title="Current streak">🔥 ${stats.currentStreak} day${stats.currentStreak !== 1 ? 's' : ''}</span>
-            <span class="habit-completion-rate" title="Completion rate">${stats.completionRate}%</span>
-            ${habit.notificationTime ? `<span class="habit-notification" title="Notification time">🔔 ${habit.notificationTime}</span>` : ''}
+            ${habit.isBreakHabit() ? `
+            <span class="habit-streak" title="Days since last slip">🌱 ${stats.currentStreak} day${stats.currentStreak !== 1 ? 's' : ''} clean</span>
+            <span class="habit-completion-rate" title="Share of clean days">${stats.completionRate}% clean</span>
+            <span class="habit-slips" title="Average slips per week">${stats.slipsPerWeek} slips/week</span>` : `
+            <span class="habit-streak" title="Current streak">🔥 ${stats.currentStreak} ${streakUnit}${stats.currentStreak !== 1 ? 's' : ''}</span>
+            <span class="habit-completion-rate" title="Completion rate">${stats.completionRate}%</span>`}
+            ${habit.isQuantitative() ? `<span class="habit-target" title="Daily target">🎯 ${escapeHtml(habit.getTargetString())}</span>` : ''}
+            ${renderReminderBadge(habit)}
         </div>
         
         ${renderDaysOfWeek(habit)}
         
         <div class="habit-actions">
+            ${habit.isArchived() ? `
+            <span class="archived-label">🗄 Archived on ${escapeHtml(habit.archivedDate)}</span>` : habit.isBreakHabit() ? `
+            <button class="slip-btn ${hasSlippedToday ? 'slipped' : ''}" data-habit-id="${habit.id}">
+                ${hasSlippedToday ? '↺ Undo Today\'s Slip' : 'Log a Slip'}
+            </button>` : habit.isQuantitative() ? renderQuantityControl(habit, today, isActiveToday, inactiveLabel) : `
             <button class="complete-btn ${isCompleted ? 'completed' : ''} ${!isActiveToday ? 'disabled' : ''}" 
                     data-habit-id="${habit.id}"
                     ${!isActiveToday ? 'disabled' : ''}>
-                ${isCompleted ? '✓ Completed Today' : (isActiveToday ? 'Mark Complete' : 'Not Scheduled Today')}
-            </button>
+                ${isCompleted ? '✓ Completed Today' : (isActiveToday ? 'Mark Complete' : inactiveLabel)}
+            </button>`}
         </div>
         
         ${renderCalendar(habit)}
     `;
 
     // Attach event listeners
-    const deleteBtn = card.querySelector('.habit-delete');
-    const editBtn = card.querySelector('.habit-edit');
+    attachHeaderActions(card, habit, callbacks);
+    if (callbacks.onReorder) {
+        attachReorderListeners(card, habit, callbacks);
+    }
+
     const completeBtn = card.querySelector('.complete-btn');
+    const quantityButtons = card.querySelectorAll('.quantity-btn');
+    const slipBtn = card.querySelector('.slip-btn');
     const calendarToggle = card.querySelector('.calendar-toggle');
 
-    if (deleteBtn && callbacks.onDelete) {
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            callbacks.onDelete(habit.id);
+    if (completeBtn && callbacks.onComplete && isActiveToday) {
+        completeBtn.addEventListener('click', () => {
+            callbacks.onComplete(habit.id, !isCompleted);
         });
     }
 
-    if (editBtn && callbacks.onEdit) {
-        editBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            callbacks.onEdit(habit.id);
+    if (callbacks.onLogValue && isActiveToday) {
+        quantityButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                callbacks.onLogValue(habit.id, parseFloat(button.dataset.delta));
+            });
         });
     }
 
-    if (completeBtn && callbacks.onComplete && isActiveToday) {
-        completeBtn.addEventListener('click', () => {
-            callbacks.onComplete(habit.id, !isCompleted);
+    if (slipBtn && callbacks.onSlip) {
+        slipBtn.addEventListener('click', () => {
+            callbacks.onSlip(habit.id, !hasSlippedToday);
         });
     }
 
     if (calendarToggle) {
         calendarToggle.addEventListener('click', (e) => {
             e.stopPropagation();
-            const calendarGrid = card.querySelector('.calendar-grid');
+            const calendarPanel = card.querySelector('.calendar-panel');
             const toggleIcon = calendarToggle.querySelector('.toggle-icon');
             const toggleText = calendarToggle.querySelector('.toggle-text');
             
-            if (calendarGrid && toggleIcon && toggleText) {
-                calendarGrid.classList.toggle('hidden');
-                const isHidden = calendarGrid.classList.contains('hidden');
+            if (calendarPanel && toggleIcon && toggleText) {
+                calendarPanel.classList.toggle('hidden');
+                const isHidden = calendarPanel.classList.contains('hidden');
                 toggleIcon.textContent = isHidden ? '▼' : '▲';
                 toggleText.textContent = isHidden ? 'View History' : 'Hide History';
+
+                if (isHidden) {
+                    expandedCalendars.delete(habit.id);
+                } else {
+                    expandedCalendars.add(habit.id);
+                }
             }
         });
     }
 
+    attachCalendarListeners(card, habit, callbacks, () => renderHabitCard(habit, callbacks));
+
     return card;
 }
 
+/**
+ * Render the edit/archive/delete buttons shown next to a habit's name
+ * @param {Habit} habit - Habit the buttons act on
+ * @returns {string} HTML string for the buttons
+ */
+function renderHeaderActions(habit) {
+    return `
+        <div class="habit-actions-header">
+            ${habit.isArchived() ? `
+            <button class="habit-archive" data-habit-id="${habit.id}" title="Restore habit">↩</button>` : `
+            <button class="habit-edit" data-habit-id="${habit.id}" title="Edit habit">✎</button>
+            <button class="habit-archive" data-habit-id="${habit.id}" title="Archive habit">🗄</button>`}
+            <button class="habit-delete" data-habit-id="${habit.id}" title="Delete habit">×</button>
+        </div>
+    `;
+}
+
+/**
+ * Wire up the buttons from renderHeaderActions
+ * @param {HTMLElement} element - Element containing the buttons
+ * @param {Habit} habit - Habit the buttons act on
+ * @param {Object} callbacks - Object with callback functions (onDelete, onEdit, onArchive)
+ */
+function attachHeaderActions(element, habit, callbacks) {
+    const deleteBtn = element.querySelector('.habit-delete');
+    const editBtn = element.querySelector('.habit-edit');
+    const archiveBtn = element.querySelector('.habit-archive');
+
+    if (deleteBtn && callbacks.onDelete) {
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onDelete(habit.id);
+        });
+    }
+
+    if (editBtn && callbacks.onEdit) {
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onEdit(habit.id);
+        });
+    }
+
+    if (archiveBtn && callbacks.onArchive) {
+        archiveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onArchive(habit.id, !habit.isArchived());
+        });
+    }
+}
+
+/**
+ * Wire up the month navigation and editable days of a rendered month calendar
+ * @param {HTMLElement} element - Element containing the calendar
+ * @param {Habit} habit - Habit the calendar belongs to
+ * @param {Object} callbacks - Object with callback functions (onToggleDate, onEditJournal)
+ * @param {Function} rerender - Returns a fresh element to replace `element` with after changing month
+ */
+function attachCalendarListeners(element, habit, callbacks, rerender) {
+    element.querySelectorAll('.calendar-nav').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            shiftCalendarMonth(habit, parseInt(button.dataset.direction, 10));
+
+            // Re-render in place and keep focus on the same arrow
+            const newElement = rerender();
+            element.replaceWith(newElement);
+            const sameButton = newElement.querySelector(`.calendar-nav[data-direction="${button.dataset.direction}"]`);
+            if (sameButton && !sameButton.disabled) {
+                sameButton.focus();
+            }
+        });
+    });
+
+    if (callbacks.onToggleDate) {
+        element.querySelectorAll('.calendar-day.editable').forEach(cell => {
+            cell.addEventListener('click', (e) => {
+                e.stopPropagation();
+                callbacks.onToggleDate(habit.id, cell.dataset.date);
+            });
+            cell.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    callbacks.onToggleDate(habit.id, cell.dataset.date);
+                }
+            });
+        });
+    }
+
+    // Right-click (long-press on touch screens) or N opens the day's journal entry
+    if (callbacks.onEditJournal) {
+        element.querySelectorAll('.calendar-day.editable').forEach(cell => {
+            cell.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                callbacks.onEditJournal(habit.id, cell.dataset.date);
+            });
+            cell.addEventListener('keydown', (e) => {
+                if (e.key.toLowerCase() === 'n' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    e.preventDefault();
+                    callbacks.onEditJournal(habit.id, cell.dataset.date);
+                }
+            });
+        });
+
+        element.querySelectorAll('.journal-edit-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                callbacks.onEditJournal(habit.id, button.dataset.date);
+            });
+        });
+    }
+}
+
+/**
+ * Let a card be moved by dragging its handle onto another card, or with the arrow keys on the handle
+ * @param {HTMLElement} card - Habit card
+ * @param {Habit} habit - Habit on the card
+ * @param {Object} callbacks - Object with callback functions (onReorder(habitId, targetId, 'before'|'after'))
+ */
+function attachReorderListeners(card, habit, callbacks) {
+    const handle = card.querySelector('.drag-handle');
+
+    // Only the handle starts a drag, so text on the card can still be selected
+    handle.addEventListener('pointerdown', () => {
+        card.draggable = true;
+    });
+    handle.addEventListener('pointerup', () => {
+        card.draggable = false;
+    });
+
+    card.addEventListener('dragstart', (e) => {
+        draggedHabitId = habit.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', habit.name);
+        card.classList.add('dragging');
+    });
+
+    card.addEventListener('dragend', () => {
+        draggedHabitId = null;
+        card.draggable = false;
+        card.classList.remove('dragging');
+    });
+
+    const getDropPosition = (e) => {
+        const rect = card.getBoundingClientRect();
+        return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    };
+
+    card.addEventListener('dragover', (e) => {
+        if (!draggedHabitId || draggedHabitId === habit.id) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        const position = getDropPosition(e);
+        card.classList.toggle('drop-before', position === 'before');
+        card.classList.toggle('drop-after', position === 'after');
+    });
+
+    card.addEventListener('dragleave', () => {
+        card.classList.remove('drop-before', 'drop-after');
+    });
+
+    card.addEventListener('drop', (e) => {
+        card.classList.remove('drop-before', 'drop-after');
+        if (!draggedHabitId || draggedHabitId === habit.id) return;
+        e.preventDefault();
+        callbacks.onReorder(draggedHabitId, habit.id, getDropPosition(e));
+    });
+
+    // Arrow keys swap the card with its neighbor in the list as shown
+    handle.addEventListener('keydown', async (e) => {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+        e.preventDefault();
+
+        const isUp = e.key === 'ArrowUp';
+        const neighbor = isUp ? card.previousElementSibling : card.nextElementSibling;
+        if (!neighbor || !neighbor.classList.contains('habit-card')) return;
+
+        await callbacks.onReorder(habit.id, neighbor.dataset.habitId, isUp ? 'before' : 'after');
+
+        // The list was re-rendered; keep focus on the moved habit's handle
+        const movedHandle = document.querySelector(`.habit-card[data-habit-id="${habit.id}"] .drag-handle`);
+        if (movedHandle) {
+            movedHandle.focus();
+        }
+    });
+}
+
+/**
+ * Render the increment/decrement control for a quantitative habit
+ * @param {Habit} habit - Quantitative habit to render the control for
+ * @param {string} date - ISO date string the control logs against
+ * @param {boolean} isActive - Whether the habit is scheduled on that date
+ * @param {string} inactiveLabel - Label to show when the habit isn't scheduled
+ * @returns {string} HTML string for the quantity control
+ */
+function renderQuantityControl(habit, date, isActive, inactiveLabel) {
+    const value = habit.getValue(date);
+    const isCompleted = habit.isCompletedOn(date);
+    const percent = Math.round(habit.getProgress(date) * 100);
+    const unit = habit.unit ? ` ${escapeHtml(habit.unit)}` : '';
+
+    return `
+        <div class="quantity-control ${isCompleted ? 'completed' : ''} ${!isActive ? 'disabled' : ''}">
+            <button class="quantity-btn" data-delta="-1" title="Decrease" ${!isActive || value <= 0 ? 'disabled' : ''}>−</button>
+            <div class="quantity-display">
+                <span class="quantity-value">${isActive ? `${value} / ${habit.target}${unit}` : inactiveLabel}</span>
+                <div class="quantity-progress">
+                    <div class="quantity-progress-bar" style="width: ${percent}%"></div>
+                </div>
+            </div>
+            <button class="quantity-btn" data-delta="1" title="Increase" ${!isActive ? 'disabled' : ''}>+</button>
+        </div>
+    `;
+}
+
+/**
+ * Render the 🔔 badge of a habit with reminders
+ * Shows today's reminder times (or every time, if none is today); the tooltip lists them all
+ * @param {Habit} habit - Habit to render the badge for
+ * @param {string} className - Class of the badge
+ * @returns {string} HTML string for the badge (empty if the habit has no reminders)
+ */
+function renderReminderBadge(habit, className = 'habit-notification') {
+    const reminders = habit.getReminders();
+    if (reminders.length === 0) {
+        return '';
+    }
+
+    const today = habit.getReminderTimesOn(new Date())
+        .filter(reminder => !reminder.followUp)
+        .map(reminder => reminder.time);
+    const times = today.length > 0 ? today : [...new Set(reminders.map(reminder => reminder.time))];
+
+    // Break-type habits don't send follow-ups
+    const nagging = habit.isBreakHabit() ? null : habit.getNagging();
+    const list = reminders.map(reminder => (reminder.days ? `${reminder.time} (${describeReminderDays(reminder.days)})` : reminder.time));
+    const title = `Reminders: ${list.join(', ')}` +
+        (nagging ? `. Again every ${nagging.interval} min until done${nagging.until ? ` or ${nagging.until}` : ''}` : '');
+
+    return `<span class="${className}" title="${escapeAttribute(title)}">🔔 ${times.join(', ')}${nagging ? ' ↻' : ''}</span>`;
+}
+
+/**
+ * Describe the days a reminder time applies to
+ * @param {Array<number>|null} days - Weekdays (0 = Sunday), or null for every day
+ * @returns {string} e.g. "Weekdays" or "Mon, Wed"
+ */
+function describeReminderDays(days) {
+    const value = days ? days.join(',') : '';
+    const option = REMINDER_DAY_OPTIONS.find(choice => choice.value === value);
+    return option ? option.label : days.map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
 /**
  * Render days of week indicator for a habit
+ * Habits on other schedules show a single badge describing the schedule
  * @param {Habit} habit - Habit to render days for
  * @returns {string} HTML string for days of week
  */
 function renderDaysOfWeek(habit) {
+    if (habit.isBreakHabit()) {
+        return '<div class="habit-days"><span class="day-badge">Breaking a habit</span></div>';
+    }
+
+    const scheduleType = habit.getScheduleType();
+
+    if (scheduleType === SCHEDULE_TYPES.TIMES_PER_WEEK) {
+        const done = Math.min(habit.getCompletionsInWeek(new Date()), habit.schedule.count);
+        return `<div class="habit-days"><span class="day-badge">${habit.getScheduleString()}</span><span class="day-badge">${done}/${habit.schedule.count} this week</span></div>`;
+    }
+
+    if (scheduleType !== SCHEDULE_TYPES.DAYS_OF_WEEK) {
+        return `<div class="habit-days"><span class="day-badge">${escapeHtml(habit.getScheduleString())}</span></div>`;
+    }
+
     const daysOfWeek = habit.getDaysOfWeek();
     
     if (!daysOfWeek || daysOfWeek.length === 0 || daysOfWeek.length === 7) {
@@ -157,54 +508,267 @@ function renderDaysOfWeek(habit) {
 }
 
 /**
- * Render a calendar view showing completion history
+ * Render the history section of a habit card: a month calendar with navigation back to
+ * the month the habit was created, and a heatmap of the last 52 weeks
+ * Past scheduled days in the month calendar can be clicked to toggle their completion (or slip)
  * @param {Habit} habit - Habit to render calendar for
- * @param {number} days - Number of days to show (default 30)
  * @returns {string} HTML string for calendar
  */
-function renderCalendar(habit, days = 30) {
+function renderCalendar(habit) {
+    const isExpanded = expandedCalendars.has(habit.id);
+
+    return `
+        <div class="habit-calendar">
+            <button class="calendar-toggle" type="button">
+                <span class="toggle-text">${isExpanded ? 'Hide History' : 'View History'}</span>
+                <span class="toggle-icon">${isExpanded ? '▲' : '▼'}</span>
+            </button>
+            <div class="calendar-panel ${isExpanded ? '' : 'hidden'}">
+                ${renderMonthCalendar(habit)}
+                ${renderYearHeatmap(habit)}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render one month of a habit's history as a calendar
+ * @param {Habit} habit - Habit to render the month for
+ * @returns {string} HTML string for the month calendar
+ */
+function renderMonthCalendar(habit) {
+    const month = getCalendarMonth(habit);
+    const { first, last } = getCalendarMonthBounds(habit);
+    const todayStr = toLocalDateString(new Date());
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+
     const calendar = [];
-    const today = new Date();
-    
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
-        const isCompleted = habit.isCompletedOn(dateStr);
-        const isToday = i === 0;
-        const dayOfWeek = date.getDay();
-        const isActive = habit.isActiveOnDay(date);
-        
+    for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+        const dateStr = toLocalDateString(new Date(month.getFullYear(), month.getMonth(), dayOfMonth));
+
         calendar.push({
             date: dateStr,
-            day: date.getDate(),
-            isCompleted,
-            isToday,
-            isActive
+            day: dayOfMonth,
+            status: habit.getDayStatus(dateStr),
+            value: habit.isQuantitative() ? habit.getValue(dateStr) : null,
+            isToday: dateStr === todayStr,
+            isEditable: !habit.isArchived() && habit.canEditOn(dateStr),
+            journal: habit.getJournalEntry(dateStr)
         });
     }
-    
+
+    const weekdayHtml = WEEKDAY_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('');
+    // Pad the first week so each day lines up under its weekday
+    const blankHtml = '<div class="calendar-blank"></div>'.repeat(month.getDay());
     const calendarHtml = calendar.map(day => `
-        <div class="calendar-day ${day.isCompleted ? 'completed' : ''} ${day.isToday ? 'today' : ''} ${!day.isActive ? 'inactive' : ''}" 
-             title="${day.date}${!day.isActive ? ' (not scheduled)' : ''}">
+        <div class="calendar-day ${getDayStatusClass(day.status)} ${day.isToday ? 'today' : ''} ${day.isEditable ? 'editable' : ''} ${day.journal ? 'has-journal' : ''}" 
+             data-date="${day.date}"
+             title="${escapeAttribute(getDayTitle(habit, day))}"
+             ${day.isEditable ? 'role="button" tabindex="0"' : ''}>
             <span class="day-number">${day.day}</span>
-            ${day.isCompleted ? '<span class="check-mark">✓</span>' : ''}
+            ${day.journal ? '<span class="journal-mark" aria-hidden="true"></span>' : ''}
+            ${day.status === DAY_STATUS.COMPLETED || day.status === DAY_STATUS.CLEAN ? '<span class="check-mark">✓</span>' : ''}
+            ${day.status === DAY_STATUS.SLIP ? '<span class="slip-mark">✗</span>' : ''}
+            ${day.status === DAY_STATUS.EXCUSED ? '<span class="excused-mark">–</span>' : ''}
         </div>
     `).join('');
-    
+
+    const monthLabel = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
     return `
-        <div class="habit-calendar">
-            <button class="calendar-toggle" type="button">
-                <span class="toggle-text">View History</span>
-                <span class="toggle-icon">▼</span>
-            </button>
-            <div class="calendar-grid hidden">
-                ${calendarHtml}
+        <div class="calendar-month-nav">
+            <button class="calendar-nav" type="button" data-direction="-1" aria-label="Previous month" ${month <= first ? 'disabled' : ''}>‹</button>
+            <span class="calendar-month-label">${monthLabel}</span>
+            <button class="calendar-nav" type="button" data-direction="1" aria-label="Next month" ${month >= last ? 'disabled' : ''}>›</button>
+        </div>
+        <div class="calendar-grid">
+            ${weekdayHtml}
+            ${blankHtml}
+            ${calendarHtml}
+        </div>
+    `;
+}
+
+/**
+ * Render a GitHub-style heatmap of the last 52 weeks (plus the current one)
+ * @param {Habit} habit - Habit to render the heatmap for
+ * @returns {string} HTML string for the heatmap and its legend
+ */
+function renderYearHeatmap(habit) {
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - 52 * 7);
+    const totalDays = 52 * 7 + today.getDay() + 1;
+
+    const days = [];
+    for (let i = 0; i < totalDays; i++) {
+        const dateStr = toLocalDateString(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+        const status = habit.getDayStatus(dateStr);
+        const day = {
+            date: dateStr,
+            status,
+            value: habit.isQuantitative() ? habit.getValue(dateStr) : null,
+            journal: habit.getJournalEntry(dateStr)
+        };
+
+        days.push({
+            date: dateStr,
+            className: getHeatmapClass(status),
+            title: getDayTitle(habit, day)
+        });
+    }
+
+    const legend = [
+        ['done', habit.isBreakHabit() ? 'Clean' : 'Done'],
+        ['partial', 'Partly done'],
+        ['missed', habit.isBreakHabit() ? 'Slipped' : 'Missed'],
+        ['excused', 'Skipped'],
+        ['unscheduled', 'Not scheduled']
+    ]
+        .filter(([className]) => className !== 'partial' || habit.isQuantitative())
+        .map(([className, label]) => `
+            <span class="heatmap-legend-item"><span class="heatmap-swatch ${className}"></span>${label}</span>
+        `).join('');
+
+    return `
+        <div class="year-heatmap">
+            <div class="year-heatmap-title">Last 52 weeks</div>
+            <div class="year-heatmap-scroll">
+                ${Charts.renderContributionGrid(days)}
             </div>
+            <div class="heatmap-legend">${legend}</div>
         </div>
     `;
 }
 
+/**
+ * Get the heatmap color class for a day status
+ * Slips share the "missed" color, and clean days the "done" color, so both habit types read the same way
+ * @param {string} status - One of DAY_STATUS
+ * @returns {string} CSS class name
+ */
+function getHeatmapClass(status) {
+    switch (status) {
+        case DAY_STATUS.COMPLETED:
+        case DAY_STATUS.CLEAN:
+            return 'done';
+        case DAY_STATUS.PARTIAL: return 'partial';
+        case DAY_STATUS.MISSED:
+        case DAY_STATUS.SLIP:
+            return 'missed';
+        case DAY_STATUS.EXCUSED: return 'excused';
+        case DAY_STATUS.PENDING: return 'pending';
+        case DAY_STATUS.UNSCHEDULED: return 'unscheduled';
+        default: return 'outside';
+    }
+}
+
+/**
+ * Get the month a habit's calendar is showing, kept within the months it can navigate to
+ * @param {Habit} habit - Habit to get the month for
+ * @returns {Date} First day of the month
+ */
+function getCalendarMonth(habit) {
+    const { first, last } = getCalendarMonthBounds(habit);
+    const month = calendarMonths.get(habit.id) || last;
+
+    if (month < first) return first;
+    if (month > last) return last;
+    return month;
+}
+
+/**
+ * Move a habit's calendar forward or back by a number of months
+ * @param {Habit} habit - Habit whose calendar to move
+ * @param {number} delta - Months to move (negative goes back)
+ */
+function shiftCalendarMonth(habit, delta) {
+    const month = getCalendarMonth(habit);
+    calendarMonths.set(habit.id, new Date(month.getFullYear(), month.getMonth() + delta, 1));
+}
+
+/**
+ * Get the first and last month a habit's calendar can show: from the month it was created to the current month
+ * @param {Habit} habit - Habit to get the bounds for
+ * @returns {{first: Date, last: Date}} First day of each month
+ */
+function getCalendarMonthBounds(habit) {
+    const today = new Date();
+    const [year, month] = habit.createdDate.split('T')[0].split('-').map(Number);
+    const first = new Date(year, month - 1, 1);
+    const last = new Date(today.getFullYear(), today.getMonth(), 1);
+
+    // Habits with a future created date still show the current month
+    return { first: first < last ? first : last, last };
+}
+
+/**
+ * Get the CSS class for a calendar day status
+ * @param {string} status - One of DAY_STATUS
+ * @returns {string} CSS class name
+ */
+function getDayStatusClass(status) {
+    switch (status) {
+        case DAY_STATUS.COMPLETED: return 'completed';
+        case DAY_STATUS.PARTIAL: return 'partial';
+        case DAY_STATUS.MISSED: return 'missed';
+        case DAY_STATUS.EXCUSED: return 'excused';
+        case DAY_STATUS.SLIP: return 'slipped';
+        case DAY_STATUS.CLEAN: return 'clean';
+        case DAY_STATUS.UNSCHEDULED:
+        case DAY_STATUS.BEFORE_START:
+        case DAY_STATUS.FUTURE:
+        case DAY_STATUS.ARCHIVED:
+            return 'inactive';
+        default: return '';
+    }
+}
+
+/**
+ * Build the tooltip for a calendar day
+ * @param {Habit} habit - Habit the calendar belongs to
+ * @param {Object} day - Calendar day data
+ * @returns {string} Tooltip text
+ */
+function getDayTitle(habit, day) {
+    let title = day.date;
+
+    if (day.value !== null) {
+        title += ` (${day.value} / ${habit.target})`;
+    }
+
+    switch (day.status) {
+        case DAY_STATUS.SLIP: title += ' (slipped)'; break;
+        case DAY_STATUS.EXCUSED: title += Habit.isVacationDay(day.date) ? ' (vacation)' : ' (skipped)'; break;
+        case DAY_STATUS.UNSCHEDULED: title += ' (not scheduled)'; break;
+        case DAY_STATUS.BEFORE_START: title += ' (before habit started)'; break;
+        case DAY_STATUS.ARCHIVED: title += ' (archived)'; break;
+    }
+
+    if (day.journal) {
+        const ratings = formatJournalRatings(day.journal);
+        title += `\n📝 ${[day.journal.note, ratings].filter(Boolean).join(' — ')}`;
+    }
+
+    if (day.isEditable) {
+        title += habit.isBreakHabit() ? ' • Click to toggle slip' : ' • Click to cycle: done → skipped → not done';
+        title += ' • Right-click or press N for a journal note';
+    }
+
+    return title;
+}
+
+/**
+ * Describe the ratings of a journal entry
+ * @param {Object} entry - Journal entry ({ note, mood, effort })
+ * @returns {string} e.g. "😄 Great • Effort: Hard", or '' if the entry has no ratings
+ */
+function formatJournalRatings(entry) {
+    return [
+        entry.mood ? MOOD_LABELS[entry.mood] : '',
+        entry.effort ? `Effort: ${EFFORT_LABELS[entry.effort]}` : ''
+    ].filter(Boolean).join(' • ');
+}
+
 /**
  * Show empty state message
  * @param {HTMLElement} container - Container to show empty state in
@@ -246,6 +810,9 @@ export function hideModal(modalId) {
         const form = modal.querySelector('form');
         if (form) {
             form.reset();
+            updateScheduleOptions(form);
+            updateHabitTypeOptions(form);
+            renderReminderFields(form);
         }
     }
 }
@@ -340,15 +907,20 @@ export function getSelectedDays(container) {
  * @param {Object} callbacks - Callback functions
  */
 export function updateHabitCard(habitId, habit, callbacks = {}) {
-    const existingCard = document.querySelector(`[data-habit-id="${habitId}"]`);
+    const existingCards = document.querySelectorAll(`.habit-card[data-habit-id="${habitId}"], .habit-detail[data-habit-id="${habitId}"]`);
     
-    if (!existingCard) {
+    if (existingCards.length === 0) {
         console.warn(`Habit card with ID ${habitId} not found`);
         return;
     }
 
-    const newCard = renderHabitCard(habit, callbacks);
-    existingCard.replaceWith(newCard);
+    // The detail page is updated the same way as a card
+    existingCards.forEach(existingCard => {
+        const newCard = existingCard.classList.contains('habit-detail')
+            ? buildHabitDetail(habit, callbacks)
+            : renderHabitCard(habit, callbacks);
+        existingCard.replaceWith(newCard);
+    });
 }
 
 /**
@@ -356,10 +928,10 @@ export function updateHabitCard(habitId, habit, callbacks = {}) {
  * @param {string} habitId - ID of habit to remove
  */
 export function removeHabitCard(habitId) {
-    const card = document.querySelector(`[data-habit-id="${habitId}"]`);
+    const cards = document.querySelectorAll(`.habit-card[data-habit-id="${habitId}"]`);
     
-    if (card) {
-        card.remove();
+    if (cards.length > 0) {
+        cards.forEach(card => card.remove());
         
         // Check if we should show empty state
         const container = document.getElementById('habits-list');
@@ -373,8 +945,9 @@ export function removeHabitCard(habitId) {
  * Show a notification/toast message
  * @param {string} message - Message to display
  * @param {string} type - Type of message ('success', 'error', 'info')
+ * @param {Object|null} action - Optional button on the toast ({ label, onClick }), e.g. Undo
  */
-export function showNotification(message, type = 'info') {
+export function showNotification(message, type = 'info', action = null) {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
@@ -392,13 +965,32 @@ export function showNotification(message, type = 'info') {
         animation: slideIn 0.3s ease;
     `;
 
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
+
+    // Only one undo-able toast at a time, so its button always refers to the latest change
+    document.querySelectorAll('.notification').forEach(existing => {
+        if (action && existing.querySelector('.notification-action')) {
+            existing.remove();
+        }
+    });
+
     document.body.appendChild(notification);
 
-    // Remove after 3 seconds
+    // Remove after 3 seconds (longer when there's a button to reach)
     setTimeout(() => {
         notification.style.animation = 'slideOut 0.3s ease';
         setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 /**
@@ -412,6 +1004,15 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for use inside a quoted HTML attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 /**
  * Display notification indicator on habit card
  * @param {HTMLElement} card - Habit card element
@@ -443,40 +1044,982 @@ export function displayNotificationIndicator(card, notificationTime) {
 }
 
 /**
- * Filter and display only habits active today
- * @param {Array<Habit>} habits - All habits
+ * Render the list of global vacation ranges in the settings modal
+ * @param {Array<{start: string, end: string}>} vacations - Vacation ranges
  * @param {HTMLElement} container - Container to render into
- * @param {Object} callbacks - Callback functions
+ * @param {Function} onRemove - Called with the index of the range to remove
  */
-export function renderTodayHabits(habits, container, callbacks = {}) {
+export function renderVacationList(vacations, container, onRemove) {
     if (!container) return;
 
-    const today = new Date();
-    const todayHabits = habits.filter(habit => habit.isActiveOnDay(today));
+    container.innerHTML = '';
+
+    if (!vacations || vacations.length === 0) {
+        container.innerHTML = '<p class="settings-help">No vacations planned</p>';
+        return;
+    }
 
-    renderHabitList(todayHabits, container, callbacks);
+    vacations.forEach((vacation, index) => {
+        const item = document.createElement('div');
+        item.className = 'vacation-item';
+        item.innerHTML = `
+            <span>🏖️ ${escapeHtml(vacation.start)}${vacation.end !== vacation.start ? ` → ${escapeHtml(vacation.end)}` : ''}</span>
+            <button class="vacation-remove" type="button" title="Remove vacation">×</button>
+        `;
+        item.querySelector('.vacation-remove').addEventListener('click', () => onRemove(index));
+        container.appendChild(item);
+    });
 }
 
 /**
- * Populate edit form with habit data
- * @param {Habit} habit - Habit to edit
+ * Render the import preview: one row per habit with the action to take, plus habits that failed validation
+ * @param {Object} preview - Preview from Storage.previewImport
+ * @param {HTMLElement} container - Container to render into
+ * @param {Function} onActionChange - Called with (entry index, action) when a choice changes
  */
-export function populateEditForm(habit) {
-    const form = document.getElementById('edit-habit-form');
-    if (!form) return;
+export function renderImportPreview(preview, container, onActionChange) {
+    if (!container) return;
 
-    const nameInput = form.querySelector('#edit-habit-name');
-    const timeInput = form.querySelector('#edit-notification-time');
-    const notesInput = form.querySelector('#edit-habit-notes');
-    const tagsInput = form.querySelector('#edit-habit-tags');
-    const dayCheckboxes = form.querySelectorAll('input[name="edit-day"]');
+    container.innerHTML = '';
 
-    if (nameInput) nameInput.value = habit.name;
-    if (timeInput) timeInput.value = habit.notificationTime || '';
-    if (notesInput) notesInput.value = habit.notes || '';
-    if (tagsInput) tagsInput.value = habit.tags ? habit.tags.join(', ') : '';
-    
-    // Set day checkboxes
+    const newCount = preview.entries.filter(e => !e.existing).length;
+    const conflictCount = preview.entries.length - newCount;
+    const summary = document.getElementById('import-summary');
+    if (summary) {
+        summary.textContent = `${newCount} new, ${conflictCount} already in your list` +
+            (preview.invalid.length > 0 ? `, ${preview.invalid.length} can't be imported` : '') +
+            (preview.exportDate ? ` • exported ${new Date(preview.exportDate).toLocaleDateString()}` : '');
+    }
+
+    const actionLabels = {
+        [IMPORT_ACTIONS.ADD]: 'Add',
+        [IMPORT_ACTIONS.MERGE]: 'Merge history',
+        [IMPORT_ACTIONS.REPLACE]: 'Replace',
+        [IMPORT_ACTIONS.SKIP]: 'Skip'
+    };
+
+    preview.entries.forEach((entry, index) => {
+        const { habit, existing } = entry;
+        const choices = existing
+            ? [IMPORT_ACTIONS.MERGE, IMPORT_ACTIONS.REPLACE, IMPORT_ACTIONS.SKIP]
+            : [IMPORT_ACTIONS.ADD, IMPORT_ACTIONS.SKIP];
+
+        let status = 'New habit';
+        if (existing) {
+            const unchanged = JSON.stringify(existing.toJSON()) === JSON.stringify(habit.toJSON());
+            status = unchanged
+                ? 'Already up to date'
+                : `Already exists • ${existing.completions.length} completions here, ${habit.completions.length} in file`;
+        }
+
+        const item = document.createElement('div');
+        item.className = 'import-item';
+        item.innerHTML = `
+            <div>
+                <strong>${escapeHtml(habit.name)}</strong>
+                <span class="import-status">${escapeHtml(status)}</span>
+            </div>
+            <select aria-label="Import action for ${escapeHtml(habit.name)}">
+                ${choices.map(action => `
+                    <option value="${action}" ${action === entry.action ? 'selected' : ''}>${actionLabels[action]}</option>
+                `).join('')}
+            </select>
+        `;
+        const select = item.querySelector('select');
+        select.addEventListener('change', () => onActionChange(index, select.value));
+        container.appendChild(item);
+    });
+
+    preview.invalid.forEach(({ name, errors }) => {
+        const item = document.createElement('div');
+        item.className = 'import-item invalid';
+        item.innerHTML = `
+            <strong>${escapeHtml(String(name))}</strong>
+            <ul class="import-errors">
+                ${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+            </ul>
+        `;
+        container.appendChild(item);
+    });
+
+    if (preview.warnings && preview.warnings.length > 0) {
+        const item = document.createElement('div');
+        item.className = 'import-item invalid';
+        item.innerHTML = `
+            <strong>Not imported</strong>
+            <ul class="import-errors">
+                ${preview.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+            </ul>
+        `;
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Display the habits active today in sections by time of day, each with its progress,
+ * under an overall "x of y done today" summary
+ * Routines are shown as checklists, in the section of their first habit
+ * @param {Array<Habit>} habits - Habits to choose from, in display order
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} callbacks - Callback functions (routine steps are checked off with onComplete)
+ * @param {Array<Object>} routines - Routines to show as checklists (see routine.js)
+ * @param {string|null} emptyMessage - Shown when nothing is scheduled (see renderHabitList)
+ */
+export function renderTodayHabits(habits, container, callbacks = {}, routines = [], emptyMessage = null) {
+    if (!container) return;
+
+    const today = new Date();
+    const todayHabits = habits.filter(habit => habit.isActiveOnDay(today) && !habit.isArchived());
+
+    if (todayHabits.length === 0) {
+        renderHabitList(todayHabits, container, callbacks, emptyMessage);
+        return;
+    }
+
+    container.innerHTML = '';
+
+    const emptyState = document.getElementById('empty-state');
+    if (emptyState) {
+        emptyState.classList.add('hidden');
+    }
+
+    const sections = new Map(Object.values(TIME_SLOTS).map(slot => [slot, { checklists: [], cards: [] }]));
+
+    // Habits in a routine are checked off in its checklist instead of getting a card
+    const inRoutine = new Set();
+    routines
+        .map(routine => ({ routine, ...Routine.getRoutineChecklist(routine, todayHabits, today) }))
+        .filter(checklist => checklist.habits.length > 0)
+        .forEach(checklist => {
+            sections.get(checklist.habits[0].getTimeSlot()).checklists.push(checklist);
+            checklist.habits.forEach(habit => inRoutine.add(habit.id));
+        });
+    todayHabits
+        .filter(habit => !inRoutine.has(habit.id))
+        .forEach(habit => sections.get(habit.getTimeSlot()).cards.push(habit));
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(renderProgressSummary(Stats.getDayProgress(todayHabits, today), 'today-summary', 'today'));
+
+    sections.forEach(({ checklists, cards }, slot) => {
+        if (checklists.length === 0 && cards.length === 0) return;
+
+        const slotHabits = [...checklists.flatMap(checklist => checklist.habits), ...cards];
+        const section = document.createElement('section');
+        section.className = 'time-slot-section';
+        section.dataset.slot = slot;
+        section.innerHTML = `
+            <div class="time-slot-header">
+                <h3>${TIME_SLOT_LABELS[slot]}</h3>
+            </div>
+            <div class="time-slot-habits habits-list"></div>
+        `;
+        section.querySelector('.time-slot-header').appendChild(
+            renderProgressSummary(Stats.getDayProgress(slotHabits, today), 'time-slot-summary'));
+
+        const list = section.querySelector('.time-slot-habits');
+        checklists.forEach(checklist => list.appendChild(renderRoutineChecklist(checklist, callbacks)));
+        cards.forEach(habit => list.appendChild(renderHabitCard(habit, callbacks)));
+
+        fragment.appendChild(section);
+    });
+
+    container.appendChild(fragment);
+}
+
+/**
+ * Render "x of y done" with a progress bar
+ * @param {{due: number, done: number, percent: number}} progress - Progress from Stats.getDayProgress
+ * @param {string} className - Class of the summary element
+ * @param {string} suffix - Words after "done", e.g. "today"
+ * @returns {HTMLElement} Summary element (empty if nothing is due)
+ */
+function renderProgressSummary({ due, done, percent }, className, suffix = '') {
+    const summary = document.createElement('div');
+    summary.className = `progress-summary ${className}`;
+    summary.classList.toggle('all-done', due > 0 && done === due);
+
+    if (due > 0) {
+        summary.innerHTML = `
+            <span class="progress-summary-text">${done === due ? '✓ ' : ''}${done} of ${due} done${suffix ? ` ${suffix}` : ''}</span>
+            <div class="quantity-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${due}" aria-valuenow="${done}">
+                <div class="quantity-progress-bar" style="width: ${percent}%"></div>
+            </div>
+        `;
+    }
+
+    return summary;
+}
+
+/**
+ * Render a routine as a checklist of its habits for today
+ * @param {Object} checklist - Routine and its checklist ({ routine, habits, done, next }, see Routine.getRoutineChecklist)
+ * @param {Object} callbacks - Callback functions (onComplete)
+ * @returns {HTMLElement} Routine section element
+ */
+function renderRoutineChecklist({ routine, habits, done, next }, callbacks) {
+    const today = toLocalDateString(new Date());
+
+    const section = document.createElement('section');
+    section.className = 'routine-group';
+    section.classList.toggle('routine-done', done === habits.length);
+    section.dataset.routineId = routine.id;
+
+    section.innerHTML = `
+        <div class="routine-header">
+            <h3 class="routine-name">🔗 ${escapeHtml(routine.name)}</h3>
+        </div>
+        <ol class="routine-steps">
+            ${habits.map(habit => {
+                const isDone = habit.isCompletedOn(today);
+                return `
+            <li class="routine-step ${isDone ? 'done' : ''} ${habit === next ? 'next' : ''}" data-habit-id="${habit.id}">
+                <input type="checkbox" class="routine-check" ${isDone ? 'checked' : ''} aria-label="${escapeAttribute(`${habit.name} done`)}">
+                <a class="habit-link routine-step-name" href="${getPath(ROUTES.HABIT, habit.id)}">${escapeHtml(habit.name)}</a>
+                ${habit === next ? '<span class="routine-next">Up next</span>' : ''}
+                ${habit.isQuantitative() ? `<span class="routine-step-detail">${habit.getValue(today)} / ${escapeHtml(habit.getTargetString())}</span>` : ''}
+                ${renderReminderBadge(habit, 'routine-step-detail')}
+            </li>`;
+            }).join('')}
+        </ol>
+    `;
+
+    section.querySelector('.routine-header').appendChild(renderProgressSummary({
+        due: habits.length,
+        done,
+        percent: Math.round((done / habits.length) * 100)
+    }, 'routine-summary'));
+
+    section.querySelectorAll('.routine-step').forEach(step => {
+        const checkbox = step.querySelector('.routine-check');
+        checkbox.addEventListener('change', () => {
+            if (callbacks.onComplete) {
+                callbacks.onComplete(step.dataset.habitId, checkbox.checked);
+            }
+        });
+    });
+
+    return section;
+}
+
+/**
+ * Render archived habits so they can be browsed and restored
+ * @param {Array<Habit>} habits - All habits
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} callbacks - Callback functions (onArchive restores, onDelete deletes)
+ */
+export function renderArchivedHabits(habits, container, callbacks = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const emptyState = document.getElementById('empty-state');
+    if (emptyState) {
+        emptyState.classList.add('hidden');
+    }
+
+    const archived = habits
+        .filter(habit => habit.isArchived())
+        .sort((a, b) => b.archivedDate.localeCompare(a.archivedDate));
+
+    if (archived.length === 0) {
+        container.innerHTML = '<p class="archived-empty">No archived habits. Archive a habit with 🗄 to hide it without losing its history.</p>';
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    archived.forEach(habit => {
+        fragment.appendChild(renderHabitCard(habit, callbacks));
+    });
+    container.appendChild(fragment);
+}
+
+/**
+ * Update the habit list toolbar (view switcher, search, tag filter and sort order)
+ * @param {Object|null} options - Current list options, or null to hide the toolbar (views other than the list)
+ * @param {Array<string>} tags - Tags to offer in the tag filter
+ */
+export function renderListToolbar(options, tags) {
+    const toolbar = document.getElementById('list-toolbar');
+    if (!toolbar) return;
+
+    toolbar.classList.toggle('hidden', !options);
+    if (!options) return;
+
+    toolbar.querySelectorAll('#view-switcher button').forEach(button => {
+        const isActive = button.dataset.view === options.view;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+
+    // Only touch the search box when it's out of date, so typing isn't interrupted
+    const search = document.getElementById('habit-search');
+    if (search && search.value !== options.search) {
+        search.value = options.search;
+    }
+
+    const tagFilter = document.getElementById('tag-filter');
+    if (tagFilter) {
+        // Built with Option so tags with quotes can't break the markup
+        tagFilter.replaceChildren(new Option('All tags', ''), ...tags.map(tag => new Option(tag, tag)));
+        tagFilter.value = options.tag;
+        tagFilter.disabled = tags.length === 0;
+    }
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.value = options.sort;
+    }
+
+    const groupByTag = document.getElementById('group-by-tag');
+    if (groupByTag) {
+        groupByTag.checked = options.groupByTag;
+    }
+}
+
+/**
+ * Render the habit list split into collapsible sections by tag, each with a summary of its habits
+ * @param {Array<{tag: string, habits: Array<Habit>, summary: Object}>} groups - Groups to show ('' is untagged);
+ *        summary comes from Stats.getGroupSummary
+ * @param {HTMLElement} container - Container element to render into
+ * @param {Object} callbacks - Callbacks for the habit cards, plus onToggleGroup(tag, collapsed)
+ * @param {Array<string>} collapsedTags - Tags whose sections are folded
+ */
+export function renderGroupedHabitList(groups, container, callbacks = {}, collapsedTags = []) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const emptyState = document.getElementById('empty-state');
+    if (emptyState) {
+        emptyState.classList.add('hidden');
+    }
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach(({ tag, habits, summary }) => {
+        const isCollapsed = collapsedTags.includes(tag);
+        const section = document.createElement('section');
+        section.className = 'tag-group';
+        section.classList.toggle('collapsed', isCollapsed);
+
+        const details = [
+            `${summary.habits} habit${summary.habits !== 1 ? 's' : ''}`,
+            summary.dueToday > 0 ? `${summary.doneToday}/${summary.dueToday} done today` : null,
+            summary.last30Rate !== null ? `${summary.last30Rate}% last 30 days` : null
+        ].filter(Boolean).join(' • ');
+
+        section.innerHTML = `
+            <button type="button" class="tag-group-header" aria-expanded="${!isCollapsed}">
+                <span class="toggle-icon">${isCollapsed ? '▶' : '▼'}</span>
+                ${tag ? renderTag(tag) : '<span class="tag untagged">Untagged</span>'}
+                <span class="tag-group-summary">${details}</span>
+            </button>
+            <div class="tag-group-habits habits-list"></div>
+        `;
+
+        const list = section.querySelector('.tag-group-habits');
+        if (!isCollapsed) {
+            habits.forEach(habit => list.appendChild(renderHabitCard(habit, callbacks)));
+        }
+
+        section.querySelector('.tag-group-header').addEventListener('click', () => {
+            if (callbacks.onToggleGroup) {
+                callbacks.onToggleGroup(tag, !isCollapsed);
+            }
+        });
+
+        fragment.appendChild(section);
+    });
+    container.appendChild(fragment);
+}
+
+/**
+ * Set the colors used for tags
+ * @param {Object} colors - Tag -> "#rrggbb"
+ */
+export function setTagColors(colors) {
+    tagColors = colors || {};
+}
+
+/**
+ * Render a habit's tags
+ * @param {Array<string>} tags - Tags to show
+ * @returns {string} HTML string for the tags (empty if there are none)
+ */
+function renderTags(tags) {
+    if (!tags || tags.length === 0) {
+        return '';
+    }
+    return `<div class="habit-tags">${tags.map(renderTag).join('')}</div>`;
+}
+
+/**
+ * Render a single tag, in its color if it has one
+ * @param {string} tag - Tag to show
+ * @returns {string} HTML string for the tag
+ */
+function renderTag(tag) {
+    const color = tagColors[tag];
+    if (!color || !/^#[0-9a-f]{6}$/i.test(color)) {
+        return `<span class="tag">${escapeHtml(tag)}</span>`;
+    }
+    return `<span class="tag" style="background: ${color}; color: ${getReadableTextColor(color)}">${escapeHtml(tag)}</span>`;
+}
+
+/**
+ * Pick black or white text, whichever is easier to read on a background color
+ * @param {string} hex - Background color ("#rrggbb")
+ * @returns {string} "#000" or "#fff"
+ */
+function getReadableTextColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    // Perceived brightness (ITU-R BT.601)
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000' : '#fff';
+}
+
+/**
+ * Render the tag manager in the settings modal
+ * Renaming a tag to one that already exists merges the two
+ * @param {Array<{tag: string, count: number, color: string|null}>} tags - Tags in use
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} handlers - onRename(oldTag, newTag), onDelete(tag), onColor(tag, color)
+ */
+export function renderTagManager(tags, container, handlers) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (tags.length === 0) {
+        container.innerHTML = '<p class="settings-help">No tags yet. Add tags to a habit to group and filter by them.</p>';
+        return;
+    }
+
+    tags.forEach(({ tag, count, color }) => {
+        const item = document.createElement('div');
+        item.className = 'tag-manager-item';
+        item.innerHTML = `
+            <input type="color" class="tag-color" title="Tag color" aria-label="Color">
+            <input type="text" class="tag-name" aria-label="Tag name" maxlength="50">
+            <span class="tag-count">${count} habit${count !== 1 ? 's' : ''}</span>
+            <select class="tag-merge" aria-label="Merge into another tag" ${tags.length < 2 ? 'disabled' : ''}>
+                <option value="">Merge into…</option>
+            </select>
+            <button class="tag-delete" type="button" title="Remove tag from all habits">×</button>
+        `;
+
+        // Set values through the DOM, so tags with quotes can't break the markup
+        const colorInput = item.querySelector('.tag-color');
+        const nameInput = item.querySelector('.tag-name');
+        const mergeSelect = item.querySelector('.tag-merge');
+        colorInput.value = color || '#c8e6c9';
+        nameInput.value = tag;
+        tags.filter(other => other.tag !== tag).forEach(other => mergeSelect.add(new Option(other.tag, other.tag)));
+
+        colorInput.addEventListener('change', () => handlers.onColor(tag, colorInput.value));
+
+        nameInput.addEventListener('change', () => {
+            const newTag = nameInput.value.trim();
+            if (!newTag || newTag === tag) {
+                nameInput.value = tag;
+                return;
+            }
+            handlers.onRename(tag, newTag);
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                nameInput.blur();
+            }
+        });
+
+        mergeSelect.addEventListener('change', () => {
+            if (mergeSelect.value) {
+                handlers.onRename(tag, mergeSelect.value);
+            }
+        });
+
+        item.querySelector('.tag-delete').addEventListener('click', () => handlers.onDelete(tag));
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Render the routine manager in the settings modal
+ * @param {Array<Object>} routines - Routines (see routine.js)
+ * @param {Array<Habit>} habits - All habits
+ * @param {HTMLElement} container - Container element to render into
+ * @param {Object} handlers - onRename(routineId, name), onDelete(routineId), onToggleChain(routineId, enabled),
+ *        onAddHabit(routineId, habitId), onRemoveHabit(routineId, habitId), onMove(routineId, habitId, offset)
+ */
+export function renderRoutineManager(routines, habits, container, handlers) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (routines.length === 0) {
+        container.innerHTML = '<p class="settings-help">No routines yet. Name one above, then add habits to it in the order you do them.</p>';
+        return;
+    }
+
+    const byId = new Map(habits.map(habit => [habit.id, habit]));
+
+    routines.forEach(routine => {
+        // Deleted habits are skipped; they come back if the delete is undone
+        const steps = routine.habitIds.map(id => byId.get(id)).filter(Boolean);
+        const candidates = habits.filter(habit =>
+            !habit.isArchived() && !habit.isBreakHabit() && !routine.habitIds.includes(habit.id));
+
+        const item = document.createElement('div');
+        item.className = 'routine-item';
+        item.innerHTML = `
+            <div class="routine-item-header">
+                <input type="text" class="routine-name-input" aria-label="Routine name" maxlength="100">
+                <label class="routine-chain" title="When a habit is completed, remind me about the next one right away">
+                    <input type="checkbox" class="routine-chain-input" ${routine.chainReminders ? 'checked' : ''}>
+                    Chain reminders
+                </label>
+                <button class="routine-delete" type="button" title="Delete routine (the habits are kept)">×</button>
+            </div>
+            <ol class="routine-habit-list">
+                ${steps.map((habit, i) => `
+                <li class="routine-habit" data-habit-id="${habit.id}">
+                    <span class="routine-habit-name">${escapeHtml(habit.name)}</span>
+                    ${habit.isArchived() ? '<span class="tag-count">archived</span>' : ''}
+                    ${habit.isBreakHabit() ? '<span class="tag-count">break habit, not shown</span>' : ''}
+                    <button type="button" class="routine-move" data-offset="-1" aria-label="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="routine-move" data-offset="1" aria-label="Move down" ${i === steps.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="routine-remove" title="Remove from routine">×</button>
+                </li>`).join('')}
+            </ol>
+            <select class="routine-add-habit" aria-label="Add a habit to the routine" ${candidates.length === 0 ? 'disabled' : ''}>
+                <option value="">Add habit…</option>
+            </select>
+        `;
+
+        // Set values through the DOM, so names with quotes can't break the markup
+        const nameInput = item.querySelector('.routine-name-input');
+        const addSelect = item.querySelector('.routine-add-habit');
+        nameInput.value = routine.name;
+        candidates.forEach(habit => addSelect.add(new Option(habit.name, habit.id)));
+
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (!name || name === routine.name) {
+                nameInput.value = routine.name;
+                return;
+            }
+            handlers.onRename(routine.id, name);
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                nameInput.blur();
+            }
+        });
+
+        item.querySelector('.routine-chain-input').addEventListener('change', (e) => {
+            handlers.onToggleChain(routine.id, e.target.checked);
+        });
+        item.querySelector('.routine-delete').addEventListener('click', () => handlers.onDelete(routine.id));
+
+        addSelect.addEventListener('change', () => {
+            if (addSelect.value) {
+                handlers.onAddHabit(routine.id, addSelect.value);
+            }
+        });
+
+        item.querySelectorAll('.routine-habit').forEach(step => {
+            step.querySelectorAll('.routine-move').forEach(button => {
+                button.addEventListener('click', () => {
+                    handlers.onMove(routine.id, step.dataset.habitId, parseInt(button.dataset.offset, 10));
+                });
+            });
+            step.querySelector('.routine-remove').addEventListener('click', () => {
+                handlers.onRemoveHabit(routine.id, step.dataset.habitId);
+            });
+        });
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Fill the tag suggestion list for a comma-separated tags input
+ * Suggestions complete the tag being typed and leave out tags already in the input
+ * @param {HTMLInputElement} input - Tags input (linked to the datalist through its list attribute)
+ * @param {Array<string>} tags - Tags in use
+ */
+export function updateTagSuggestions(input, tags) {
+    const datalist = input.list;
+    if (!datalist) return;
+
+    const value = input.value;
+    const lastComma = value.lastIndexOf(',');
+    const prefix = lastComma >= 0 ? `${value.slice(0, lastComma + 1).trimEnd()} ` : '';
+    const typed = value.slice(lastComma + 1).trim().toLowerCase();
+    const entered = value.slice(0, Math.max(lastComma, 0)).split(',').map(tag => tag.trim().toLowerCase());
+
+    const suggestions = tags.filter(tag =>
+        !entered.includes(tag.toLowerCase()) &&
+        tag.toLowerCase().includes(typed) &&
+        tag.toLowerCase() !== typed
+    );
+
+    datalist.replaceChildren(...suggestions.map(tag => new Option(tag, `${prefix}${tag}`)));
+}
+
+/**
+ * Render the detail page of a single habit: notes, statistics, full history and completion log
+ * @param {Habit} habit - Habit to show
+ * @param {HTMLElement} container - Container element to render into
+ * @param {Object} callbacks - Object with callback functions (onBack, onToggleDate, onEditJournal, onEdit, onArchive, onDelete)
+ */
+export function renderHabitDetail(habit, container, callbacks = {}) {
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const emptyState = document.getElementById('empty-state');
+    if (emptyState) {
+        emptyState.classList.add('hidden');
+    }
+
+    container.appendChild(buildHabitDetail(habit, callbacks));
+}
+
+/**
+ * Build the detail page element for a habit
+ * @param {Habit} habit - Habit to show
+ * @param {Object} callbacks - Object with callback functions
+ * @returns {HTMLElement} Detail page element
+ */
+function buildHabitDetail(habit, callbacks) {
+    const detail = document.createElement('div');
+    detail.className = habit.isBreakHabit() ? 'habit-detail break-habit' : 'habit-detail';
+    detail.classList.toggle('archived', habit.isArchived());
+    detail.dataset.habitId = habit.id;
+
+    const stats = habit.getStatistics();
+    const streakUnit = habit.getStreakUnit();
+    const log = getCompletionLog(habit);
+    const todayStr = toLocalDateString(new Date());
+    const canJournal = date => Boolean(callbacks.onEditJournal) && !habit.isArchived() && habit.canEditOn(date);
+
+    const statTiles = habit.isBreakHabit() ? [
+        [`${stats.currentStreak}`, `Day${stats.currentStreak !== 1 ? 's' : ''} clean`],
+        [`${stats.longestCleanRun}`, 'Longest clean run (days)'],
+        [`${stats.cleanRate}%`, 'Clean days'],
+        [`${stats.totalSlips}`, 'Slips logged'],
+        [`${stats.slipsPerWeek}`, 'Slips per week']
+    ] : [
+        [`${stats.currentStreak}`, `Current streak (${streakUnit}s)`],
+        [`${stats.longestStreak}`, `Longest streak (${streakUnit}s)`],
+        [`${stats.completionRate}%`, 'Completion rate'],
+        [`${stats.totalCompletions}`, 'Total completions'],
+        ...(habit.isQuantitative() ? [[`${stats.totalValue}`, `Total logged${habit.unit ? ` (${escapeHtml(habit.unit)})` : ''}`]] : [])
+    ];
+
+    detail.innerHTML = `
+        <div class="detail-toolbar">
+            <button type="button" class="btn btn-secondary btn-sm detail-back">← Back</button>
+            ${renderHeaderActions(habit)}
+        </div>
+
+        <section class="stats-panel detail-header">
+            <h2 class="detail-name">${escapeHtml(habit.name)}</h2>
+            ${habit.isArchived() ? `<div class="archived-label">Archived on ${habit.archivedDate}</div>` : ''}
+            ${renderTags(habit.tags)}
+            ${renderDaysOfWeek(habit)}
+            <div class="habit-info">
+                <span title="Created">📅 Since ${habit.createdDate.split('T')[0]}</span>
+                ${habit.isQuantitative() ? `<span class="habit-target" title="Daily target">🎯 ${escapeHtml(habit.getTargetString())}</span>` : ''}
+                ${renderReminderBadge(habit)}
+            </div>
+        </section>
+
+        <section class="stats-panel">
+            <h3>Notes</h3>
+            ${habit.notes
+                ? `<div class="habit-notes">${escapeHtml(habit.notes)}</div>`
+                : '<p class="detail-empty">No notes yet. Use ✎ to add some.</p>'}
+        </section>
+
+        <div class="stats-totals">
+            ${statTiles.map(([value, label]) => `
+                <div class="stats-total">
+                    <span class="stats-total-value">${value}</span>
+                    <span class="stats-total-label">${label}</span>
+                </div>
+            `).join('')}
+        </div>
+
+        <section class="stats-panel">
+            <h3>History</h3>
+            ${renderMonthCalendar(habit)}
+            ${renderYearHeatmap(habit)}
+        </section>
+
+        <section class="stats-panel">
+            <div class="detail-panel-header">
+                <h3>Completion Log</h3>
+                ${canJournal(todayStr) ? `
+                <button type="button" class="btn btn-secondary btn-sm journal-edit-btn" data-date="${todayStr}">
+                    📝 ${habit.getJournalEntry(todayStr) ? 'Edit' : 'Write'} today's note
+                </button>` : ''}
+            </div>
+            ${log.length === 0 ? '<p class="detail-empty">Nothing logged yet.</p>' : `
+            <table class="completion-log">
+                <thead>
+                    <tr><th>Date</th><th>Status</th>${habit.isQuantitative() ? `<th>Amount</th>` : ''}<th>Journal</th></tr>
+                </thead>
+                <tbody>
+                    ${log.map(entry => `
+                    <tr class="${getDayStatusClass(entry.status)}">
+                        <td>${entry.date}</td>
+                        <td>${entry.label}</td>
+                        ${habit.isQuantitative() ? `<td>${entry.value !== null ? `${entry.value} / ${habit.target}` : ''}</td>` : ''}
+                        <td class="journal-cell">
+                            ${entry.journal && entry.journal.note ? `<div class="journal-note">${escapeHtml(entry.journal.note)}</div>` : ''}
+                            ${entry.journal && (entry.journal.mood || entry.journal.effort) ? `<div class="journal-ratings">${formatJournalRatings(entry.journal)}</div>` : ''}
+                            ${canJournal(entry.date) ? `
+                            <button type="button" class="journal-edit-btn" data-date="${entry.date}" title="${entry.journal ? 'Edit' : 'Add'} journal note" aria-label="${entry.journal ? 'Edit' : 'Add'} journal note for ${entry.date}">✎</button>` : ''}
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
+        </section>
+    `;
+
+    const backBtn = detail.querySelector('.detail-back');
+    if (backBtn && callbacks.onBack) {
+        backBtn.addEventListener('click', () => callbacks.onBack());
+    }
+
+    attachHeaderActions(detail, habit, callbacks);
+    attachCalendarListeners(detail, habit, callbacks, () => buildHabitDetail(habit, callbacks));
+
+    return detail;
+}
+
+/**
+ * List every day something was logged for a habit (completion, amount, slip, skip or journal entry)
+ * @param {Habit} habit - Habit to list
+ * @returns {Array<{date: string, status: string, label: string, value: number|null, journal: Object|null}>} Newest first
+ */
+function getCompletionLog(habit) {
+    const dates = new Set([
+        ...habit.completions,
+        ...Object.keys(habit.values),
+        ...habit.slips,
+        ...habit.excusedDates,
+        ...habit.getJournalDates()
+    ]);
+
+    const labels = {
+        [DAY_STATUS.COMPLETED]: 'Done',
+        [DAY_STATUS.PARTIAL]: 'Partly done',
+        [DAY_STATUS.EXCUSED]: 'Skipped',
+        [DAY_STATUS.SLIP]: 'Slipped',
+        [DAY_STATUS.CLEAN]: 'Clean',
+        // Days that only have a journal entry
+        [DAY_STATUS.MISSED]: 'Missed',
+        [DAY_STATUS.PENDING]: 'Not done yet',
+        [DAY_STATUS.UNSCHEDULED]: 'Not scheduled'
+    };
+
+    return [...dates].sort().reverse().map(date => {
+        const status = habit.getDayStatus(date);
+        return {
+            date,
+            status,
+            label: labels[status] || (habit.isCompletedOn(date) ? 'Done' : 'Logged'),
+            value: habit.isQuantitative() ? habit.getValue(date) : null,
+            journal: habit.getJournalEntry(date)
+        };
+    });
+}
+
+/**
+ * Render the statistics dashboard for all habits (archived ones included)
+ * @param {Array<Habit>} habits - All habits
+ * @param {HTMLElement} container - Container to render into
+ */
+export function renderStatsDashboard(habits, container) {
+    if (!container) return;
+
+    const emptyState = document.getElementById('empty-state');
+    if (emptyState) {
+        emptyState.classList.add('hidden');
+    }
+
+    if (habits.length === 0) {
+        container.innerHTML = '<p class="archived-empty">Add a habit and check in for a few days to see statistics here.</p>';
+        return;
+    }
+
+    const totals = Stats.getTotals(habits);
+    const trend = Stats.getCompletionTrend(habits, statsPeriod, 12);
+    const heatmap = Stats.getWeekdayHeatmap(habits);
+    const ranking = Stats.getHabitRanking(habits);
+    const tagSummaries = Stats.getTagSummaries(habits.filter(habit => !habit.isArchived()));
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Best and worst three, without showing a habit in both lists
+    const best = ranking.slice(0, 3);
+    const worst = ranking.slice(Math.max(best.length, ranking.length - 3)).reverse();
+
+    const renderRankItem = ({ habit, stats }) => `
+        <li class="rank-item">
+            <span class="rank-name">${escapeHtml(habit.name)}${habit.isArchived() ? ' <span class="rank-archived">(archived)</span>' : ''}</span>
+            <span class="rank-bar"><span class="rank-bar-fill" style="width: ${stats.completionRate}%"></span></span>
+            <span class="rank-value">${stats.completionRate}%${habit.isBreakHabit() ? ' clean' : ''}</span>
+        </li>
+    `;
+
+    container.innerHTML = `
+        <div class="stats-dashboard">
+            <div class="stats-totals">
+                <div class="stats-total">
+                    <span class="stats-total-value">${totals.active}</span>
+                    <span class="stats-total-label">Active habits${totals.archived > 0 ? ` (+${totals.archived} archived)` : ''}</span>
+                </div>
+                <div class="stats-total">
+                    <span class="stats-total-value">${totals.completions}</span>
+                    <span class="stats-total-label">Total completions</span>
+                </div>
+                <div class="stats-total">
+                    <span class="stats-total-value">${totals.last30Rate === null ? '–' : `${totals.last30Rate}%`}</span>
+                    <span class="stats-total-label">Success rate, last 30 days</span>
+                </div>
+                <div class="stats-total">
+                    <span class="stats-total-value">${totals.bestStreak}</span>
+                    <span class="stats-total-label">Longest streak</span>
+                </div>
+                ${totals.slips > 0 ? `
+                <div class="stats-total">
+                    <span class="stats-total-value">${totals.slips}</span>
+                    <span class="stats-total-label">Slips logged</span>
+                </div>` : ''}
+            </div>
+
+            <section class="stats-panel">
+                <div class="stats-panel-header">
+                    <h3>Completion Trend</h3>
+                    <div class="stats-period-toggle" role="group" aria-label="Group by">
+                        <button type="button" data-period="${Stats.TREND_PERIODS.WEEK}" class="${statsPeriod === Stats.TREND_PERIODS.WEEK ? 'active' : ''}">Weekly</button>
+                        <button type="button" data-period="${Stats.TREND_PERIODS.MONTH}" class="${statsPeriod === Stats.TREND_PERIODS.MONTH ? 'active' : ''}">Monthly</button>
+                    </div>
+                </div>
+                ${Charts.renderLineChart(trend.map(point => ({
+                    label: point.label,
+                    value: point.rate,
+                    title: `${point.start} → ${point.end}: ${point.rate === null ? 'nothing scheduled' : `${point.rate}% (${point.successes} of ${point.due})`}`
+                })))}
+            </section>
+
+            <section class="stats-panel">
+                <h3>Success by Weekday</h3>
+                <div class="stats-scroll">
+                    ${Charts.renderHeatmap(heatmap.map(row => ({
+                        label: row.habit ? row.habit.name : 'All habits',
+                        values: row.rates
+                    })), dayNames)}
+                </div>
+            </section>
+
+            ${ranking.length > 0 ? `
+            <section class="stats-panel stats-ranking">
+                <div>
+                    <h3>Going Well</h3>
+                    <ol class="rank-list">${best.map(renderRankItem).join('')}</ol>
+                </div>
+                ${worst.length > 0 ? `
+                <div>
+                    <h3>Needs Attention</h3>
+                    <ol class="rank-list">${worst.map(renderRankItem).join('')}</ol>
+                </div>` : ''}
+            </section>` : ''}
+
+            ${tagSummaries.length > 0 ? `
+            <section class="stats-panel">
+                <h3>By Tag</h3>
+                <ol class="rank-list">
+                    ${tagSummaries.map(summary => `
+                    <li class="rank-item">
+                        <span class="rank-name">${renderTag(summary.tag)} <span class="rank-archived">${summary.habits} habit${summary.habits !== 1 ? 's' : ''}</span></span>
+                        <span class="rank-bar"><span class="rank-bar-fill" style="width: ${summary.last30Rate || 0}%"></span></span>
+                        <span class="rank-value">${summary.last30Rate === null ? '–' : `${summary.last30Rate}%`}</span>
+                    </li>`).join('')}
+                </ol>
+                <p class="settings-help">Success rate over the last 30 days</p>
+            </section>` : ''}
+
+            <p id="stats-storage" class="settings-help"></p>
+        </div>
+    `;
+
+    container.querySelectorAll('.stats-period-toggle button').forEach(button => {
+        button.addEventListener('click', () => {
+            statsPeriod = button.dataset.period;
+            renderStatsDashboard(habits, container);
+        });
+    });
+}
+
+/**
+ * Show storage usage under the statistics dashboard
+ * @param {Object} storageStats - Result of Storage.getStorageStats
+ */
+export function renderStorageStats(storageStats) {
+    const element = document.getElementById('stats-storage');
+    if (!element || !storageStats) return;
+
+    const kilobytes = Math.max(1, Math.round(storageStats.storageSize / 1024));
+    element.textContent = `${storageStats.habitCount} habits stored • ${kilobytes} KB used • data version ${storageStats.version}`;
+}
+
+/**
+ * Populate edit form with habit data
+ * @param {Habit} habit - Habit to edit
+ */
+export function populateEditForm(habit) {
+    const form = document.getElementById('edit-habit-form');
+    if (!form) return;
+
+    const nameInput = form.querySelector('#edit-habit-name');
+    const timeSlotSelect = form.querySelector('#edit-habit-time-slot');
+    const notesInput = form.querySelector('#edit-habit-notes');
+    const tagsInput = form.querySelector('#edit-habit-tags');
+    const targetInput = form.querySelector('#edit-habit-target');
+    const unitInput = form.querySelector('#edit-habit-unit');
+    const typeSelect = form.querySelector('#edit-habit-type');
+    const scheduleSelect = form.querySelector('#edit-habit-schedule-type');
+    const timesPerWeekInput = form.querySelector('#edit-habit-times-per-week');
+    const intervalInput = form.querySelector('#edit-habit-interval');
+    const intervalStartInput = form.querySelector('#edit-habit-interval-start');
+    const monthDaysInput = form.querySelector('#edit-habit-month-days');
+    const dayCheckboxes = form.querySelectorAll('input[name="edit-day"]');
+
+    if (nameInput) nameInput.value = habit.name;
+    if (typeSelect) typeSelect.value = habit.type;
+    if (timeSlotSelect) timeSlotSelect.value = habit.timeSlot || '';
+    if (notesInput) notesInput.value = habit.notes || '';
+    if (tagsInput) tagsInput.value = habit.tags ? habit.tags.join(', ') : '';
+    if (targetInput) targetInput.value = habit.isQuantitative() ? habit.target : '';
+    if (unitInput) unitInput.value = habit.unit || '';
+
+    // Set schedule fields
+    const schedule = habit.schedule || {};
+    if (scheduleSelect) scheduleSelect.value = habit.getScheduleType();
+    if (timesPerWeekInput) timesPerWeekInput.value = schedule.count || 3;
+    if (intervalInput) intervalInput.value = schedule.every || 2;
+    if (intervalStartInput) intervalStartInput.value = schedule.startDate || habit.createdDate;
+    if (monthDaysInput) monthDaysInput.value = schedule.days ? schedule.days.join(', ') : '';
+    updateScheduleOptions(form);
+    updateHabitTypeOptions(form);
+    renderReminderFields(form, habit.getReminders(), habit.getNagging());
+    
+    // Set day checkboxes
     dayCheckboxes.forEach(checkbox => {
         const day = parseInt(checkbox.value);
         checkbox.checked = !habit.daysOfWeek || habit.daysOfWeek.includes(day);
@@ -486,6 +2029,53 @@ export function populateEditForm(habit) {
     form.dataset.habitId = habit.id;
 }
 
+/**
+ * Fill the journal form with a habit's entry for a day
+ * @param {Habit} habit - Habit the entry belongs to
+ * @param {string} date - ISO date string of the day
+ */
+export function populateJournalForm(habit, date) {
+    const form = document.getElementById('journal-form');
+    if (!form) return;
+
+    const title = document.getElementById('journal-title');
+    const noteInput = form.querySelector('#journal-note');
+    const moodSelect = form.querySelector('#journal-mood');
+    const effortSelect = form.querySelector('#journal-effort');
+    const clearBtn = form.querySelector('#journal-clear-btn');
+    const entry = habit.getJournalEntry(date);
+
+    if (title) {
+        const [year, month, day] = date.split('-').map(Number);
+        const dateLabel = new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+        title.textContent = `${habit.name} — ${dateLabel}`;
+    }
+    if (noteInput) noteInput.value = entry ? entry.note : '';
+    if (moodSelect) moodSelect.value = entry && entry.mood ? String(entry.mood) : '';
+    if (effortSelect) effortSelect.value = entry && entry.effort ? String(entry.effort) : '';
+    if (clearBtn) clearBtn.classList.toggle('hidden', !entry);
+
+    // Remember which habit and day the form is for
+    form.dataset.habitId = habit.id;
+    form.dataset.date = date;
+}
+
+/**
+ * Read the journal form
+ * @param {HTMLFormElement} form - The journal form
+ * @returns {{note: string, mood: number|null, effort: number|null}} Entry as entered
+ */
+export function getJournalFormData(form) {
+    const mood = parseInt(form.querySelector('#journal-mood').value, 10);
+    const effort = parseInt(form.querySelector('#journal-effort').value, 10);
+
+    return {
+        note: form.querySelector('#journal-note').value.trim(),
+        mood: Number.isInteger(mood) ? mood : null,
+        effort: Number.isInteger(effort) ? effort : null
+    };
+}
+
 /**
  * Create and return form data from the add or edit habit form
  * @param {HTMLFormElement} form - The form element
@@ -499,21 +2089,26 @@ export function getHabitFormData(form) {
     
     // Get field names based on form type
     const nameField = isEditForm ? 'edit-habit-name' : 'habit-name';
-    const timeField = isEditForm ? 'edit-notification-time' : 'notification-time';
     const notesField = isEditForm ? 'edit-habit-notes' : 'habit-notes';
     const tagsField = isEditForm ? 'edit-habit-tags' : 'habit-tags';
+    const targetField = isEditForm ? 'edit-habit-target' : 'habit-target';
+    const unitField = isEditForm ? 'edit-habit-unit' : 'habit-unit';
+    const prefix = isEditForm ? 'edit-' : '';
     const dayField = isEditForm ? 'edit-day' : 'day';
     
     const name = formData.get(nameField);
-    const notificationTime = formData.get(timeField) || null;
+    const type = formData.get(`${prefix}habit-type`) || HABIT_TYPES.BUILD;
+    const timeSlot = formData.get(`${prefix}habit-time-slot`) || null;
     const notes = formData.get(notesField) || '';
     const tagsString = formData.get(tagsField) || '';
+    const targetString = formData.get(targetField) || '';
+    const unit = formData.get(unitField) || '';
     
-    // Parse tags from comma-separated string
-    const tags = tagsString
+    // Parse tags from comma-separated string (the same tag typed twice counts once)
+    const tags = [...new Set(tagsString
         .split(',')
         .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
+        .filter(tag => tag.length > 0))];
     
     // Get selected days
     const dayCheckboxes = form.querySelectorAll(`input[name="${dayField}"]:checked`);
@@ -523,11 +2118,193 @@ export function getHabitFormData(form) {
         daysOfWeek = Array.from(dayCheckboxes).map(cb => parseInt(cb.value));
     }
 
+    const schedule = getScheduleFormData(formData, prefix);
+    if (schedule) {
+        daysOfWeek = null; // Weekday checkboxes only apply to the days-of-week schedule
+    }
+
+    // An empty target means a simple done/not-done habit
+    const target = targetString.trim() === '' ? null : parseFloat(targetString);
+
+    // Reminder rows: a time and its days each; rows without a time are left out
+    const reminderDays = formData.getAll(`${prefix}reminder-days`);
+    const reminders = formData.getAll(`${prefix}reminder-time`)
+        .map((time, i) => ({
+            time,
+            days: reminderDays[i] ? reminderDays[i].split(',').map(Number) : null
+        }))
+        .filter(reminder => reminder.time);
+
+    const nagging = formData.get(`${prefix}habit-nag`) ? {
+        interval: parseInt(formData.get(`${prefix}habit-nag-interval`), 10),
+        until: formData.get(`${prefix}habit-nag-until`) || null
+    } : null;
+
     return {
         name: name ? name.trim() : '',
-        notificationTime,
+        reminders,
+        nagging,
+        timeSlot,
         daysOfWeek,
         notes: notes.trim(),
-        tags
+        tags,
+        target,
+        unit: unit.trim(),
+        schedule,
+        type
     };
 }
+
+/**
+ * Read the schedule fields of the add or edit habit form
+ * @param {FormData} formData - Data of the form
+ * @param {string} prefix - Field name prefix ('edit-' for the edit form)
+ * @returns {Object|null} Schedule object, or null for a days-of-week schedule
+ */
+function getScheduleFormData(formData, prefix) {
+    const type = formData.get(`${prefix}habit-schedule-type`) || SCHEDULE_TYPES.DAYS_OF_WEEK;
+
+    switch (type) {
+        case SCHEDULE_TYPES.TIMES_PER_WEEK:
+            return {
+                type,
+                count: parseInt(formData.get(`${prefix}habit-times-per-week`))
+            };
+
+        case SCHEDULE_TYPES.INTERVAL:
+            return {
+                type,
+                every: parseInt(formData.get(`${prefix}habit-interval`)),
+                startDate: formData.get(`${prefix}habit-interval-start`) || null
+            };
+
+        case SCHEDULE_TYPES.DAYS_OF_MONTH:
+            return {
+                type,
+                days: (formData.get(`${prefix}habit-month-days`) || '')
+                    .split(',')
+                    .map(day => day.trim())
+                    .filter(day => day.length > 0)
+                    .map(day => Number(day))
+            };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Show only the schedule fields matching the selected schedule type
+ * @param {HTMLFormElement} form - The add or edit habit form
+ */
+export function updateScheduleOptions(form) {
+    if (!form) return;
+
+    const select = form.querySelector('.schedule-type-select');
+    if (!select) return;
+
+    form.querySelectorAll('.schedule-options').forEach(group => {
+        group.classList.toggle('hidden', group.dataset.scheduleType !== select.value);
+    });
+}
+
+/**
+ * Fill the reminder fields of the add or edit habit form
+ * @param {HTMLFormElement} form - The add or edit habit form
+ * @param {Array<{time: string, days: Array<number>|null}>} reminders - Reminder times; without any, one empty row is shown
+ * @param {{interval: number, until: string|null}|null} nagging - Follow-up reminder settings
+ */
+export function renderReminderFields(form, reminders = [], nagging = null) {
+    const list = form ? form.querySelector('.reminder-list') : null;
+    if (!list) return;
+
+    list.innerHTML = '';
+    (reminders.length > 0 ? reminders : [{ time: '', days: null }]).forEach(reminder => addReminderRow(form, reminder));
+
+    const prefix = form.id === 'edit-habit-form' ? 'edit-' : '';
+    const nagToggle = form.querySelector(`#${prefix}habit-nag`);
+    const intervalSelect = form.querySelector(`#${prefix}habit-nag-interval`);
+    const untilInput = form.querySelector(`#${prefix}habit-nag-until`);
+
+    if (nagToggle) nagToggle.checked = Boolean(nagging);
+    if (intervalSelect && nagging) {
+        // Keep intervals from imports that aren't one of the choices
+        if (![...intervalSelect.options].some(option => option.value === String(nagging.interval))) {
+            intervalSelect.add(new Option(`Every ${nagging.interval} minutes`, String(nagging.interval)));
+        }
+        intervalSelect.value = String(nagging.interval);
+    }
+    if (untilInput) untilInput.value = nagging && nagging.until ? nagging.until : '';
+    updateNagOptions(form);
+}
+
+/**
+ * Add a reminder row (time and days) to the add or edit habit form
+ * @param {HTMLFormElement} form - The add or edit habit form
+ * @param {{time: string, days: Array<number>|null}} reminder - Reminder to fill in (empty by default)
+ * @returns {HTMLElement|null} The new row
+ */
+export function addReminderRow(form, reminder = { time: '', days: null }) {
+    const list = form ? form.querySelector('.reminder-list') : null;
+    if (!list) return null;
+
+    const prefix = form.id === 'edit-habit-form' ? 'edit-' : '';
+    const daysValue = reminder.days ? reminder.days.join(',') : '';
+    // Day combinations from imports get a choice of their own
+    const choices = REMINDER_DAY_OPTIONS.some(option => option.value === daysValue)
+        ? REMINDER_DAY_OPTIONS
+        : [...REMINDER_DAY_OPTIONS, { value: daysValue, label: describeReminderDays(reminder.days) }];
+
+    const row = document.createElement('div');
+    row.className = 'reminder-row';
+    row.innerHTML = `
+        <input type="time" name="${prefix}reminder-time" aria-label="Reminder time">
+        <select name="${prefix}reminder-days" aria-label="Days for this reminder time">
+            ${choices.map(option => `<option value="${option.value}">${escapeHtml(option.label)}</option>`).join('')}
+        </select>
+        <button type="button" class="reminder-remove" title="Remove this time" aria-label="Remove this time">×</button>
+    `;
+    row.querySelector('input').value = reminder.time || '';
+    row.querySelector('select').value = daysValue;
+
+    row.querySelector('.reminder-remove').addEventListener('click', () => {
+        row.remove();
+        // Always leave a time field to fill in
+        if (!list.querySelector('.reminder-row')) {
+            addReminderRow(form);
+        }
+    });
+
+    list.appendChild(row);
+    return row;
+}
+
+/**
+ * Show the follow-up settings only when the habit reminds again until done
+ * @param {HTMLFormElement} form - The add or edit habit form
+ */
+export function updateNagOptions(form) {
+    if (!form) return;
+
+    const toggle = form.querySelector('.nag-toggle');
+    if (!toggle) return;
+
+    form.querySelectorAll('.nag-options').forEach(group => {
+        group.classList.toggle('hidden', !toggle.checked);
+    });
+}
+
+/**
+ * Hide the target and schedule fields when the form describes a habit to break
+ * @param {HTMLFormElement} form - The add or edit habit form
+ */
+export function updateHabitTypeOptions(form) {
+    if (!form) return;
+
+    const select = form.querySelector('.habit-type-select');
+    if (!select) return;
+
+    form.querySelectorAll('.build-only').forEach(group => {
+        group.classList.toggle('hidden', select.value === HABIT_TYPES.BREAK);
+    });
+}
@@ -1,7 +1,7 @@
 // Service Worker for Habit Tracker PWA
-// Provides offline functionality and caching
+// Provides offline functionality and caching, and delivers habit reminders while the app is closed
 
-const CACHE_NAME = 'habit-tracker-v1';
+const CACHE_NAME = 'habit-tracker-v6';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
@@ -11,11 +11,51 @@ const ASSETS_TO_CACHE = [
     './js/storage.js',
     './js/ui.js',
     './js/notifications.js',
+    './js/csv.js',
+    './js/stats.js',
+    './js/charts.js',
+    './js/router.js',
+    './js/filters.js',
+    './js/routine.js',
     './manifest.json',
     './icons/icon-192.png',
     './icons/icon-512.png'
 ];
 
+// The app's database (see js/storage.js); the app saves upcoming reminders in its meta store
+const DB_NAME = 'habitTracker';
+const HABITS_STORE = 'habits';
+const META_STORE = 'meta';
+
+// Periodic background sync tag the app registers (see js/notifications.js)
+const REMINDER_SYNC_TAG = 'habit-reminders';
+
+// Reminders missed (e.g. the device was asleep) are still shown up to the app's reminderGraceMinutes
+// setting late, and dropped after that instead of shown out of context
+const DEFAULT_REMINDER_GRACE_MINUTES = 60;
+
+// Reminders found this late still count as on time (see js/notifications.js)
+const ON_TIME_WINDOW = 2 * 60 * 1000;
+
+// Delivered reminders are remembered this long in the ledger shared with the app (see js/storage.js)
+const REMINDER_LEDGER_KEEP = 2 * 24 * 60 * 60 * 1000;
+
+// Snooze buttons on reminders and the minutes each one snoozes for (see js/notifications.js)
+const SNOOZE_ACTIONS = {
+    'snooze-10': 10,
+    'snooze-60': 60
+};
+
+// Habits named in a summary notification before it says "and N more" (see js/notifications.js)
+const SUMMARY_NAME_LIMIT = 3;
+
+// Local push server (tools/push-server.js), told about snoozes and schedule changes when subscribed
+const PUSH_SERVER_URL = './api/push';
+
+// Reminder work runs one task at a time, so two wake-ups can't show the same reminder twice
+// and a snooze can't be lost to a delivery writing the reminder state at the same moment
+let reminderQueue = Promise.resolve();
+
 // Install event - cache assets
 self.addEventListener('install', (event) => {
     console.log('[Service Worker] Installing...');
@@ -59,6 +99,11 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
+    // Only app files are cached; calls to the local push server always go to the network
+    if (event.request.method !== 'GET' || new URL(event.request.url).pathname.includes('/api/')) {
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((response) => {
@@ -102,26 +147,83 @@ self.addEventListener('message', (event) => {
         console.log('[Service Worker] Received SKIP_WAITING message');
         self.skipWaiting();
     }
+
+    // The app saved a new reminder schedule
+    if (event.data && event.data.type === 'REMINDERS_UPDATED') {
+        event.waitUntil(supportsNotificationTriggers()
+            ? queueReminderTask(scheduleTriggeredReminders)
+            : queueDelivery().then(() => queueReminderTask(sendScheduleToPushServer)));
+    }
+
+    // An open page asks every minute, so reminders are on time while the app is open
+    if (event.data && event.data.type === 'CHECK_REMINDERS') {
+        event.waitUntil(queueDelivery());
+    }
+});
+
+// Periodic background sync event - deliver reminders that came due while the app was closed
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        console.log('[Service Worker] Periodic sync:', event.tag);
+        event.waitUntil(queueDelivery());
+    }
 });
 
-// Notification click event - open the app when notification is clicked
+// Push event - the local push server (tools/push-server.js) sends an empty message at each reminder time
+self.addEventListener('push', (event) => {
+    console.log('[Service Worker] Push received');
+    event.waitUntil(
+        queueDelivery().then((shown) => {
+            // Every push must show something, e.g. the push server's test message with nothing due
+            if (shown === 0) {
+                return self.registration.showNotification('Habit Tracker', {
+                    body: 'Time to check in on your habits',
+                    icon: './icons/icon-192.png',
+                    badge: './icons/icon-192.png',
+                    tag: 'habit-reminder'
+                });
+            }
+        })
+    );
+});
+
+// Notification click event - open the app (at the habit, for reminders) when notification is clicked
 self.addEventListener('notificationclick', (event) => {
-    console.log('[Service Worker] Notification clicked:', event.notification.tag);
+    console.log('[Service Worker] Notification clicked:', event.notification.tag, event.action);
     event.notification.close();
+
+    const data = event.notification.data || {};
+
+    // Reminder buttons do their job without opening the app
+    if (event.action === 'complete' && data.habitId) {
+        event.waitUntil(queueReminderTask(() => completeHabit(data.habitId, data.date)));
+        return;
+    }
+    if (SNOOZE_ACTIONS[event.action] && data.habitId) {
+        event.waitUntil(queueReminderTask(() => snoozeReminder(event.notification, SNOOZE_ACTIONS[event.action])));
+        return;
+    }
+    if (event.action === 'dismiss') {
+        return;
+    }
+
+    const url = new URL(data.url || './', self.registration.scope).href;
     
     // Open or focus the app
     event.waitUntil(
         clients.matchAll({ type: 'window', includeUncontrolled: true })
             .then((clientList) => {
-                // If app is already open, focus it
+                // If app is already open, focus it and show the habit
                 for (const client of clientList) {
-                    if (client.url === '/' && 'focus' in client) {
-                        return client.focus();
+                    if (client.url.startsWith(self.registration.scope) && 'focus' in client) {
+                        return client.focus()
+                            .then((focused) => (focused && url !== focused.url ? focused.navigate(url) : focused))
+                            .catch((error) => console.warn('[Service Worker] Could not show the habit:', error));
                     }
                 }
                 // Otherwise, open a new window
                 if (clients.openWindow) {
-                    return clients.openWindow('/');
+                    return clients.openWindow(url);
                 }
             })
     );
@@ -132,3 +234,507 @@ self.addEventListener('sync', (event) => {
     console.log('[Service Worker] Background sync:', event.tag);
     // Could sync data here in the future
 });
+
+/**
+ * Run a reminder task after the ones still running
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} The task's result
+ */
+function queueReminderTask(task) {
+    const run = reminderQueue.then(task);
+    reminderQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Queue a reminder delivery behind any reminder work that is still running
+ * @returns {Promise<number>} Number of reminders shown
+ */
+function queueDelivery() {
+    return queueReminderTask(deliverDueReminders);
+}
+
+/**
+ * Show the saved reminders that came due within the catch-up window and haven't been shown yet
+ * @returns {Promise<number>} Number of reminders shown
+ */
+async function deliverDueReminders() {
+    // Triggered notifications are shown by the browser itself
+    if (supportsNotificationTriggers()) {
+        return 0;
+    }
+
+    const db = await openDatabase();
+    if (!db) {
+        return 0;
+    }
+
+    try {
+        const { state, reminders } = await readReminders(db);
+        const settings = (await readMeta(db, 'settings')) || {};
+        const graceMinutes = Number.isFinite(settings.reminderGraceMinutes)
+            ? settings.reminderGraceMinutes
+            : DEFAULT_REMINDER_GRACE_MINUTES;
+        const now = Date.now();
+        const since = now - Math.max(graceMinutes * 60 * 1000, ON_TIME_WINDOW);
+
+        const due = reminders
+            .filter((reminder) => reminder.time > since && reminder.time <= now)
+            .sort((a, b) => a.time - b.time);
+        const claimed = await claimReminders(db, due);
+
+        // Only the latest of a habit's reminders; the earlier ones would just be replaced by it
+        // (the app's daily summaries have no habit, and are all kept)
+        const latest = new Map(claimed.map((reminder) => [reminder.habitId || reminder.id, reminder]));
+        for (const reminder of latest.values()) {
+            console.log('[Service Worker] Showing reminder:', reminder.title);
+            const options = { ...reminder.options, timestamp: reminder.time };
+            if (now - reminder.time > ON_TIME_WINDOW) {
+                const time = new Date(reminder.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+                options.body = `Missed at ${time}. ${options.body}`;
+            }
+            await self.registration.showNotification(reminder.title, options);
+        }
+
+        // Snoozes are only kept until they're due
+        const snoozes = (state.snoozes || []).filter((snooze) => snooze.time > now);
+        await writeMeta(db, 'reminderState', { snoozes });
+        return latest.size;
+    } catch (error) {
+        console.error('[Service Worker] Reminder delivery failed:', error);
+        return 0;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Record due reminders as delivered in the ledger shared with the app, leaving out the ones that
+ * were delivered already (by this worker or an open tab, see claimReminders in js/storage.js)
+ * The read and the write share one readwrite transaction, so no one else can claim in between
+ * @param {IDBDatabase} db - Open database
+ * @param {Array<Object>} reminders - Due reminders
+ * @returns {Promise<Array<Object>>} The reminders to show
+ */
+function claimReminders(db, reminders) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(META_STORE, 'readwrite');
+        const store = transaction.objectStore(META_STORE);
+        const request = store.get('reminderLedger');
+        let claimed = [];
+
+        request.onsuccess = () => {
+            const now = Date.now();
+            const delivered = Object.fromEntries(
+                Object.entries((request.result && request.result.delivered) || {})
+                    .filter(([, time]) => time > now - REMINDER_LEDGER_KEEP)
+            );
+
+            // A snooze keeps its ID, so it only counts as delivered at the same time
+            claimed = reminders.filter((reminder) => delivered[reminder.id] !== reminder.time);
+            claimed.forEach((reminder) => {
+                delivered[reminder.id] = reminder.time;
+            });
+
+            store.put({ delivered }, 'reminderLedger');
+        };
+
+        transaction.oncomplete = () => resolve(claimed);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Hand every upcoming reminder to the browser with a timestamp trigger (Notification Triggers)
+ * Triggers from an older schedule are cancelled first, so completed habits don't remind anymore
+ * @returns {Promise<void>}
+ */
+async function scheduleTriggeredReminders() {
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+
+    try {
+        const schedule = await readMeta(db, 'reminders');
+        const now = Date.now();
+
+        // Snoozed reminders aren't part of the schedule, so they stay
+        await cancelTriggeredReminders((data) => !data.snoozed);
+
+        const upcoming = (schedule ? schedule.reminders : []).filter((reminder) => reminder.time > now);
+        for (const reminder of upcoming) {
+            await showTriggeredReminder(reminder);
+        }
+        console.log(`[Service Worker] Scheduled ${upcoming.length} reminders with notification triggers`);
+    } catch (error) {
+        console.error('[Service Worker] Scheduling reminders failed:', error);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Hand a reminder to the browser to show at its time with a notification trigger
+ * @param {Object} reminder - Reminder from the schedule
+ * @returns {Promise<void>}
+ */
+function showTriggeredReminder(reminder) {
+    return self.registration.showNotification(reminder.title, {
+        ...reminder.options,
+        // One tag per reminder, so tomorrow's doesn't replace today's before it is shown
+        tag: reminder.id,
+        showTrigger: new TimestampTrigger(reminder.time)
+    });
+}
+
+/**
+ * Cancel reminders handed to the browser with a trigger that haven't been shown yet
+ * @param {Function} filter - Called with each notification's data; cancel when it returns true
+ * @returns {Promise<void>}
+ */
+async function cancelTriggeredReminders(filter) {
+    const now = Date.now();
+    const pending = await self.registration.getNotifications({ includeTriggered: true });
+    pending
+        .filter((notification) => notification.data && notification.data.reminderId && notification.timestamp > now)
+        .filter((notification) => filter(notification.data))
+        .forEach((notification) => notification.close());
+}
+
+/**
+ * Mark a habit completed, from a reminder's Complete button
+ * Later reminders for the habit that day are dropped, the day's summaries no longer name it,
+ * and open app windows are told to reload it
+ * @param {string} habitId - ID of the habit
+ * @param {string} reminderDate - Local day (YYYY-MM-DD) the reminder is for; today if it doesn't say
+ *                                (a reminder held back by quiet hours arrives the next morning)
+ * @returns {Promise<void>}
+ */
+async function completeHabit(habitId, reminderDate) {
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+
+    // Local days, like the habit cards and calendar use
+    const date = reminderDate || toLocalDateString(new Date());
+    const [year, month, day] = date.split('-').map(Number);
+    const endOfDay = new Date(year, month - 1, day + 1);
+    // Reminders for that day, including ones held back past its end by quiet hours
+    const isForDay = (habitData, time) => (habitData && habitData.date ? habitData.date === date : time < endOfDay.getTime());
+    let summaries = [];
+
+    try {
+        if (!(await markRecordCompleted(db, habitId, date))) {
+            console.log('[Service Worker] Habit to complete is gone or archived:', habitId);
+            return;
+        }
+        console.log('[Service Worker] Completed habit from notification:', habitId);
+
+        const isDoneReminder = (reminder) => reminder.habitId === habitId && isForDay(reminder.options && reminder.options.data, reminder.time);
+        const { schedule, state } = await readReminders(db);
+        if (schedule) {
+            const reminders = removeFromSummaries(schedule.reminders.filter((reminder) => !isDoneReminder(reminder)), habitId, date);
+            await writeMeta(db, 'reminders', { ...schedule, reminders });
+            summaries = reminders.filter((reminder) => reminder.summary && reminder.options.data.date === date);
+        }
+        await writeMeta(db, 'reminderState', { ...state, snoozes: (state.snoozes || []).filter((snooze) => !isDoneReminder(snooze)) });
+    } catch (error) {
+        console.error('[Service Worker] Completing habit failed:', error);
+        return;
+    } finally {
+        db.close();
+    }
+
+    if (supportsNotificationTriggers()) {
+        await cancelTriggeredReminders((data) => data.habitId === habitId && isForDay(data, data.reminderTime));
+        // The day's summaries are shown again with the habit taken out
+        await cancelTriggeredReminders((data) => !data.habitId && data.date === date);
+        const now = Date.now();
+        for (const summary of summaries.filter((reminder) => reminder.time > now)) {
+            await showTriggeredReminder(summary);
+        }
+    } else {
+        await sendScheduleToPushServer();
+    }
+
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage({ type: 'HABIT_COMPLETED', habitId, date }));
+}
+
+/**
+ * Take a completed habit out of the morning plan and evening digest of its day
+ * Summaries left with nothing to do are dropped, like the app leaves them out
+ * @param {Array<Object>} reminders - Saved reminders
+ * @param {string} habitId - ID of the completed habit
+ * @param {string} date - ISO date string (YYYY-MM-DD) it was completed for
+ * @returns {Array<Object>} The reminders, with the summaries updated
+ */
+function removeFromSummaries(reminders, habitId, date) {
+    return reminders
+        .map((reminder) => {
+            if (!reminder.summary || reminder.options.data.date !== date) {
+                return reminder;
+            }
+            const habits = reminder.summary.habits.filter((habit) => habit.id !== habitId);
+            if (habits.length === 0) {
+                return null;
+            }
+            const { title, body } = getSummaryContent(reminder.summary.kind, habits);
+            return {
+                ...reminder,
+                title,
+                summary: { ...reminder.summary, habits },
+                options: { ...reminder.options, body }
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Get the title and body of a summary notification (same as getSummaryContent in js/notifications.js)
+ * @param {string} kind - 'morning-plan' or 'evening-digest'
+ * @param {Array<Object>} habits - Habits still to do that day: { id, name }
+ * @returns {Object} { title, body }
+ */
+function getSummaryContent(kind, habits) {
+    const count = `${habits.length} habit${habits.length !== 1 ? 's' : ''}`;
+    const names = habits.slice(0, SUMMARY_NAME_LIMIT).map((habit) => habit.name);
+    const more = habits.length - names.length;
+    const list = more > 0
+        ? `${names.join(', ')} and ${more} more`
+        : names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    return kind === 'morning-plan'
+        ? { title: `Today's plan: ${count}`, body: `${list}. Have a good day!` }
+        : { title: `${count} still pending today`, body: `${list}. There's still time!` };
+}
+
+/**
+ * Add a completion to a stored habit record
+ * Follows Habit#markCompleted: completing a habit with a daily target counts as reaching it
+ * @param {IDBDatabase} db - Open database
+ * @param {string} habitId - ID of the habit
+ * @param {string} date - ISO date string (YYYY-MM-DD)
+ * @returns {Promise<boolean>} True if the habit was found and completed
+ */
+function markRecordCompleted(db, habitId, date) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HABITS_STORE, 'readwrite');
+        const store = transaction.objectStore(HABITS_STORE);
+        let completed = false;
+
+        const request = store.get(habitId);
+        request.onsuccess = () => {
+            const record = request.result;
+            if (!record || record.archivedDate || record.type === 'break') {
+                return;
+            }
+
+            const values = record.values || {};
+            if (typeof record.target === 'number' && record.target > 0 && (values[date] || 0) < record.target) {
+                record.values = { ...values, [date]: record.target };
+            }
+            if (!record.completions.includes(date)) {
+                record.completions = [...record.completions, date].sort();
+            }
+
+            store.put(record);
+            completed = true;
+        };
+
+        transaction.oncomplete = () => resolve(completed);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Show a reminder again after a while, from a reminder's Snooze button
+ * A habit has at most one snooze; snoozing again replaces it
+ * @param {Notification} notification - The reminder that was snoozed
+ * @param {number} minutes - Minutes to wait
+ * @returns {Promise<void>}
+ */
+async function snoozeReminder(notification, minutes) {
+    const habitId = notification.data.habitId;
+    const time = Date.now() + minutes * 60 * 1000;
+    const id = `${habitId}@snooze`;
+
+    const reminder = {
+        id,
+        habitId,
+        time,
+        title: notification.title,
+        options: {
+            // Said when a caught-up reminder was due; the snooze has a time of its own
+            body: notification.body.replace(/^Missed at [^.]*\. /, ''),
+            icon: notification.icon,
+            badge: notification.badge,
+            tag: notification.tag,
+            requireInteraction: notification.requireInteraction,
+            actions: (notification.actions || []).map(({ action, title }) => ({ action, title })),
+            data: { ...notification.data, reminderId: id, reminderTime: time, snoozed: true }
+        }
+    };
+    console.log(`[Service Worker] Snoozed "${notification.title}" for ${minutes} minutes`);
+
+    if (supportsNotificationTriggers()) {
+        await cancelTriggeredReminders((data) => data.reminderId === id);
+        await self.registration.showNotification(reminder.title, {
+            ...reminder.options,
+            tag: id,
+            showTrigger: new TimestampTrigger(time)
+        });
+        return;
+    }
+
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+
+    try {
+        const state = (await readMeta(db, 'reminderState')) || {};
+        const snoozes = (state.snoozes || []).filter((snooze) => snooze.id !== id);
+        await writeMeta(db, 'reminderState', { ...state, snoozes: [...snoozes, reminder] });
+    } finally {
+        db.close();
+    }
+
+    await sendScheduleToPushServer();
+}
+
+/**
+ * Send the times of all upcoming reminders (snoozes included) to the local push server
+ * Does nothing unless the app subscribed to a push server; only times are sent, never habit names
+ * @returns {Promise<void>}
+ */
+async function sendScheduleToPushServer() {
+    if (!self.registration.pushManager) {
+        return;
+    }
+
+    try {
+        const subscription = await self.registration.pushManager.getSubscription();
+        if (!subscription) {
+            return;
+        }
+
+        const db = await openDatabase();
+        if (!db) {
+            return;
+        }
+
+        let reminders;
+        try {
+            ({ reminders } = await readReminders(db));
+        } finally {
+            db.close();
+        }
+
+        const now = Date.now();
+        await fetch(`${PUSH_SERVER_URL}/schedule`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                subscription,
+                times: reminders.map((reminder) => reminder.time).filter((time) => time > now)
+            })
+        });
+    } catch (error) {
+        console.log('[Service Worker] Could not update the push server:', error.message);
+    }
+}
+
+/**
+ * Read the saved schedule and the service worker's own reminder state
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<{schedule: Object|undefined, state: Object, reminders: Array<Object>}>} The app's
+ *          schedule, the state (snoozes), and every pending reminder including snoozes
+ */
+async function readReminders(db) {
+    const schedule = await readMeta(db, 'reminders');
+    const state = (await readMeta(db, 'reminderState')) || {};
+    return {
+        schedule,
+        state,
+        reminders: [...(schedule ? schedule.reminders : []), ...(state.snoozes || [])]
+    };
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD string (same as toLocalDateString in js/habit.js)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+function toLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Check whether notifications can be scheduled ahead with Notification Triggers
+ * @returns {boolean} True if the browser supports them
+ */
+function supportsNotificationTriggers() {
+    return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * Open the app's database
+ * The service worker never creates or upgrades it; that is left to the app
+ * @returns {Promise<IDBDatabase|null>} Open database, or null if the app hasn't created it yet
+ */
+function openDatabase() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME);
+
+        // No database yet: cancel, rather than create an empty one the app can't upgrade
+        request.onupgradeneeded = () => request.transaction.abort();
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let the app upgrade the database
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            console.log('[Service Worker] No app database yet:', request.error && request.error.name);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Read a record from the meta store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} key - Record key
+ * @returns {Promise<*>} The record, or undefined if there is none
+ */
+function readMeta(db, key) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write a record to the meta store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} key - Record key
+ * @param {*} value - Record to save
+ * @returns {Promise<void>} Resolves once the write is committed
+ */
+function writeMeta(db, key, value) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(META_STORE, 'readwrite');
+        transaction.objectStore(META_STORE).put(value, key);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
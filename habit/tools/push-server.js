@@ -0,0 +1,298 @@
+/**
+ * Local Push Server
+ * A stand-in for a real push backend, for trying background reminders on your own machine.
+ * It serves the app and sends an empty Web Push message to the app's service worker at each
+ * reminder time the app hands it; the service worker then shows the reminders that are due.
+ * Only reminder times reach the server - habit names stay in the browser.
+ *
+ * Usage: node tools/push-server.js [port]   (Node 18 or newer, no dependencies)
+ * Then open http://localhost:8787 (push needs a secure context, and localhost counts as one).
+ *
+ * Endpoints:
+ *   GET  /api/push/config    -> { publicKey }  VAPID key for PushManager.subscribe()
+ *   POST /api/push/schedule  { subscription, times: [ms since epoch] }  replaces that subscription's times
+ *   POST /api/push/test      sends a push to every subscription right away
+ */
+
+'use strict';
+
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const APP_ROOT = path.resolve(__dirname, '..');
+
+// Kept outside the repository and reused, so existing subscriptions survive a restart
+const KEYS_FILE = process.env.PUSH_KEYS_FILE || path.join(os.tmpdir(), 'habit-tracker-push-keys.json');
+const VAPID_SUBJECT = 'mailto:habit-tracker@localhost';
+
+// Pushes go out a moment after the reminder time, so the reminder is due when the service worker looks
+const PUSH_DELAY = 1000;
+// Longest delay setTimeout can handle
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const MAX_BODY_SIZE = 100 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Subscriptions by push endpoint: { subscription, timers }
+const subscriptions = new Map();
+
+const keys = loadKeys();
+
+/**
+ * Load the VAPID key pair, creating one on first run
+ * @returns {{publicKey: string, privateKey: crypto.KeyObject}} Public key (base64url, raw P-256 point) and private key
+ */
+function loadKeys() {
+    let jwk;
+    try {
+        jwk = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    } catch (error) {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        jwk = privateKey.export({ format: 'jwk' });
+        fs.writeFileSync(KEYS_FILE, JSON.stringify(jwk), { mode: 0o600 });
+        console.log(`[Push Server] Created new VAPID keys in ${KEYS_FILE}`);
+    }
+
+    const publicKey = Buffer.concat([
+        Buffer.from([0x04]),
+        Buffer.from(jwk.x, 'base64url'),
+        Buffer.from(jwk.y, 'base64url')
+    ]).toString('base64url');
+
+    return { publicKey, privateKey: crypto.createPrivateKey({ key: jwk, format: 'jwk' }) };
+}
+
+/**
+ * Build the VAPID Authorization header for a push service
+ * @param {string} endpoint - Push endpoint of the subscription
+ * @returns {string} Header value
+ */
+function getVapidAuthorization(endpoint) {
+    const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+    const claims = Buffer.from(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: VAPID_SUBJECT
+    })).toString('base64url');
+
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: keys.privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${keys.publicKey}`;
+}
+
+/**
+ * Send an empty push message to a subscription
+ * Subscriptions the push service no longer knows are forgotten
+ * @param {Object} subscription - PushSubscription as JSON
+ * @returns {Promise<boolean>} True if the push service accepted the message
+ */
+async function sendPush(subscription) {
+    try {
+        const response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: getVapidAuthorization(subscription.endpoint),
+                TTL: '3600',
+                Urgency: 'high'
+            }
+        });
+
+        if (response.status === 404 || response.status === 410) {
+            console.log('[Push Server] Subscription expired, forgetting it');
+            forgetSubscription(subscription.endpoint);
+            return false;
+        }
+        if (!response.ok) {
+            console.error(`[Push Server] Push service answered ${response.status}: ${await response.text()}`);
+            return false;
+        }
+
+        console.log('[Push Server] Push sent');
+        return true;
+    } catch (error) {
+        console.error('[Push Server] Error sending push:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Replace the reminder times of a subscription
+ * @param {Object} subscription - PushSubscription as JSON
+ * @param {Array<number>} times - Reminder times (ms since epoch); past ones are ignored
+ * @returns {number} Number of pushes scheduled
+ */
+function scheduleSubscription(subscription, times) {
+    forgetSubscription(subscription.endpoint);
+
+    const now = Date.now();
+    const timers = [...new Set(times)]
+        .map(time => time + PUSH_DELAY - now)
+        .filter(delay => delay > 0 && delay <= MAX_TIMER_DELAY)
+        .map(delay => setTimeout(() => sendPush(subscription), delay));
+
+    subscriptions.set(subscription.endpoint, { subscription, timers });
+    return timers.length;
+}
+
+/**
+ * Stop pushing to a subscription
+ * @param {string} endpoint - Push endpoint of the subscription
+ */
+function forgetSubscription(endpoint) {
+    const entry = subscriptions.get(endpoint);
+    if (entry) {
+        entry.timers.forEach(timer => clearTimeout(timer));
+        subscriptions.delete(endpoint);
+    }
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body is too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * Handle a push API request
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Response to write
+ * @param {string} pathname - Request path
+ */
+async function handleApi(request, response, pathname) {
+    if (request.method === 'GET' && pathname === '/api/push/config') {
+        sendJson(response, 200, { publicKey: keys.publicKey });
+        return;
+    }
+
+    if (request.method === 'POST' && pathname === '/api/push/schedule') {
+        const { subscription, times } = await readJson(request);
+        if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.endpoint.startsWith('https://')) {
+            sendJson(response, 400, { error: 'A push subscription with an https endpoint is required' });
+            return;
+        }
+        if (!Array.isArray(times) || !times.every(Number.isFinite)) {
+            sendJson(response, 400, { error: 'times must be a list of timestamps' });
+            return;
+        }
+
+        const scheduled = scheduleSubscription(subscription, times);
+        console.log(`[Push Server] ${scheduled} pushes scheduled for ${new URL(subscription.endpoint).host}`);
+        sendJson(response, 200, { scheduled });
+        return;
+    }
+
+    if (request.method === 'POST' && pathname === '/api/push/test') {
+        const results = await Promise.all([...subscriptions.values()].map(entry => sendPush(entry.subscription)));
+        sendJson(response, 200, { sent: results.filter(Boolean).length, subscriptions: results.length });
+        return;
+    }
+
+    sendJson(response, 404, { error: 'Not found' });
+}
+
+/**
+ * Serve a file of the app
+ * @param {http.ServerResponse} response - Response to write
+ * @param {string} pathname - Request path
+ */
+function serveFile(response, pathname) {
+    const filePath = path.join(APP_ROOT, path.normalize(pathname));
+    if (filePath !== APP_ROOT && !filePath.startsWith(APP_ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    const target = pathname.endsWith('/') ? path.join(filePath, 'index.html') : filePath;
+    fs.readFile(target, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(target)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(content);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(request, response, pathname);
+        } else if (request.method === 'GET' || request.method === 'HEAD') {
+            serveFile(response, pathname);
+        } else {
+            response.writeHead(405);
+            response.end();
+        }
+    } catch (error) {
+        console.error('[Push Server] Error handling request:', error.message);
+        if (!response.headersSent) {
+            sendJson(response, 400, { error: error.message });
+        }
+    }
+});
+
+server.listen(PORT, 'localhost', () => {
+    console.log(`[Push Server] Serving the app on http://localhost:${PORT}`);
+    console.log(`[Push Server] Public key: ${keys.publicKey}`);
+});